@@ -0,0 +1,8 @@
+import { createHandler } from "../../backend/http/handler.js";
+import { meRoute } from "../../backend/routes/auth.js";
+
+/**
+ * Vercel Serverless Function Handler
+ * GET /api/auth/me
+ */
+export default createHandler(meRoute);
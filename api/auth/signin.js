@@ -0,0 +1,8 @@
+import { createHandler } from "../../backend/http/handler.js";
+import { signInRoute } from "../../backend/routes/auth.js";
+
+/**
+ * Vercel Serverless Function Handler
+ * POST /api/auth/signin
+ */
+export default createHandler(signInRoute);
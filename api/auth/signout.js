@@ -0,0 +1,8 @@
+import { createHandler } from "../../backend/http/handler.js";
+import { signOutRoute } from "../../backend/routes/auth.js";
+
+/**
+ * Vercel Serverless Function Handler
+ * POST /api/auth/signout
+ */
+export default createHandler(signOutRoute);
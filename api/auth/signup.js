@@ -0,0 +1,8 @@
+import { createHandler } from "../../backend/http/handler.js";
+import { signUpRoute } from "../../backend/routes/auth.js";
+
+/**
+ * Vercel Serverless Function Handler
+ * POST /api/auth/signup
+ */
+export default createHandler(signUpRoute);
@@ -0,0 +1,8 @@
+import { createHandler } from "../../backend/http/handler.js";
+import exportEpub from "../../backend/routes/export-epub.js";
+
+/**
+ * Vercel Serverless Function Handler
+ * GET /api/export/epub
+ */
+export default createHandler(exportEpub);
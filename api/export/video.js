@@ -0,0 +1,9 @@
+import { createHandler } from "../../backend/http/handler.js";
+import exportVideo from "../../backend/routes/export-video.js";
+
+/**
+ * Vercel Serverless Function Handler
+ * POST /api/export/video
+ * Needs ffmpeg, which Vercel functions don't have - responds 501 there.
+ */
+export default createHandler(exportVideo);
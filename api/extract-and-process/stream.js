@@ -0,0 +1,8 @@
+import { createHandler } from "../../backend/http/handler.js";
+import extractAndProcessStream from "../../backend/routes/extract-and-process-stream.js";
+
+/**
+ * Vercel Serverless Function Handler
+ * POST /api/extract-and-process/stream
+ */
+export default createHandler(extractAndProcessStream);
@@ -0,0 +1,8 @@
+import { createHandler } from "../backend/http/handler.js";
+import extract from "../backend/routes/extract.js";
+
+/**
+ * Vercel Serverless Function Handler
+ * POST /api/extract
+ */
+export default createHandler(extract);
@@ -0,0 +1,8 @@
+import { createHandler } from "../../backend/http/handler.js";
+import generateVoiceStream from "../../backend/routes/generate-voice-stream.js";
+
+/**
+ * Vercel Serverless Function Handler
+ * POST /api/generate-voice/stream
+ */
+export default createHandler(generateVoiceStream);
@@ -0,0 +1,8 @@
+import { createHandler } from "../../backend/http/handler.js";
+import processTextStream from "../../backend/routes/process-text-stream.js";
+
+/**
+ * Vercel Serverless Function Handler
+ * POST /api/process-text/stream
+ */
+export default createHandler(processTextStream);
@@ -0,0 +1,8 @@
+import { createHandler } from "../backend/http/handler.js";
+import { listStoriesRoute } from "../backend/routes/stories.js";
+
+/**
+ * Vercel Serverless Function Handler
+ * GET /api/stories
+ */
+export default createHandler(listStoriesRoute);
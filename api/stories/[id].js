@@ -0,0 +1,8 @@
+import { createHandler } from "../../backend/http/handler.js";
+import { getStoryRoute, updateStoryRoute, deleteStoryRoute } from "../../backend/routes/stories.js";
+
+/**
+ * Vercel Serverless Function Handler
+ * GET, PATCH, DELETE /api/stories/:id
+ */
+export default createHandler(getStoryRoute, updateStoryRoute, deleteStoryRoute);
@@ -0,0 +1,8 @@
+import { createHandler } from "../../../backend/http/handler.js";
+import { getStoryAudioRoute } from "../../../backend/routes/stories.js";
+
+/**
+ * Vercel Serverless Function Handler
+ * GET /api/stories/:id/audio
+ */
+export default createHandler(getStoryAudioRoute);
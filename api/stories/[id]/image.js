@@ -0,0 +1,8 @@
+import { createHandler } from "../../../backend/http/handler.js";
+import { getStoryImageRoute } from "../../../backend/routes/stories.js";
+
+/**
+ * Vercel Serverless Function Handler
+ * GET /api/stories/:id/image
+ */
+export default createHandler(getStoryImageRoute);
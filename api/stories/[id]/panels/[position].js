@@ -0,0 +1,8 @@
+import { createHandler } from "../../../../backend/http/handler.js";
+import { getStoryPanelRoute } from "../../../../backend/routes/stories.js";
+
+/**
+ * Vercel Serverless Function Handler
+ * GET /api/stories/:id/panels/:position
+ */
+export default createHandler(getStoryPanelRoute);
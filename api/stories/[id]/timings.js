@@ -0,0 +1,8 @@
+import { createHandler } from "../../../backend/http/handler.js";
+import { getStoryTimingsRoute } from "../../../backend/routes/stories.js";
+
+/**
+ * Vercel Serverless Function Handler
+ * GET /api/stories/:id/timings
+ */
+export default createHandler(getStoryTimingsRoute);
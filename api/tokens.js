@@ -0,0 +1,8 @@
+import { createHandler } from "../backend/http/handler.js";
+import { listTokensRoute, createTokenRoute } from "../backend/routes/auth.js";
+
+/**
+ * Vercel Serverless Function Handler
+ * GET, POST /api/tokens
+ */
+export default createHandler(listTokensRoute, createTokenRoute);
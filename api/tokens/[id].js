@@ -0,0 +1,8 @@
+import { createHandler } from "../../backend/http/handler.js";
+import { deleteTokenRoute } from "../../backend/routes/auth.js";
+
+/**
+ * Vercel Serverless Function Handler
+ * DELETE /api/tokens/:id
+ */
+export default createHandler(deleteTokenRoute);
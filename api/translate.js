@@ -0,0 +1,8 @@
+import { createHandler } from "../backend/http/handler.js";
+import translate from "../backend/routes/translate.js";
+
+/**
+ * Vercel Serverless Function Handler
+ * POST /api/translate
+ */
+export default createHandler(translate);
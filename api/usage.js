@@ -0,0 +1,8 @@
+import { createHandler } from "../backend/http/handler.js";
+import { usageRoute } from "../backend/routes/usage.js";
+
+/**
+ * Vercel Serverless Function Handler
+ * GET /api/usage
+ */
+export default createHandler(usageRoute);
@@ -0,0 +1,8 @@
+import { createHandler } from "../backend/http/handler.js";
+import voiceCast from "../backend/routes/voice-cast.js";
+
+/**
+ * Vercel Serverless Function Handler
+ * POST /api/voice-cast
+ */
+export default createHandler(voiceCast);
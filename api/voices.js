@@ -0,0 +1,8 @@
+import { createHandler } from "../backend/http/handler.js";
+import { listVoicesRoute } from "../backend/routes/voices.js";
+
+/**
+ * Vercel Serverless Function Handler
+ * GET /api/voices
+ */
+export default createHandler(listVoicesRoute);
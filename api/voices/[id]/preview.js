@@ -0,0 +1,8 @@
+import { createHandler } from "../../../backend/http/handler.js";
+import { previewVoiceRoute } from "../../../backend/routes/voices.js";
+
+/**
+ * Vercel Serverless Function Handler
+ * GET /api/voices/:id/preview
+ */
+export default createHandler(previewVoiceRoute);
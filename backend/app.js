@@ -0,0 +1,45 @@
+import express from "express";
+import { routes } from "./routes/index.js";
+import { createHandler } from "./http/handler.js";
+
+// Largest JSON body; routes that take images (`upload: true`) accept more,
+// since they can carry up to MAX_PANELS base64 images
+const BODY_LIMIT = "10mb";
+const IMAGE_BODY_LIMIT = "50mb";
+
+// Builds the Express app serving every route in routes/index.js.
+// Kept separate from index.js so the app can be used without listening.
+export function createApp() {
+    const app = express();
+
+    const jsonParser = express.json({ limit: BODY_LIMIT });
+    const imageJsonParser = express.json({ limit: IMAGE_BODY_LIMIT });
+
+    // One handler per path; app.all so the shared handler answers preflight
+    // and 405s like Vercel does
+    const routesByPath = new Map();
+    for (const route of routes) {
+        routesByPath.set(route.path, [...(routesByPath.get(route.path) || []), route]);
+    }
+    for (const [path, pathRoutes] of routesByPath) {
+        const parser = pathRoutes.some((route) => route.upload) ? imageJsonParser : jsonParser;
+        app.all(path, parser, createHandler(...pathRoutes));
+    }
+
+    // Catch-all error handler for Express
+    app.use((err, req, res, next) => {
+        if (err.type === "entity.too.large" && !res.headersSent) {
+            res.status(413).json({ error: "The request is too large." });
+            return;
+        }
+        console.error('Express error handler:', err);
+        if (!res.headersSent) {
+            // Never expose error details to clients - security risk
+            res.status(500).json({ 
+                error: "Internal server error" 
+            });
+        }
+    });
+
+    return app;
+}
@@ -0,0 +1,58 @@
+import { hashToken } from "./tokens.js";
+import { findTokenUser } from "../storage/users.js";
+import { MIN_PASSWORD_LENGTH, MAX_PASSWORD_LENGTH } from "./passwords.js";
+
+// Accounts: email + password sign-in returning a session token, and personal
+// API tokens for scripts. Both are sent as "Authorization: Bearer <token>".
+// Requests without a token are anonymous (see quota.js for their limits).
+
+// How long a sign-in lasts
+export const SESSION_TTL_DAYS = Number(process.env.SESSION_TTL_DAYS) || 30;
+
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MAX_EMAIL_LENGTH = 254;
+
+// Resolves the bearer token of a request.
+// Returns { user: { id, email, createdAt }, token: { id, kind } }, { user: null }
+// for anonymous requests, or { error } with a user-facing message for tokens
+// that are unknown or expired.
+export async function authenticate(req) {
+    const header = req.headers.authorization;
+    if (!header) {
+        return { user: null };
+    }
+    const match = /^Bearer\s+(\S+)$/i.exec(header);
+    if (!match) {
+        return { error: "Authorization header must be \"Bearer <token>\"." };
+    }
+
+    let found;
+    try {
+        found = await findTokenUser(hashToken(match[1]));
+    } catch (err) {
+        console.error("Failed to check token:", err.message);
+        return { error: "Accounts are not available right now. Please try again." };
+    }
+    if (!found) {
+        return { error: "Invalid or expired token. Please sign in again." };
+    }
+    return found;
+}
+
+// Validates the email and password of a sign-up or sign-in body.
+// Returns { email, password } or { error } with a user-facing message.
+export function parseCredentials(body) {
+    const email = typeof body.email === "string" ? body.email.trim().toLowerCase() : "";
+    const { password } = body;
+
+    if (!email || email.length > MAX_EMAIL_LENGTH || !EMAIL.test(email)) {
+        return { error: "A valid email address is required." };
+    }
+    if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+        return { error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters.` };
+    }
+    if (password.length > MAX_PASSWORD_LENGTH) {
+        return { error: `Password must be at most ${MAX_PASSWORD_LENGTH} characters.` };
+    }
+    return { email, password };
+}
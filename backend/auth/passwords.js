@@ -0,0 +1,43 @@
+import { randomBytes, scrypt, timingSafeEqual } from "crypto";
+import { promisify } from "util";
+
+const scryptAsync = promisify(scrypt);
+
+// scrypt parameters (N, r, p) are stored with each hash, so they can be
+// raised later without invalidating existing passwords
+const COST = 16384;
+const BLOCK_SIZE = 8;
+const PARALLELIZATION = 1;
+const KEY_LENGTH = 64;
+
+export const MIN_PASSWORD_LENGTH = 8;
+export const MAX_PASSWORD_LENGTH = 200;
+
+// Returns "scrypt$N$r$p$salt$hash" with base64 salt and hash
+export async function hashPassword(password) {
+    const salt = randomBytes(16);
+    const hash = await scryptAsync(password, salt, KEY_LENGTH, { N: COST, r: BLOCK_SIZE, p: PARALLELIZATION });
+    return ["scrypt", COST, BLOCK_SIZE, PARALLELIZATION, salt.toString("base64"), hash.toString("base64")].join("$");
+}
+
+export async function verifyPassword(password, stored) {
+    const [algorithm, N, r, p, salt, hash] = stored.split("$");
+    if (algorithm !== "scrypt") {
+        return false;
+    }
+    const expected = Buffer.from(hash, "base64");
+    const actual = await scryptAsync(password, Buffer.from(salt, "base64"), expected.length, { N: Number(N), r: Number(r), p: Number(p) });
+    return timingSafeEqual(actual, expected);
+}
+
+// A hash no password matches, with the current parameters. Checking a
+// password against it takes as long as against a real one, so signing in
+// with an unknown email doesn't answer measurably faster.
+const UNMATCHABLE_HASH = ["scrypt", COST, BLOCK_SIZE, PARALLELIZATION,
+    randomBytes(16).toString("base64"), randomBytes(KEY_LENGTH).toString("base64")].join("$");
+
+// Like verifyPassword, but always false, for accounts that don't exist
+export async function rejectPassword(password) {
+    await verifyPassword(password, UNMATCHABLE_HASH);
+    return false;
+}
@@ -0,0 +1,149 @@
+import { clientKey } from "../http/rateLimit.js";
+import { getUsage, addUsage, reserveUsage } from "../storage/usage.js";
+import { MAX_NARRATION_CHARS } from "../story/input.js";
+
+// Daily quotas for story generations and TTS characters, per user or, for
+// anonymous requests, per IP address. Days run from midnight to midnight UTC.
+// Configured with:
+//   QUOTA_GENERATIONS_PER_DAY / QUOTA_TTS_CHARACTERS_PER_DAY - for signed-in users (default: 50 / 100000)
+//   ANONYMOUS_GENERATIONS_PER_DAY / ANONYMOUS_TTS_CHARACTERS_PER_DAY - for anonymous requests
+//     (default: 10 / 20000); 0 means signing in is required
+
+const LIMITS = {
+    user: {
+        generations: ["QUOTA_GENERATIONS_PER_DAY", 50],
+        ttsCharacters: ["QUOTA_TTS_CHARACTERS_PER_DAY", 100000],
+    },
+    anonymous: {
+        generations: ["ANONYMOUS_GENERATIONS_PER_DAY", 10],
+        ttsCharacters: ["ANONYMOUS_TTS_CHARACTERS_PER_DAY", 20000],
+    },
+};
+
+const LABELS = {
+    generations: "story generation",
+    ttsCharacters: "narration character",
+};
+
+function quotaLimits(user) {
+    const limits = {};
+    for (const [kind, [name, fallback]] of Object.entries(LIMITS[user ? "user" : "anonymous"])) {
+        const value = process.env[name];
+        limits[kind] = value === undefined || value === "" ? fallback : Number(value);
+    }
+    return limits;
+}
+
+// The current UTC day and when it ends
+function currentDay(now = new Date()) {
+    const resetAt = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1));
+    return { day: now.toISOString().slice(0, 10), resetAt };
+}
+
+// { generations: { limit, used, remaining }, ttsCharacters: { ... } }
+function describeQuota(limits, usage) {
+    return Object.fromEntries(Object.entries(limits).map(([kind, limit]) => [
+        kind,
+        { limit, used: usage[kind], remaining: Math.max(0, limit - usage[kind]) },
+    ]));
+}
+
+// Today's quota of the request's user or client: { quota, resetAt }
+export async function getQuota(req) {
+    const { day, resetAt } = currentDay();
+    const usage = await getUsage(clientKey(req), day);
+    return { quota: describeQuota(quotaLimits(req.user), usage), resetAt: resetAt.toISOString() };
+}
+
+// Responses that failed after sending a success status, e.g. a stream that
+// ended with an error event (see markFailed)
+const failedResponses = new WeakSet();
+
+// Marks a response whose status was already sent as failed, so its usage is refunded
+export function markFailed(res) {
+    failedResponses.add(res);
+}
+
+// Checks a request against the quotas and counts its usage, e.g.
+// { generations: 1, ttsCharacters: 0 } for a story whose narration length isn't
+// known yet (recordUsage() adds it later). A kind with a zero amount still
+// needs quota left. Usage is refunded if the request fails with an error
+// status or is marked failed with markFailed().
+// Quotas are kept in the database (DATABASE_PATH); without one nothing could
+// be counted, so requests are refused rather than let through unmetered.
+// Returns true if the request may go ahead; otherwise sends a 401 (anonymous
+// use turned off), 429 or 503 response and returns false.
+export async function enforceQuota(req, res, usage) {
+    const limits = quotaLimits(req.user);
+    if (!req.user && Object.keys(usage).some((kind) => limits[kind] <= 0)) {
+        res.status(401).json({ error: "Please sign in to generate stories." });
+        return false;
+    }
+
+    const subject = clientKey(req);
+    const { day, resetAt } = currentDay();
+    let reservation;
+    try {
+        reservation = await reserveUsage(subject, day, usage, limits);
+    } catch (err) {
+        // No database (e.g. Node < 22.13 or a read-only DATABASE_PATH)
+        console.error("Quota check failed, refusing request:", err.message);
+        res.status(503).json({ error: "Usage can't be counted right now, so this isn't available. Please try again later." });
+        return false;
+    }
+
+    if (!reservation.reserved) {
+        const { used } = reservation;
+        const exceeded = Object.keys(usage).find((kind) => used[kind] >= limits[kind] || used[kind] + usage[kind] > limits[kind])
+            ?? Object.keys(usage)[0];
+        res.setHeader("Retry-After", String(Math.ceil((resetAt - Date.now()) / 1000)));
+        res.status(429).json({
+            error: `Daily ${LABELS[exceeded]} quota reached (${limits[exceeded]} per day). It resets at ${resetAt.toISOString()}.`,
+            quota: describeQuota(limits, used),
+            resetAt: resetAt.toISOString(),
+        });
+        return false;
+    }
+
+    // "close" rather than "finish", so streams destroyed after an error are refunded too
+    res.on("close", () => {
+        if (res.statusCode >= 400 || failedResponses.has(res)) {
+            const refund = Object.fromEntries(Object.entries(usage).map(([kind, amount]) => [kind, -amount]));
+            addUsage(subject, day, refund).catch((err) => console.error("Failed to refund quota:", err.message));
+        }
+    });
+    return true;
+}
+
+// Counts usage only known once the work is done, e.g. the length of narration.
+// `subject` is clientKey() of the request that asked for it. Never throws.
+export async function recordUsage(subject, usage) {
+    try {
+        await addUsage(subject, currentDay().day, usage);
+    } catch (err) {
+        console.error("Failed to record usage:", err.message);
+    }
+}
+
+// Gives back usage that enforceQuota() reserved for work that failed after
+// the request was answered, e.g. a background job. `reservedAt` is when it
+// was reserved, so it comes off that day's count. Never throws.
+export async function refundUsage(subject, reservedAt, usage) {
+    const refund = Object.fromEntries(Object.entries(usage).map(([kind, amount]) => [kind, -amount]));
+    try {
+        await addUsage(subject, currentDay(new Date(reservedAt)).day, refund);
+    } catch (err) {
+        console.error("Failed to refund quota:", err.message);
+    }
+}
+
+// Quota used by routes that write a story (see `usage` in http/handler.js)
+export function storyUsage() {
+    return { generations: 1 };
+}
+
+// Quota used by routes that narrate the `text` they are sent
+export function narrationUsage(req) {
+    const text = typeof req.body.text === "string" ? req.body.text.trim() : "";
+    return { ttsCharacters: Math.min(text.length, MAX_NARRATION_CHARS) };
+}
@@ -0,0 +1,18 @@
+import { createHash, randomBytes } from "crypto";
+
+// Bearer tokens: random strings handed to the client once and stored only as
+// a SHA-256 hash, so a leaked database doesn't leak working tokens. The
+// prefix tells session tokens from personal API tokens at a glance.
+const PREFIXES = {
+    session: "sts_",
+    api: "stk_",
+};
+
+export function generateToken(kind) {
+    const token = PREFIXES[kind] + randomBytes(32).toString("base64url");
+    return { token, tokenHash: hashToken(token) };
+}
+
+export function hashToken(token) {
+    return createHash("sha256").update(token).digest("hex");
+}
@@ -0,0 +1,82 @@
+import { createHash } from "crypto";
+import { createCacheStore } from "./store.js";
+
+// Content-addressed cache for model and TTS results, so the same image, prompt
+// or narration request isn't billed twice. Configured with:
+//   CACHE_DIR - disk tier directory (default: data/cache); "off" keeps results in memory only
+//   CACHE_MEMORY_MB - in-memory tier size (default: 64)
+//   CACHE_DISK_MB - disk tier size (default: 1024)
+//   CACHE_TTL_HOURS - how long results are reused (default: 168, one week)
+//   CACHE_ENABLED - "false" turns caching off
+
+const DEFAULTS = {
+    dir: "data/cache",
+    memoryMb: 64,
+    diskMb: 1024,
+    ttlHours: 168,
+};
+
+let store;
+
+// Returns the shared store, or null when caching is turned off.
+// Created lazily so environment variables loaded by dotenv are picked up.
+export function getCache() {
+    if (store === undefined) {
+        if (process.env.CACHE_ENABLED === "false") {
+            store = null;
+        } else {
+            const dir = process.env.CACHE_DIR || DEFAULTS.dir;
+            store = createCacheStore({
+                dir: dir === "off" ? null : dir,
+                maxMemoryBytes: (Number(process.env.CACHE_MEMORY_MB) || DEFAULTS.memoryMb) * 1024 * 1024,
+                maxDiskBytes: (Number(process.env.CACHE_DISK_MB) || DEFAULTS.diskMb) * 1024 * 1024,
+                ttlMs: (Number(process.env.CACHE_TTL_HOURS) || DEFAULTS.ttlHours) * 60 * 60 * 1000,
+            });
+        }
+    }
+    return store;
+}
+
+// Cache key: a SHA-256 hash of every input that affects the result (the input
+// itself, prompt template version, model, voice, settings). Parts may be
+// strings, Buffers, or anything JSON can encode.
+export function cacheKey(...parts) {
+    const hash = createHash("sha256");
+    for (const part of parts) {
+        hash.update(Buffer.isBuffer(part) ? part : typeof part === "string" ? part : JSON.stringify(part ?? null));
+        // Separator, so ("ab", "c") and ("a", "bc") get different keys
+        hash.update("\0");
+    }
+    return hash.digest("hex");
+}
+
+// Header names per stage, e.g. X-Cache-Audio
+export const CACHE_HEADERS = {
+    extract: "X-Cache-Extract",
+    story: "X-Cache-Story",
+    audio: "X-Cache-Audio",
+};
+
+// Per-request cache settings, passed to providers as the `cache` option.
+// `regenerate: true` in the body skips cached results (fresh results still
+// replace the cached ones). Each stage's outcome - HIT, MISS or BYPASS - is
+// reported in its X-Cache-* header if the headers haven't been sent yet, and
+// is kept in `statuses` for responses that report it in the body. Work done
+// outside a request (see jobs/) passes its input as `req` and no `res`.
+export function requestCache(req, res = null) {
+    const statuses = {};
+    return {
+        bypass: req.body?.regenerate === true,
+        statuses,
+        record(stage, status) {
+            // A stage with several lookups (e.g. multi-voice segments) only counts as a hit if all of them were
+            if (statuses[stage] && statuses[stage] !== "HIT") {
+                return;
+            }
+            statuses[stage] = status;
+            if (res && !res.headersSent) {
+                res.setHeader(CACHE_HEADERS[stage], status);
+            }
+        },
+    };
+}
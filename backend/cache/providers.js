@@ -0,0 +1,119 @@
+import { Readable } from "stream";
+import { getCache, cacheKey } from "./index.js";
+import { PROMPT_VERSION } from "../story/options.js";
+
+// Wraps story and TTS providers so their results are cached (see index.js).
+// Calls take the per-request `cache` option from requestCache(); without one
+// results are still cached, just not reported. Story calls may pass a
+// `validate` option, a function of the output: output it returns false for
+// (e.g. a script that needs repairing) is returned but not cached.
+
+async function lookup(key, stage, cache) {
+    if (cache?.bypass) {
+        cache.record(stage, "BYPASS");
+        return null;
+    }
+    const entry = await getCache().get(key);
+    cache?.record(stage, entry ? "HIT" : "MISS");
+    return entry;
+}
+
+export function withStoryCache(provider) {
+    if (!getCache()) {
+        return provider;
+    }
+    const storyKey = (prompt, schema) => cacheKey("story", PROMPT_VERSION, provider.name, provider.model, prompt, schema ?? null);
+
+    return {
+        ...provider,
+
+        async generateText(prompt, options = {}) {
+            const key = storyKey(prompt, options.schema);
+            const entry = await lookup(key, "story", options.cache);
+            if (entry) {
+                return entry.meta.text;
+            }
+            const text = await provider.generateText(prompt, options);
+            if (text?.trim() && options.validate?.(text) !== false) {
+                await getCache().set(key, { meta: { text }, data: null });
+            }
+            return text;
+        },
+
+        // Shares entries with generateText. A cached story arrives as one chunk;
+        // a streamed one is only cached if the client read it to the end.
+        async *streamText(prompt, options = {}) {
+            const key = storyKey(prompt, options.schema);
+            const entry = await lookup(key, "story", options.cache);
+            if (entry) {
+                yield entry.meta.text;
+                return;
+            }
+            let text = "";
+            for await (const chunk of provider.streamText(prompt, options)) {
+                text += chunk;
+                yield chunk;
+            }
+            if (text.trim() && options.validate?.(text) !== false) {
+                await getCache().set(key, { meta: { text }, data: null });
+            }
+        },
+
+        async extractText(image, prompt, options = {}) {
+            const key = cacheKey(
+                "extract", PROMPT_VERSION, provider.name, provider.model, prompt, image.mimeType, image.data,
+                ...(options.schema ? [options.schema] : [])
+            );
+            const entry = await lookup(key, "extract", options.cache);
+            if (entry) {
+                return entry.meta.text;
+            }
+            const text = await provider.extractText(image, prompt, options);
+            // Empty results are not cached, so a failed read can be retried
+            if (text?.trim()) {
+                await getCache().set(key, { meta: { text }, data: null });
+            }
+            return text;
+        },
+    };
+}
+
+export function withAudioCache(provider) {
+    if (!getCache()) {
+        return provider;
+    }
+
+    return {
+        ...provider,
+
+        async synthesize(text, options = {}) {
+            const key = cacheKey(
+                "audio", provider.name, provider.model,
+                options.voiceId || provider.defaultVoiceId, options.format ?? null, options.language ?? null,
+                text
+            );
+            const entry = await lookup(key, "audio", options.cache);
+            if (entry) {
+                return {
+                    stream: Readable.from([entry.data]),
+                    mimeType: entry.meta.mimeType,
+                    words: Promise.resolve(entry.meta.words),
+                };
+            }
+
+            const audio = await provider.synthesize(text, options);
+            // Passes the audio through as it arrives and caches it once the
+            // stream and its word timings are complete
+            async function* passThrough() {
+                const chunks = [];
+                for await (const chunk of audio.stream) {
+                    chunks.push(Buffer.from(chunk));
+                    yield chunk;
+                }
+                const words = await Promise.resolve(audio.words).catch(() => null);
+                await getCache().set(key, { meta: { mimeType: audio.mimeType, words: words ?? null }, data: Buffer.concat(chunks) });
+            }
+            return { ...audio, stream: Readable.from(passThrough()) };
+        },
+    };
+}
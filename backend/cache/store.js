@@ -0,0 +1,170 @@
+import { mkdir, readdir, readFile, rename, stat, unlink, utimes, writeFile } from "fs/promises";
+import { join } from "path";
+
+// Two-tier cache store: a size-limited in-memory LRU in front of a directory
+// of files. Entries are { meta (JSON-serializable), data (Buffer or null) }
+// and expire after the TTL in both tiers.
+//
+// Disk files are laid out as [4-byte meta length][meta JSON][data], where the
+// meta JSON also holds the expiry time. Files are written under a temporary
+// name and renamed, so a crash never leaves a half-written entry behind.
+
+// When the disk tier is over its limit, old entries are removed until it is
+// back under this share of it, so pruning doesn't run on every write
+const PRUNE_TARGET = 0.8;
+
+function entrySize({ meta, data }) {
+    return JSON.stringify(meta).length + (data?.length ?? 0);
+}
+
+function encode(entry, expiresAt) {
+    const meta = Buffer.from(JSON.stringify({ expiresAt, meta: entry.meta, hasData: Boolean(entry.data) }));
+    const header = Buffer.alloc(4);
+    header.writeUInt32LE(meta.length, 0);
+    return Buffer.concat([header, meta, entry.data ?? Buffer.alloc(0)]);
+}
+
+function decode(file) {
+    const metaLength = file.readUInt32LE(0);
+    const { expiresAt, meta, hasData } = JSON.parse(file.subarray(4, 4 + metaLength).toString());
+    return { expiresAt, entry: { meta, data: hasData ? file.subarray(4 + metaLength) : null } };
+}
+
+// Options:
+//   maxMemoryBytes: in-memory tier size limit
+//   dir: directory of the disk tier, or null for memory only
+//   maxDiskBytes: disk tier size limit
+//   ttlMs: how long entries are kept
+export function createCacheStore({ maxMemoryBytes, dir, maxDiskBytes, ttlMs }) {
+    const memory = new Map();
+    let memoryBytes = 0;
+    let diskBytes = null;
+    let diskReady = null;
+
+    function forget(key) {
+        const item = memory.get(key);
+        if (item) {
+            memory.delete(key);
+            memoryBytes -= item.size;
+        }
+    }
+
+    function remember(key, entry, expiresAt) {
+        const size = entrySize(entry);
+        // Entries too big for the memory tier are only kept on disk
+        if (size > maxMemoryBytes / 4) {
+            return;
+        }
+        forget(key);
+        memory.set(key, { entry, size, expiresAt });
+        memoryBytes += size;
+        // Maps iterate in insertion order, so the first keys are the least recently used
+        for (const [oldest, item] of memory) {
+            if (memoryBytes <= maxMemoryBytes) break;
+            memory.delete(oldest);
+            memoryBytes -= item.size;
+        }
+    }
+
+    // Creates the directory and adds up the size of what is already there.
+    // A disk tier that can't be used (e.g. a read-only filesystem) is turned off.
+    function openDisk() {
+        diskReady ??= (async () => {
+            try {
+                await mkdir(dir, { recursive: true });
+                const files = await listFiles();
+                diskBytes = files.reduce((total, file) => total + file.size, 0);
+                return true;
+            } catch (err) {
+                console.error(`Cache directory ${dir} is not usable, caching in memory only:`, err.message);
+                return false;
+            }
+        })();
+        return diskReady;
+    }
+
+    async function listFiles() {
+        const names = (await readdir(dir)).filter((name) => name.endsWith(".cache"));
+        const files = [];
+        for (const name of names) {
+            const stats = await stat(join(dir, name)).catch(() => null);
+            if (stats) {
+                files.push({ path: join(dir, name), size: stats.size, usedAt: stats.mtimeMs });
+            }
+        }
+        return files;
+    }
+
+    async function pruneDisk() {
+        const files = (await listFiles()).sort((a, b) => a.usedAt - b.usedAt);
+        diskBytes = files.reduce((total, file) => total + file.size, 0);
+        for (const file of files) {
+            if (diskBytes <= maxDiskBytes * PRUNE_TARGET) break;
+            await unlink(file.path).catch(() => {});
+            diskBytes -= file.size;
+        }
+    }
+
+    const filePath = (key) => join(dir, `${key}.cache`);
+
+    return {
+        async get(key) {
+            const item = memory.get(key);
+            if (item) {
+                forget(key);
+                if (item.expiresAt > Date.now()) {
+                    remember(key, item.entry, item.expiresAt);
+                    return item.entry;
+                }
+            }
+
+            if (!dir || !(await openDisk())) {
+                return null;
+            }
+            let file;
+            try {
+                file = await readFile(filePath(key));
+            } catch {
+                return null;
+            }
+            try {
+                const { expiresAt, entry } = decode(file);
+                if (expiresAt <= Date.now()) {
+                    await unlink(filePath(key)).catch(() => {});
+                    return null;
+                }
+                // The modification time tracks use, so pruning removes the least recently used files
+                const now = new Date();
+                await utimes(filePath(key), now, now).catch(() => {});
+                remember(key, entry, expiresAt);
+                return entry;
+            } catch (err) {
+                console.error("Discarding unreadable cache entry:", err.message);
+                await unlink(filePath(key)).catch(() => {});
+                return null;
+            }
+        },
+
+        async set(key, entry) {
+            const expiresAt = Date.now() + ttlMs;
+            remember(key, entry, expiresAt);
+
+            if (!dir || !(await openDisk())) {
+                return;
+            }
+            try {
+                const file = encode(entry, expiresAt);
+                const temporary = `${filePath(key)}.${process.pid}.tmp`;
+                await writeFile(temporary, file);
+                await rename(temporary, filePath(key));
+                diskBytes += file.length;
+                if (diskBytes > maxDiskBytes) {
+                    await pruneDisk();
+                }
+            } catch (err) {
+                // The cache only saves money, so failing to write it never fails the request
+                console.error("Failed to write cache entry:", err.message);
+            }
+        },
+    };
+}
@@ -0,0 +1,68 @@
+// Caption cues built from narration word timings ([{ word, start, end }]).
+
+// Keep each caption short enough to read at a glance
+const MAX_CUE_WORDS = 8;
+const MAX_CUE_CHARS = 42;
+const MAX_CUE_SECONDS = 4;
+
+// Groups words into cues ({ start, end, text }), breaking at the end of
+// sentences and clauses where possible
+export function buildCues(words) {
+    const cues = [];
+    let current = null;
+
+    for (const { word, start, end } of words) {
+        const text = current ? `${current.text} ${word}` : word;
+        const full = current && (
+            current.words >= MAX_CUE_WORDS
+            || text.length > MAX_CUE_CHARS
+            || end - current.start > MAX_CUE_SECONDS
+        );
+        if (!current || full) {
+            current = { start, end, text: word, words: 1 };
+            cues.push(current);
+        } else {
+            current.text = text;
+            current.end = end;
+            current.words++;
+        }
+        // Close the cue after sentence punctuation, or a comma once it has a few words
+        if (/[.!?]["”')]*$/.test(word) || (current.words >= MAX_CUE_WORDS / 2 && /[,;:]["”')]*$/.test(word))) {
+            current = null;
+        }
+    }
+    return cues.map(({ start, end, text }) => ({ start, end, text }));
+}
+
+function formatTime(seconds, separator) {
+    const ms = Math.max(0, Math.round(seconds * 1000));
+    const hours = String(Math.floor(ms / 3600000)).padStart(2, "0");
+    const minutes = String(Math.floor(ms / 60000) % 60).padStart(2, "0");
+    const secs = String(Math.floor(ms / 1000) % 60).padStart(2, "0");
+    return `${hours}:${minutes}:${secs}${separator}${String(ms % 1000).padStart(3, "0")}`;
+}
+
+// SubRip (.srt) captions
+export function toSrt(cues) {
+    return cues
+        .map((cue, i) => `${i + 1}\n${formatTime(cue.start, ",")} --> ${formatTime(cue.end, ",")}\n${cue.text}\n`)
+        .join("\n");
+}
+
+// WebVTT (.vtt) captions, as used by <track> elements. Cue text is markup in
+// WebVTT, so &, < and > are escaped.
+export function toVtt(cues) {
+    const body = cues
+        .map((cue) => {
+            const text = cue.text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+            return `${formatTime(cue.start, ".")} --> ${formatTime(cue.end, ".")}\n${text}\n`;
+        })
+        .join("\n");
+    return `WEBVTT\n\n${body}`;
+}
+
+// Caption formats by name, as accepted by the captions endpoint
+export const CAPTION_FORMATS = {
+    vtt: { mimeType: "text/vtt; charset=utf-8", build: toVtt },
+    srt: { mimeType: "application/x-subrip; charset=utf-8", build: toSrt },
+};
@@ -0,0 +1,201 @@
+import { createZip } from "./zip.js";
+
+// Packages a saved story as an EPUB3 audiobook: the text, its images and the
+// narration, with a SMIL media overlay so readers that support them (Apple
+// Books, Thorium, ...) highlight each word while it is read aloud.
+
+const EXTENSIONS = {
+    "audio/mpeg": "mp3",
+    "audio/wav": "wav",
+    "image/png": "png",
+    "image/jpeg": "jpg",
+    "image/jpg": "jpg",
+    "image/webp": "webp",
+    "image/gif": "gif",
+};
+
+// How far ahead to look for a word the narration skipped or split differently
+const LOOKAHEAD = 5;
+
+// Highlight class the reader applies to the word being read
+const ACTIVE_CLASS = "-epub-media-overlay-active";
+
+const STYLESHEET = `body { font-family: serif; line-height: 1.6; margin: 1em; }
+h1 { text-align: center; }
+img { display: block; max-width: 100%; margin: 1em auto; }
+.${ACTIVE_CLASS} { background-color: #fde68a; }
+`;
+
+function escapeXml(text) {
+    return text
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;");
+}
+
+function normalize(text) {
+    return text.toLowerCase().replace(/[^\p{L}\p{N}]/gu, "");
+}
+
+// SMIL clock value, e.g. 0:01:02.345
+function clock(seconds) {
+    const ms = Math.max(0, Math.round(seconds * 1000));
+    const minutes = String(Math.floor(ms / 60000) % 60).padStart(2, "0");
+    const secs = String(Math.floor(ms / 1000) % 60).padStart(2, "0");
+    return `${Math.floor(ms / 3600000)}:${minutes}:${secs}.${String(ms % 1000).padStart(3, "0")}`;
+}
+
+// Turns the story parts into XHTML, wrapping every narrated word in a span with
+// an id the overlay can point at. Words are matched to the timings in order,
+// like the player's read-along, so punctuation the narration dropped doesn't
+// throw the rest off. Returns { html, clips: [{ id, start, end }] }.
+function renderText(parts, words) {
+    const clips = [];
+    let next = 0;
+
+    const renderParagraph = (paragraph) => paragraph.split(/(\s+)/).filter(Boolean).map((token) => {
+        if (/^\s+$/.test(token)) return " ";
+        const key = normalize(token);
+        const end = Math.min(words.length, next + LOOKAHEAD);
+        for (let i = next; key && i < end; i++) {
+            if (normalize(words[i].word) === key) {
+                next = i + 1;
+                const id = `w${clips.length + 1}`;
+                clips.push({ id, start: words[i].start, end: words[i].end });
+                return `<span id="${id}">${escapeXml(token)}</span>`;
+            }
+        }
+        return escapeXml(token);
+    }).join("");
+
+    const html = parts.map(({ text, image }) => {
+        const paragraphs = text.split(/\n\s*\n/).map((p) => p.trim()).filter(Boolean);
+        return [
+            image ? `<img src="${image}" alt=""/>` : "",
+            ...paragraphs.map((paragraph) => `<p>${renderParagraph(paragraph)}</p>`),
+        ].filter(Boolean).join("\n");
+    }).join("\n");
+
+    return { html, clips };
+}
+
+// Builds the .epub file.
+//   story: a saved story from storage (id, title, story, options, panels)
+//   images: [{ data (Buffer), mimeType }] - the panels in order, or the single uploaded image
+//   audio: { data (Buffer), mimeType }
+//   words: word timings of the narration, [{ word, start, end }]
+// Returns a Buffer.
+export function buildEpub({ story, images, audio, words, modified = new Date() }) {
+    const title = story.title || "Story";
+    const language = story.options?.language || "en";
+    const audioFile = `audio/narration.${EXTENSIONS[audio.mimeType] || "mp3"}`;
+    const imageFiles = images.map((image, i) => ({
+        name: `images/image-${i + 1}.${EXTENSIONS[image.mimeType] || "png"}`,
+        ...image,
+    }));
+
+    // Panel stories show each image before its part of the text; otherwise the image leads the story
+    const usePanels = story.panels.length > 0 && story.panels.length === images.length
+        && story.panels.every((panel) => panel.segment);
+    const parts = usePanels
+        ? story.panels.map((panel, i) => ({ text: panel.segment, image: imageFiles[i].name }))
+        : [{ text: story.story, image: imageFiles[0]?.name }];
+    const { html, clips } = renderText(parts, words);
+
+    // Each clip runs until the next word starts, so the pauses between words are kept
+    const pars = clips.map((clip, i) => {
+        const clipEnd = clips[i + 1]?.start ?? clip.end;
+        return `    <par id="p${i + 1}"><text src="story.xhtml#${clip.id}"/>` +
+            `<audio src="${audioFile}" clipBegin="${clock(clip.start)}" clipEnd="${clock(Math.max(clip.start, clipEnd))}"/></par>`;
+    });
+    const duration = clock(words.length ? words[words.length - 1].end : 0);
+
+    const storyXhtml = `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="${language}" lang="${language}">
+<head>
+<meta charset="utf-8"/>
+<title>${escapeXml(title)}</title>
+<link rel="stylesheet" type="text/css" href="style.css"/>
+</head>
+<body>
+<h1>${escapeXml(title)}</h1>
+${html}
+</body>
+</html>
+`;
+
+    const smil = `<?xml version="1.0" encoding="UTF-8"?>
+<smil xmlns="http://www.w3.org/ns/SMIL" xmlns:epub="http://www.idpf.org/2007/ops" version="3.0">
+  <body>
+    <seq id="story-seq" epub:textref="story.xhtml" epub:type="bodymatter">
+${pars.join("\n")}
+    </seq>
+  </body>
+</smil>
+`;
+
+    const nav = `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="${language}" lang="${language}">
+<head>
+<meta charset="utf-8"/>
+<title>${escapeXml(title)}</title>
+</head>
+<body>
+<nav epub:type="toc" id="toc">
+<ol><li><a href="story.xhtml">${escapeXml(title)}</a></li></ol>
+</nav>
+</body>
+</html>
+`;
+
+    const imageItems = imageFiles.map((image, i) => `    <item id="image-${i + 1}" href="${image.name}" media-type="${image.mimeType === "image/jpg" ? "image/jpeg" : image.mimeType}"${i === 0 ? ' properties="cover-image"' : ""}/>`);
+    const opf = `<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id" xml:lang="${language}">
+  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+    <dc:identifier id="book-id">urn:uuid:${escapeXml(story.id)}</dc:identifier>
+    <dc:title>${escapeXml(title)}</dc:title>
+    <dc:language>${language}</dc:language>
+    <meta property="dcterms:modified">${modified.toISOString().replace(/\.\d+Z$/, "Z")}</meta>
+    <meta property="media:duration" refines="#story-overlay">${duration}</meta>
+    <meta property="media:duration">${duration}</meta>
+    <meta property="media:active-class">${ACTIVE_CLASS}</meta>
+${imageFiles.length ? '    <meta name="cover" content="image-1"/>\n' : ""}  </metadata>
+  <manifest>
+    <item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>
+    <item id="story" href="story.xhtml" media-type="application/xhtml+xml" media-overlay="story-overlay"/>
+    <item id="story-overlay" href="story.smil" media-type="application/smil+xml"/>
+    <item id="style" href="style.css" media-type="text/css"/>
+    <item id="narration" href="${audioFile}" media-type="${audio.mimeType}"/>
+${imageItems.join("\n")}
+  </manifest>
+  <spine>
+    <itemref idref="story"/>
+  </spine>
+</package>
+`;
+
+    const container = `<?xml version="1.0" encoding="UTF-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+  <rootfiles>
+    <rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/>
+  </rootfiles>
+</container>
+`;
+
+    return createZip([
+        // Must be the first entry, uncompressed, so readers can identify the file
+        { name: "mimetype", data: "application/epub+zip", store: true },
+        { name: "META-INF/container.xml", data: container },
+        { name: "OEBPS/content.opf", data: opf },
+        { name: "OEBPS/nav.xhtml", data: nav },
+        { name: "OEBPS/story.xhtml", data: storyXhtml },
+        { name: "OEBPS/story.smil", data: smil },
+        { name: "OEBPS/style.css", data: STYLESHEET },
+        // Audio and images are already compressed
+        { name: `OEBPS/${audioFile}`, data: audio.data, store: true },
+        ...imageFiles.map((image) => ({ name: `OEBPS/${image.name}`, data: image.data, store: true })),
+    ], modified);
+}
@@ -0,0 +1,180 @@
+import { spawn } from "child_process";
+import { mkdtemp, rm, writeFile } from "fs/promises";
+import { tmpdir } from "os";
+import { join } from "path";
+import { estimateWordTimings } from "../providers/tts/timings.js";
+import { countWords } from "../story/options.js";
+import { buildCues, toSrt } from "./captions.js";
+
+// Renders a story (images, narration, captions) to an MP4 with ffmpeg.
+// Needs ffmpeg and ffprobe installed locally (override with FFMPEG_PATH / FFPROBE_PATH).
+
+export const ASPECT_RATIOS = {
+    square: { width: 1080, height: 1080 },
+    portrait: { width: 1080, height: 1920 },
+    landscape: { width: 1920, height: 1080 },
+};
+
+export const SUBTITLE_MODES = ["burned", "soft", "none"];
+
+const FPS = 25;
+// How far the slow zoom goes in over each image
+const MAX_ZOOM = 1.15;
+// Background when the story has no images
+const BACKGROUND = "0x312e81";
+
+const EXTENSIONS = {
+    "audio/mpeg": "mp3",
+    "audio/wav": "wav",
+    "image/png": "png",
+    "image/jpeg": "jpg",
+    "image/jpg": "jpg",
+    "image/webp": "webp",
+    "image/gif": "gif",
+};
+
+// Validates the export options in a request body.
+// Returns { options } on success or { error } with a user-facing message.
+export function parseVideoOptions(body) {
+    const { aspectRatio = "square", panZoom = true, subtitles = "burned" } = body || {};
+    if (!ASPECT_RATIOS[aspectRatio]) {
+        return { error: `Aspect ratio must be one of: ${Object.keys(ASPECT_RATIOS).join(", ")}.` };
+    }
+    if (!SUBTITLE_MODES.includes(subtitles)) {
+        return { error: `Subtitles must be one of: ${SUBTITLE_MODES.join(", ")}.` };
+    }
+    return { options: { aspectRatio, panZoom: Boolean(panZoom), subtitles } };
+}
+
+function run(command, args, { cwd, signal }) {
+    return new Promise((resolve, reject) => {
+        const child = spawn(command, args, { cwd, signal, stdio: ["ignore", "pipe", "pipe"] });
+        let stdout = "";
+        let stderr = "";
+        child.stdout.on("data", (chunk) => {
+            stdout += chunk;
+        });
+        child.stderr.on("data", (chunk) => {
+            stderr += chunk;
+        });
+        child.on("error", (err) => {
+            // Keep the code so callers can tell a missing binary (ENOENT) apart
+            reject(Object.assign(new Error(`Failed to start ${command}: ${err.message}`), { code: err.code }));
+        });
+        child.on("close", (code) => {
+            if (code === 0) {
+                resolve(stdout);
+            } else {
+                reject(new Error(`${command} exited with code ${code}: ${stderr.substring(0, 500)}`));
+            }
+        });
+    });
+}
+
+async function probeDuration(file, options) {
+    const output = await run(process.env.FFPROBE_PATH || "ffprobe",
+        ["-v", "error", "-show_entries", "format=duration", "-of", "csv=p=0", file], options);
+    const duration = Number(output.trim());
+    if (!Number.isFinite(duration) || duration <= 0) {
+        throw new Error("Could not read the narration length");
+    }
+    return duration;
+}
+
+// How long each image is shown: until the next panel's segment starts, found
+// from the word timings. Without segments the images share the time equally.
+function slideDurations(count, segments, words, duration) {
+    if (!segments || segments.length !== count) {
+        return new Array(count).fill(duration / count);
+    }
+    const starts = [];
+    let wordsBefore = 0;
+    for (const segment of segments) {
+        starts.push(words[wordsBefore]?.start ?? (duration * starts.length) / count);
+        wordsBefore += countWords(segment);
+    }
+    starts[0] = 0;
+    return starts.map((start, i) => Math.max(1 / FPS, (starts[i + 1] ?? duration) - start));
+}
+
+function slideFilter(index, { width, height }, seconds, panZoom) {
+    if (!panZoom) {
+        return `[${index}:v]scale=${width}:${height}:force_original_aspect_ratio=increase,crop=${width}:${height},fps=${FPS},setsar=1[s${index}]`;
+    }
+    // Scale up first so the zoom moves smoothly instead of in whole pixels
+    const frames = Math.max(1, Math.round(seconds * FPS));
+    const step = ((MAX_ZOOM - 1) / frames).toFixed(6);
+    return `[${index}:v]scale=${width * 2}:${height * 2}:force_original_aspect_ratio=increase,crop=${width * 2}:${height * 2},` +
+        `zoompan=z='min(zoom+${step},${MAX_ZOOM})':d=${frames}:x='iw/2-(iw/zoom/2)':y='ih/2-(ih/zoom/2)':s=${width}x${height}:fps=${FPS},setsar=1[s${index}]`;
+}
+
+// Renders the video into a temporary directory.
+//   story: the story text (captions fall back to estimated timings without `words`)
+//   images: [{ data (Buffer), mimeType }] shown in order, `segments` the matching story text
+//   audio: { data (Buffer), mimeType }
+// Returns { file, cleanup } - call cleanup() once the file has been sent.
+export async function renderVideo({ story, images, segments, audio, words, options, signal }) {
+    const dir = await mkdtemp(join(tmpdir(), "story-video-"));
+    const cleanup = () => rm(dir, { recursive: true, force: true }).catch(() => {});
+    const runOptions = { cwd: dir, signal };
+
+    try {
+        const size = ASPECT_RATIOS[options.aspectRatio];
+        const audioFile = `narration.${EXTENSIONS[audio.mimeType] || "mp3"}`;
+        await writeFile(join(dir, audioFile), audio.data);
+        const duration = await probeDuration(audioFile, runOptions);
+        const timings = words?.length ? words : estimateWordTimings(story, duration);
+
+        const args = ["-y", "-hide_banner", "-loglevel", "error"];
+        const filters = [];
+        const durations = slideDurations(Math.max(1, images.length), segments, timings, duration);
+
+        if (images.length) {
+            for (const [i, image] of images.entries()) {
+                const imageFile = `image-${i + 1}.${EXTENSIONS[image.mimeType] || "png"}`;
+                await writeFile(join(dir, imageFile), image.data);
+                // zoompan makes its frames from a single input frame; plain slides loop the image instead
+                args.push(...(options.panZoom ? [] : ["-loop", "1", "-t", durations[i].toFixed(3)]), "-i", imageFile);
+                filters.push(slideFilter(i, size, durations[i], options.panZoom));
+            }
+        } else {
+            args.push("-f", "lavfi", "-t", duration.toFixed(3), "-i", `color=c=${BACKGROUND}:s=${size.width}x${size.height}:r=${FPS}`);
+            filters.push("[0:v]setsar=1[s0]");
+        }
+
+        const slideCount = filters.length;
+        const slides = Array.from({ length: slideCount }, (_, i) => `[s${i}]`).join("");
+        const videoLabel = options.subtitles === "burned" ? "[slides]" : "[video]";
+        filters.push(`${slides}concat=n=${slideCount}:v=1:a=0,format=yuv420p${videoLabel}`);
+
+        args.push("-i", audioFile);
+        if (options.subtitles !== "none") {
+            await writeFile(join(dir, "captions.srt"), toSrt(buildCues(timings)));
+        }
+        if (options.subtitles === "burned") {
+            const fontSize = options.aspectRatio === "portrait" ? 12 : 18;
+            filters.push(`[slides]subtitles=captions.srt:force_style='Fontsize=${fontSize},Outline=2,MarginV=24'[video]`);
+        }
+        if (options.subtitles === "soft") {
+            args.push("-i", "captions.srt");
+        }
+
+        args.push("-filter_complex", filters.join(";"), "-map", "[video]", "-map", `${slideCount}:a`);
+        if (options.subtitles === "soft") {
+            args.push("-map", `${slideCount + 1}:s`, "-c:s", "mov_text");
+        }
+        args.push(
+            "-c:v", "libx264", "-preset", "veryfast", "-crf", "23", "-r", String(FPS),
+            "-c:a", "aac", "-b:a", "128k",
+            "-shortest", "-movflags", "+faststart",
+            "story.mp4"
+        );
+
+        console.log(`Rendering ${options.aspectRatio} video with ${slideCount} slide(s), ${duration.toFixed(1)}s`);
+        await run(process.env.FFMPEG_PATH || "ffmpeg", args, runOptions);
+        return { file: join(dir, "story.mp4"), cleanup };
+    } catch (err) {
+        await cleanup();
+        throw err;
+    }
+}
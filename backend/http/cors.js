@@ -0,0 +1,25 @@
+import { CACHE_HEADERS } from "../cache/index.js";
+
+// Secure CORS - only allow the frontend domain(s)
+const allowedOrigins = [
+    process.env.FRONTEND_URL,
+    'http://localhost:5173',
+    'http://localhost:3000',
+    // Add your production frontend URL here
+].filter(Boolean);
+
+// Sets CORS headers for a route. Requests from other origins get no
+// Access-Control-Allow-Origin header, so browsers refuse to read the response.
+export function applyCors(req, res, methods) {
+    const origin = req.headers.origin;
+    if (origin && allowedOrigins.includes(origin)) {
+        res.setHeader('Access-Control-Allow-Origin', origin);
+    }
+    res.setHeader('Vary', 'Origin');
+    res.setHeader('Access-Control-Allow-Credentials', 'true');
+    res.setHeader('Access-Control-Allow-Methods', `${methods.join(', ')}, OPTIONS`);
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+    // Let the frontend read whether results came from the cache, when a quota
+    // resets, and the file name of downloads
+    res.setHeader('Access-Control-Expose-Headers', [...Object.values(CACHE_HEADERS), 'Retry-After', 'Content-Disposition'].join(', '));
+}
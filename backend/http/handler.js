@@ -0,0 +1,88 @@
+import { applyCors } from "./cors.js";
+import { createRateLimiter, clientKey } from "./rateLimit.js";
+import { authenticate } from "../auth/index.js";
+import { enforceQuota } from "../auth/quota.js";
+import { startMeter, withMeter, hasUsage, finishMeter } from "../metering/index.js";
+import { readUpload } from "./upload.js";
+
+// Rate limiting - prevent abuse. Keyed by user when signed in, otherwise by IP.
+const isRateLimited = createRateLimiter({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 100, // Limit each user or IP to 100 requests per windowMs
+    message: 'Too many requests from this IP, please try again later.',
+});
+
+// Wraps route definitions ({ method, path, handler }) for a single path into
+// a (req, res) function usable both as an Express route and as a Vercel function.
+// Everything that used to be copy-pasted per endpoint - CORS, preflight,
+// method checks, sign-in, rate limiting, quotas, usage metering, the
+// last-resort error response - lives here. Routes may also set:
+//   auth: true - only for signed-in users (req.user)
+//   usage(req) - quota the request uses, e.g. { generations: 1 } (see auth/quota.js)
+//   upload: true - also accepts the body as a multipart/form-data image upload (see upload.js)
+export function createHandler(...routes) {
+    const methods = routes.map((route) => route.method);
+
+    return async function handler(req, res) {
+        applyCors(req, res, methods);
+
+        // Handle preflight requests
+        if (req.method === 'OPTIONS') {
+            return res.status(200).end();
+        }
+
+        const route = routes.find((candidate) => candidate.method === req.method);
+        if (!route) {
+            res.setHeader('Allow', methods.join(', '));
+            return res.status(405).json({ error: 'Method not allowed' });
+        }
+
+        try {
+            // Read before anything touches req.body, which Vercel parses on first access
+            if (route.upload && !(await readUpload(req, res))) {
+                return;
+            }
+            // Express 5 leaves req.body undefined when there is no JSON body
+            if (req.body === undefined) {
+                req.body = {};
+            }
+            // Vercel passes dynamic path segments ([id].js) in req.query
+            if (req.params === undefined) {
+                req.params = req.query;
+            }
+
+            const { user, token, error: authError } = await authenticate(req);
+            if (authError) {
+                return res.status(401).json({ error: authError });
+            }
+            req.user = user;
+            req.token = token ?? null;
+            if (route.auth && !req.user) {
+                return res.status(401).json({ error: "Please sign in first." });
+            }
+
+            if (isRateLimited(req, res)) {
+                return;
+            }
+            if (route.usage && !(await enforceQuota(req, res, route.usage(req)))) {
+                return;
+            }
+
+            // Requests that use quota or call a paid provider are metered
+            const meter = startMeter(clientKey(req), `${route.method} ${route.path}`);
+            res.on("close", () => {
+                if (route.usage || hasUsage(meter)) {
+                    const outcome = !res.writableFinished ? "cancelled" : res.statusCode >= 400 ? "error" : "ok";
+                    finishMeter(meter, outcome, res.statusCode);
+                }
+            });
+            await withMeter(meter, () => route.handler(req, res));
+        } catch (err) {
+            console.error(`Unhandled error in ${route.method} ${route.path}:`, err);
+            if (!res.headersSent) {
+                // Never expose error details to clients - security risk
+                res.status(500).json({ error: "Internal server error" });
+            }
+        }
+    };
+}
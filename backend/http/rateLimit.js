@@ -0,0 +1,56 @@
+// Who a request is counted against: its signed-in user ("user:<id>"), so
+// people sharing an IP address (e.g. a school behind one NAT) don't share a
+// limit, or else its IP address ("ip:<address>")
+export function clientKey(req) {
+    if (req.user) {
+        return `user:${req.user.id}`;
+    }
+    // Express sets req.ip; on Vercel the platform sets x-forwarded-for
+    const address = req.ip
+        || req.headers['x-forwarded-for']?.split(',')[0].trim()
+        || req.socket?.remoteAddress
+        || 'unknown';
+    return `ip:${address}`;
+}
+
+// In-memory fixed-window rate limiter shared by the Express server and the
+// Vercel functions. On Vercel each function instance keeps its own window,
+// so the limit is best-effort there.
+export function createRateLimiter({ windowMs, max, message }) {
+    const hits = new Map();
+
+    function sweep(now) {
+        for (const [key, entry] of hits) {
+            if (entry.resetAt <= now) {
+                hits.delete(key);
+            }
+        }
+    }
+
+    // Returns true (after sending a 429) if the request is over the limit
+    return function isRateLimited(req, res) {
+        const now = Date.now();
+        if (hits.size > 10000) {
+            sweep(now);
+        }
+
+        const key = clientKey(req);
+        let entry = hits.get(key);
+        if (!entry || entry.resetAt <= now) {
+            entry = { count: 0, resetAt: now + windowMs };
+            hits.set(key, entry);
+        }
+        entry.count++;
+
+        res.setHeader('RateLimit-Policy', `${max};w=${Math.round(windowMs / 1000)}`);
+        res.setHeader('RateLimit-Limit', String(max));
+        res.setHeader('RateLimit-Remaining', String(Math.max(0, max - entry.count)));
+        res.setHeader('RateLimit-Reset', String(Math.ceil((entry.resetAt - now) / 1000)));
+
+        if (entry.count > max) {
+            res.status(429).json({ error: message });
+            return true;
+        }
+        return false;
+    };
+}
@@ -0,0 +1,65 @@
+import multer from "multer";
+import { MAX_PANELS } from "../story/panels.js";
+import { imageLimits, formatMegabytes } from "../story/images.js";
+
+// multipart/form-data uploads for routes with `upload: true` (see handler.js),
+// as an alternative to base64 data URLs in a JSON body. Files sent as
+// `images` (in order) or `image` become Buffers in req.body.images, where
+// parsePanels() checks them like data URLs; the other form fields become
+// req.body fields.
+
+// Limits on the form fields next to the files: the story options are short
+const MAX_FIELDS = 30;
+const MAX_FIELD_BYTES = 100 * 1024;
+
+const UPLOAD_ERRORS = {
+    LIMIT_FILE_COUNT: `Upload at most ${MAX_PANELS} panels or pages at a time.`,
+    LIMIT_UNEXPECTED_FILE: "Send images as \"images\" (or a single \"image\") form fields.",
+    LIMIT_FIELD_COUNT: "The form has too many fields.",
+    LIMIT_FIELD_VALUE: "A form field is too long.",
+};
+
+function isMultipart(req) {
+    return /^multipart\/form-data\b/i.test(req.headers["content-type"] || "");
+}
+
+// Form fields are strings; "true" and "false" become booleans so flags such
+// as `regenerate` work as they do in JSON bodies
+function toBody(fields) {
+    return Object.fromEntries(
+        Object.entries(fields).map(([name, value]) => [name, value === "true" ? true : value === "false" ? false : value])
+    );
+}
+
+// Reads a multipart upload into req.body. Requests of other types are left
+// alone. Resolves with true to go on, or false once an error response
+// (400, or 413 for a file over IMAGE_MAX_BYTES) has been sent.
+export async function readUpload(req, res) {
+    if (!isMultipart(req)) {
+        return true;
+    }
+    const { maxBytes } = imageLimits();
+    const parse = multer({
+        storage: multer.memoryStorage(),
+        limits: { fileSize: maxBytes, files: MAX_PANELS, fields: MAX_FIELDS, fieldSize: MAX_FIELD_BYTES },
+    }).fields([{ name: "images", maxCount: MAX_PANELS }, { name: "image", maxCount: 1 }]);
+
+    try {
+        await new Promise((resolve, reject) => parse(req, res, (err) => (err ? reject(err) : resolve())));
+    } catch (err) {
+        if (err.code === "LIMIT_FILE_SIZE") {
+            res.status(413).json({ error: `Images can be at most ${formatMegabytes(maxBytes)}.` });
+        } else {
+            console.warn("Could not read upload:", err.message);
+            res.status(400).json({ error: UPLOAD_ERRORS[err.code] || "The upload could not be read. Please try again." });
+        }
+        return false;
+    }
+
+    const files = [...(req.files?.images ?? []), ...(req.files?.image ?? [])];
+    req.body = toBody(req.body ?? {});
+    if (files.length) {
+        req.body.images = files.map((file) => file.buffer);
+    }
+    return true;
+}
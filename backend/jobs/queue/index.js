@@ -0,0 +1,34 @@
+import { createMemoryQueue } from "./memory.js";
+import { createSqliteQueue } from "./sqlite.js";
+
+// Job queues store jobs and hand them to the worker (see jobs/worker.js).
+// A job is a plain object { id, status, createdAt, updatedAt, ... } where
+// status is queued, running, done, failed or cancelled. Queues implement:
+//   add(job) -> Promise<job>
+//   get(id) -> Promise<job | null>
+//   claim() -> Promise<job | null>: marks the oldest queued job running and returns it
+//   update(id, changes) -> Promise<job | null>: merges changes into a queued or
+//     running job; finished jobs are returned unchanged
+//   prune(before) -> Promise: removes jobs that finished before an ISO date
+//   name
+const factories = {
+    memory: createMemoryQueue,
+    sqlite: createSqliteQueue,
+};
+
+let queue = null;
+
+// Returns the queue selected by JOB_QUEUE (default: memory).
+// Created lazily so environment variables loaded by dotenv are picked up.
+export function getJobQueue() {
+    if (!queue) {
+        const name = (process.env.JOB_QUEUE || "memory").toLowerCase();
+        const factory = factories[name];
+        if (!factory) {
+            throw new Error(`Unknown JOB_QUEUE "${name}". Expected one of: ${Object.keys(factories).join(", ")}`);
+        }
+        queue = factory();
+        console.log(`Using job queue: ${queue.name}`);
+    }
+    return queue;
+}
@@ -0,0 +1,49 @@
+// Keeps jobs in this process. Nothing survives a restart, and on Vercel each
+// function instance has its own queue.
+export function createMemoryQueue() {
+    const jobs = new Map();
+
+    return {
+        name: "memory",
+
+        async add(job) {
+            jobs.set(job.id, structuredClone(job));
+            return job;
+        },
+
+        async get(id) {
+            const job = jobs.get(id);
+            return job ? structuredClone(job) : null;
+        },
+
+        async claim() {
+            // Maps iterate in insertion order, so this is the oldest waiting job
+            for (const job of jobs.values()) {
+                if (job.status === "queued") {
+                    Object.assign(job, { status: "running", updatedAt: new Date().toISOString() });
+                    return structuredClone(job);
+                }
+            }
+            return null;
+        },
+
+        async update(id, changes) {
+            const job = jobs.get(id);
+            if (!job) {
+                return null;
+            }
+            if (job.status === "queued" || job.status === "running") {
+                Object.assign(job, structuredClone(changes), { updatedAt: new Date().toISOString() });
+            }
+            return structuredClone(job);
+        },
+
+        async prune(before) {
+            for (const [id, job] of jobs) {
+                if (job.status !== "queued" && job.status !== "running" && job.updatedAt < before) {
+                    jobs.delete(id);
+                }
+            }
+        },
+    };
+}
@@ -0,0 +1,94 @@
+import { getDatabase } from "../../storage/db.js";
+
+// Keeps jobs in the story library database, so queued jobs and finished
+// results survive a restart. Meant for a single server process: jobs that
+// were running when it stopped are marked failed the next time it starts.
+
+const INTERRUPTED_ERROR = "The server restarted while this job was running. Please submit it again.";
+
+function toJob(row) {
+    return {
+        ...JSON.parse(row.data),
+        id: row.id,
+        status: row.status,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at,
+    };
+}
+
+function toData({ id, status, createdAt, updatedAt, ...data }) {
+    return JSON.stringify(data);
+}
+
+export function createSqliteQueue() {
+    let ready = null;
+
+    // Fails the jobs an earlier run of the server left behind, once
+    function open() {
+        ready ??= (async () => {
+            const db = await getDatabase();
+            const now = new Date().toISOString();
+            for (const row of db.prepare("SELECT * FROM jobs WHERE status = 'running'").all()) {
+                const job = { ...toJob(row), status: "failed", error: INTERRUPTED_ERROR, finishedAt: now };
+                db.prepare("UPDATE jobs SET status = ?, data = ?, updated_at = ? WHERE id = ?")
+                    .run(job.status, toData(job), now, job.id);
+            }
+            return db;
+        })().catch((err) => {
+            ready = null;
+            throw err;
+        });
+        return ready;
+    }
+
+    return {
+        name: "sqlite",
+
+        async add(job) {
+            const db = await open();
+            db.prepare("INSERT INTO jobs (id, status, data, created_at, updated_at) VALUES (?, ?, ?, ?, ?)")
+                .run(job.id, job.status, toData(job), job.createdAt, job.updatedAt);
+            return job;
+        },
+
+        async get(id) {
+            const db = await open();
+            const row = db.prepare("SELECT * FROM jobs WHERE id = ?").get(id);
+            return row ? toJob(row) : null;
+        },
+
+        async claim() {
+            const db = await open();
+            const row = db.prepare("SELECT * FROM jobs WHERE status = 'queued' ORDER BY created_at LIMIT 1").get();
+            if (!row) {
+                return null;
+            }
+            const now = new Date().toISOString();
+            // Another claim may have won the row in the meantime
+            const { changes } = db.prepare("UPDATE jobs SET status = 'running', updated_at = ? WHERE id = ? AND status = 'queued'")
+                .run(now, row.id);
+            return changes > 0 ? { ...toJob(row), status: "running", updatedAt: now } : null;
+        },
+
+        async update(id, changes) {
+            const db = await open();
+            const row = db.prepare("SELECT * FROM jobs WHERE id = ?").get(id);
+            if (!row) {
+                return null;
+            }
+            const job = toJob(row);
+            if (job.status !== "queued" && job.status !== "running") {
+                return job;
+            }
+            const updated = { ...job, ...changes, updatedAt: new Date().toISOString() };
+            db.prepare("UPDATE jobs SET status = ?, data = ?, updated_at = ? WHERE id = ?")
+                .run(updated.status, toData(updated), updated.updatedAt, id);
+            return updated;
+        },
+
+        async prune(before) {
+            const db = await open();
+            db.prepare("DELETE FROM jobs WHERE status NOT IN ('queued', 'running') AND updated_at < ?").run(before);
+        },
+    };
+}
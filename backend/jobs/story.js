@@ -0,0 +1,230 @@
+import { getStoryProvider } from "../providers/story/index.js";
+import { getTTSProvider } from "../providers/tts/index.js";
+import { parseStoryOptions, buildStoryPrompt, countWords } from "../story/options.js";
+import { cleanText, MAX_NARRATION_CHARS } from "../story/input.js";
+import { screenInput } from "../story/injection.js";
+import { moderateImages, moderateTexts, moderateStory } from "../moderation/index.js";
+import { withSourceLanguage } from "../story/language.js";
+import { parsePanels, parsePageTexts, extractPanels, buildPanelStoryPrompt, panelSegments } from "../story/panels.js";
+import { scriptOptions, parsePartialJson, scriptToText, finishScript } from "../story/script.js";
+import { narrateStory, parseVoiceId, parseVoiceMap } from "../story/narration.js";
+import { NARRATOR } from "../story/segments.js";
+import { recordStory, recordStoryAudio } from "../storage/stories.js";
+import { requestCache } from "../cache/index.js";
+import { recordUsage } from "../auth/quota.js";
+
+// The story job: extract text from the uploaded images (if any), write the
+// story and narrate it - what /api/extract-and-process or /api/process-text
+// followed by /api/generate-voice do, without a request that has to stay open.
+
+const EXTRACT_PROMPT = "Extract all text from this image. Return only the text content, nothing else.";
+
+// Validates a POST /api/jobs body. It takes the fields of the generation
+// routes: `images` (or `image`, with optional `pageTexts`) or `text`, the story options, and for the
+// narration `voiceId`, `multiVoice` and `voiceMap`; `narrate: false` stops
+// after the story is written.
+// Resolves with { input } to store with the job, or { error } with a user-facing
+// message and, for images that are too large or not images, a `status` of 413 or 415.
+export async function parseStoryJob(body) {
+    const hasImages = Boolean(body.images ?? body.image);
+    const text = typeof body.text === "string" ? body.text.trim() : "";
+
+    let panels = null;
+    let pageTexts = null;
+    if (hasImages) {
+        const { panels: parsed, error, status } = await parsePanels(body);
+        if (error) {
+            return { error, status };
+        }
+        panels = parsed;
+        const reviewed = parsePageTexts(body, panels.length);
+        if (reviewed.error) {
+            return { error: reviewed.error };
+        }
+        pageTexts = reviewed.pageTexts;
+    } else if (!cleanText(text)) {
+        return { error: "Upload an image or provide text to write a story from." };
+    } else {
+        const { error } = screenInput(text);
+        if (error) {
+            return { error };
+        }
+    }
+
+    const { options, error: optionsError } = parseStoryOptions(body);
+    if (optionsError) {
+        return { error: optionsError };
+    }
+
+    const narrate = body.narrate !== false;
+    let voiceId;
+    let voiceMap = {};
+    if (narrate) {
+        const provider = getTTSProvider();
+        const voice = await parseVoiceId(body.voiceId, provider);
+        const voices = await parseVoiceMap(body.voiceMap, provider);
+        if (voice.error || voices.error) {
+            return { error: voice.error || voices.error };
+        }
+        voiceId = voice.voiceId;
+        voiceMap = voices.voiceMap;
+    }
+
+    return {
+        input: {
+            panels,
+            pageTexts,
+            text: panels ? null : text,
+            options,
+            narrate,
+            voiceId: voiceId ?? null,
+            multiVoice: narrate && body.multiVoice === true,
+            voiceMap,
+            regenerate: body.regenerate === true,
+        },
+    };
+}
+
+// Stages the job goes through, in order
+export function storyJobStages(input) {
+    return [
+        ...(input.panels ? ["extracting"] : []),
+        "writing",
+        ...(input.narrate ? ["narrating"] : []),
+    ];
+}
+
+// Runs a job's input through every stage. report(stage, progress) is called
+// when a stage starts and as it advances, with progress from 0 to 1 or null
+// when it can't be measured.
+// Returns { result } or { error } with a user-facing message; unexpected
+// failures are thrown.
+export async function runStoryJob(input, { signal, report }) {
+    const cache = requestCache({ body: input });
+    const storyProvider = getStoryProvider();
+    const result = {};
+
+    // Stage 1: read the text of the images
+    let sourceText = input.text;
+    let panelTexts = null;
+    if (input.panels) {
+        report("extracting", 0);
+        const { blocked } = await moderateImages(input.panels, { signal });
+        if (blocked) {
+            return { error: blocked.message };
+        }
+        if (input.pageTexts) {
+            // Already read and reviewed (see /api/extract)
+            panelTexts = input.panels.length > 1 ? input.pageTexts : null;
+            sourceText = input.pageTexts.join("\n\n");
+            report("extracting", 1);
+        } else if (input.panels.length > 1) {
+            panelTexts = await extractPanels(storyProvider, input.panels, {
+                signal,
+                cache,
+                onProgress: (done, total) => report("extracting", done / total),
+            });
+            if (panelTexts.every((text) => !text)) {
+                return { error: "No text could be extracted from the images. Please try different images." };
+            }
+            sourceText = panelTexts.join("\n\n");
+        } else {
+            sourceText = (await storyProvider.extractText(input.panels[0], EXTRACT_PROMPT, { signal, cache }))?.trim();
+            if (!sourceText) {
+                return { error: "No text could be extracted from the image. Please try a different image." };
+            }
+        }
+        result.extractedText = sourceText;
+        const { error } = screenInput(sourceText, "image");
+        if (error) {
+            return { error };
+        }
+    }
+
+    // Stage 2: write the story, with progress measured against the target length.
+    // Personal data is left out of the prompt.
+    const storyOptions = withSourceLanguage(input.options, sourceText);
+    report("writing", 0);
+    const { texts: safeTexts, blocked: textBlocked } = await moderateTexts(panelTexts ?? [cleanText(sourceText)], {
+        signal,
+        source: input.panels ? "image" : "text",
+    });
+    if (textBlocked) {
+        return { error: textBlocked.message };
+    }
+    const prompt = panelTexts
+        ? buildPanelStoryPrompt(safeTexts, storyOptions)
+        : buildStoryPrompt(safeTexts[0], storyOptions, input.panels ? "image" : undefined);
+    let output = "";
+    for await (const chunk of storyProvider.streamText(prompt, scriptOptions(prompt, { signal, cache }))) {
+        output += chunk;
+        const written = scriptToText(parsePartialJson(output), { partial: true });
+        report("writing", Math.min(countWords(written) / storyOptions.targetWords, 1));
+    }
+    const sceneCount = panelTexts?.length;
+    const { blocked, script, text: story, moderation } = await moderateStory(
+        prompt, await finishScript(prompt, output, { signal, cache, sceneCount }), { signal, cache, sceneCount }
+    );
+    if (blocked) {
+        return { error: blocked.message };
+    }
+
+    let segments = null;
+    if (panelTexts) {
+        segments = panelSegments(script);
+        result.panels = panelTexts.map((text, i) => ({ extractedText: text, segment: segments[i] }));
+    }
+
+    const storyId = await recordStory({
+        owner: input.usageSubject,
+        sourceType: panelTexts ? "panels" : input.panels ? "image" : "text",
+        sourceText: input.text,
+        extractedText: result.extractedText ?? null,
+        story,
+        script,
+        options: storyOptions,
+        image: input.panels?.[0] ?? null,
+        panels: segments && input.panels.map((image, i) => ({ image, extractedText: panelTexts[i], segment: segments[i] })),
+    });
+    Object.assign(result, {
+        storyId,
+        processedStory: story,
+        script,
+        wordCount: countWords(story),
+        targetWords: storyOptions.targetWords,
+        language: storyOptions.language,
+        sourceLanguage: storyOptions.sourceLanguage,
+        moderation,
+    });
+
+    // Stage 3: narrate it. Single-voice audio has no measurable progress.
+    if (input.narrate) {
+        report("narrating", input.multiVoice ? 0 : null);
+        const options = { signal, language: storyOptions.language, cache };
+        const narrationText = input.multiVoice ? story : cleanText(story, MAX_NARRATION_CHARS);
+        const audio = input.multiVoice
+            ? await narrateStory(story, { [NARRATOR]: input.voiceId ?? undefined, ...input.voiceMap }, {
+                ...options,
+                onProgress: (done, total) => report("narrating", done / total),
+            })
+            : await getTTSProvider().synthesize(narrationText, { ...options, voiceId: input.voiceId ?? undefined });
+        const chunks = [];
+        for await (const chunk of audio.stream) {
+            chunks.push(Buffer.from(chunk));
+        }
+        if (chunks.length === 0) {
+            throw new Error("No audio data received from TTS provider");
+        }
+        // Counted once all of the audio has arrived
+        if (input.usageSubject) {
+            await recordUsage(input.usageSubject, { ttsCharacters: Math.min(narrationText.length, MAX_NARRATION_CHARS) });
+        }
+        const audioBuffer = Buffer.concat(chunks);
+        const words = (await audio.words) ?? null;
+        await recordStoryAudio(storyId, input.usageSubject, audio.mimeType, audioBuffer, words);
+        Object.assign(result, { audioBase64: audioBuffer.toString("base64"), audioMime: audio.mimeType, words });
+    }
+
+    result.cache = cache.statuses;
+    return { result };
+}
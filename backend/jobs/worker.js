@@ -0,0 +1,199 @@
+import { randomUUID } from "crypto";
+import { getJobQueue } from "./queue/index.js";
+import { storyJobStages, runStoryJob } from "./story.js";
+import { startMeter, withMeter, finishMeter } from "../metering/index.js";
+import { refundUsage } from "../auth/quota.js";
+
+// In-process worker running background jobs from the queue (see queue/index.js).
+// Configured with:
+//   JOB_CONCURRENCY - jobs run at the same time (default: 1)
+//   JOB_TTL_HOURS - how long finished jobs and their results are kept (default: 24)
+
+const DEFAULTS = {
+    concurrency: 1,
+    ttlHours: 24,
+};
+
+// Progress within a stage is saved at most this often; stage changes always are
+const PROGRESS_INTERVAL_MS = 500;
+
+// Abort controllers of the jobs running in this process, by job ID
+const controllers = new Map();
+let active = 0;
+let claiming = false;
+let claimAgain = false;
+
+// Gives the story generation reserved when a job was submitted (see jobUsage
+// in routes/jobs.js) back to its owner if the job failed or was cancelled by
+// the update that returned `saved` - the one whose finishedAt it has - so a
+// job is refunded once however many updates try to finish it. Narration is
+// only counted once it is done.
+async function refundFailedJob(saved, finishedAt) {
+    if (saved?.owner && saved.finishedAt === finishedAt && (saved.status === "failed" || saved.status === "cancelled")) {
+        await refundUsage(saved.owner, saved.createdAt, { generations: 1 });
+    }
+}
+
+// Done, failed or cancelled
+export function isFinished(job) {
+    return job.status !== "queued" && job.status !== "running";
+}
+
+// Queues a job for input from parseStoryJob() and returns it. `owner` is
+// clientKey() of the request that submitted it, the only one that may see it.
+export async function submitJob(input, owner) {
+    const queue = getJobQueue();
+    const now = new Date().toISOString();
+    const job = {
+        id: randomUUID(),
+        type: "story",
+        owner,
+        status: "queued",
+        stage: null,
+        stages: storyJobStages(input).map((name) => ({ name, status: "pending", progress: null })),
+        input,
+        result: null,
+        error: null,
+        createdAt: now,
+        updatedAt: now,
+        startedAt: null,
+        finishedAt: null,
+    };
+    await queue.add(job);
+
+    const ttlHours = Number(process.env.JOB_TTL_HOURS) || DEFAULTS.ttlHours;
+    queue.prune(new Date(Date.now() - ttlHours * 60 * 60 * 1000).toISOString())
+        .catch((err) => console.error("Failed to prune old jobs:", err.message));
+
+    startJobWorker();
+    return job;
+}
+
+// Cancels a queued or running job. Returns the job (unchanged if it had
+// already finished) or null if there is no such job.
+export async function cancelJob(id) {
+    const finishedAt = new Date().toISOString();
+    const job = await getJobQueue().update(id, { status: "cancelled", stage: null, input: null, finishedAt });
+    if (job?.status === "cancelled") {
+        controllers.get(id)?.abort();
+    }
+    await refundFailedJob(job, finishedAt);
+    return job;
+}
+
+// Starts running queued jobs, e.g. ones left from before a restart with JOB_QUEUE=sqlite
+export function startJobWorker() {
+    claimNext().catch((err) => console.error("Job worker error:", err.message));
+}
+
+async function claimNext() {
+    if (claiming) {
+        // A job may have been queued after the running claim looked
+        claimAgain = true;
+        return;
+    }
+    claiming = true;
+    try {
+        const concurrency = Number(process.env.JOB_CONCURRENCY) || DEFAULTS.concurrency;
+        do {
+            claimAgain = false;
+            while (active < concurrency) {
+                const job = await getJobQueue().claim();
+                if (!job) {
+                    break;
+                }
+                active++;
+                run(job).finally(() => {
+                    active--;
+                    startJobWorker();
+                });
+            }
+        } while (claimAgain && active < concurrency);
+    } finally {
+        claiming = false;
+    }
+}
+
+async function run(job) {
+    const queue = getJobQueue();
+    const controller = new AbortController();
+    controllers.set(job.id, controller);
+    console.log(`Job ${job.id} started`);
+
+    // Saves are chained so they land in order, and resolve with the job as
+    // saved (null if saving failed). A job cancelled from another process is
+    // noticed when its next change is saved.
+    let saving = Promise.resolve();
+    const save = (changes) => {
+        saving = saving
+            .then(() => queue.update(job.id, changes))
+            .then((saved) => {
+                if (saved?.status === "cancelled") {
+                    controller.abort();
+                }
+                return saved;
+            })
+            .catch((err) => {
+                console.error(`Failed to save job ${job.id}:`, err.message);
+                return null;
+            });
+        return saving;
+    };
+
+    const stages = job.stages;
+    let savedAt = 0;
+    const report = (name, progress) => {
+        const index = stages.findIndex((stage) => stage.name === name);
+        const started = stages[index].status !== "running";
+        stages.forEach((stage, i) => {
+            if (i < index) {
+                Object.assign(stage, { status: "done", progress: 1 });
+            }
+        });
+        Object.assign(stages[index], { status: "running", progress });
+        if (started || Date.now() - savedAt >= PROGRESS_INTERVAL_MS) {
+            savedAt = Date.now();
+            save({ stage: name, stages });
+        }
+    };
+
+    save({ startedAt: new Date().toISOString() });
+    // Metered like a request, against whoever submitted the job
+    const meter = startMeter(job.input.usageSubject ?? "unknown", `JOB ${job.type}`);
+    let outcome = "error";
+    try {
+        const { result, error } = await withMeter(meter, () => runStoryJob(job.input, { signal: controller.signal, report }));
+        outcome = controller.signal.aborted ? "cancelled" : error ? "error" : "ok";
+        const finishedAt = new Date().toISOString();
+        // The input (uploaded images) isn't needed once the job is finished
+        if (error) {
+            await refundFailedJob(await save({ status: "failed", stage: null, stages, error, input: null, finishedAt }), finishedAt);
+        } else {
+            stages.forEach((stage) => Object.assign(stage, { status: "done", progress: 1 }));
+            await save({ status: "done", stage: null, stages, result, input: null, finishedAt });
+        }
+        console.log(`Job ${job.id} ${error ? "failed" : "done"}`);
+    } catch (err) {
+        await saving;
+        if (controller.signal.aborted) {
+            outcome = "cancelled";
+            console.log(`Job ${job.id} cancelled`);
+            return;
+        }
+        console.error(`Job ${job.id} failed:`, err);
+        const finishedAt = new Date().toISOString();
+        const saved = await save({
+            status: "failed",
+            stage: null,
+            stages,
+            // Never expose stack traces to clients - security risk
+            error: "An error occurred processing your request. Please try again.",
+            input: null,
+            finishedAt,
+        });
+        await refundFailedJob(saved, finishedAt);
+    } finally {
+        controllers.delete(job.id);
+        await finishMeter(meter, outcome);
+    }
+}
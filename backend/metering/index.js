@@ -0,0 +1,60 @@
+import { AsyncLocalStorage } from "async_hooks";
+import { addUsageEvent } from "../storage/metering.js";
+
+// Usage metering: what each request (or background job) cost to serve -
+// model tokens, synthesized characters, latency and outcome - recorded per
+// user and day for /api/usage. Providers report units with meterUsage()
+// while the request is running; they don't need to be passed a meter, since
+// it follows the request through async calls.
+//
+// Units are keyed "<provider>:<unit>", e.g. "gemini:inputTokens",
+// "gemini:outputTokens" or "elevenlabs:characters" (see prices.js).
+
+const meters = new AsyncLocalStorage();
+
+// subject: who to record the usage for (clientKey() of the request)
+// route: what was served, e.g. "POST /api/process-text"
+export function startMeter(subject, route) {
+    return { subject, route, startedAt: Date.now(), units: {} };
+}
+
+// Runs fn with `meter` as the current meter
+export function withMeter(meter, fn) {
+    return meters.run(meter, fn);
+}
+
+// Adds units to the current request's meter. Outside a request (e.g. at startup) it does nothing.
+export function meterUsage(units) {
+    const meter = meters.getStore();
+    if (!meter) {
+        return;
+    }
+    for (const [unit, amount] of Object.entries(units)) {
+        if (Number.isFinite(amount) && amount > 0) {
+            meter.units[unit] = (meter.units[unit] ?? 0) + amount;
+        }
+    }
+}
+
+export function hasUsage(meter) {
+    return Object.keys(meter.units).length > 0;
+}
+
+// Records a finished request. outcome: "ok", "error" or "cancelled";
+// status: its HTTP status, if it had one. Never throws.
+export async function finishMeter(meter, outcome, status = null) {
+    const finishedAt = new Date();
+    try {
+        await addUsageEvent({
+            subject: meter.subject,
+            day: finishedAt.toISOString().slice(0, 10),
+            route: meter.route,
+            outcome,
+            status,
+            latencyMs: finishedAt.getTime() - meter.startedAt,
+            units: meter.units,
+        });
+    } catch (err) {
+        console.error("Failed to record metered usage:", err.message);
+    }
+}
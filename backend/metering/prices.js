@@ -0,0 +1,36 @@
+// Estimated prices of metered units in USD, for the cost column of
+// /api/usage. They are estimates - check the provider's bill for real costs.
+// Configured with:
+//   PRICE_GEMINI_INPUT_PER_MILLION_TOKENS / PRICE_GEMINI_OUTPUT_PER_MILLION_TOKENS (default: 0.10 / 0.40, gemini-2.0-flash)
+//   PRICE_OPENAI_INPUT_PER_MILLION_TOKENS / PRICE_OPENAI_OUTPUT_PER_MILLION_TOKENS (default: 0 / 0, e.g. a local Ollama server)
+//   PRICE_ELEVENLABS_PER_THOUSAND_CHARACTERS (default: 0.30)
+// Units without a price (the local and stub providers) are free.
+
+const PRICES = {
+    "gemini:inputTokens": ["PRICE_GEMINI_INPUT_PER_MILLION_TOKENS", 0.10, 1_000_000],
+    "gemini:outputTokens": ["PRICE_GEMINI_OUTPUT_PER_MILLION_TOKENS", 0.40, 1_000_000],
+    "openai:inputTokens": ["PRICE_OPENAI_INPUT_PER_MILLION_TOKENS", 0, 1_000_000],
+    "openai:outputTokens": ["PRICE_OPENAI_OUTPUT_PER_MILLION_TOKENS", 0, 1_000_000],
+    "elevenlabs:characters": ["PRICE_ELEVENLABS_PER_THOUSAND_CHARACTERS", 0.30, 1_000],
+};
+
+// { "gemini:inputTokens": { price, per }, ... } - `price` USD per `per` units
+export function unitPrices() {
+    const prices = {};
+    for (const [unit, [name, fallback, per]] of Object.entries(PRICES)) {
+        const value = Number(process.env[name]);
+        prices[unit] = { price: process.env[name] && Number.isFinite(value) ? value : fallback, per };
+    }
+    return prices;
+}
+
+// Estimated cost in USD of metered units, e.g. { "gemini:inputTokens": 1200 }
+export function estimateCost(units, prices = unitPrices()) {
+    let cost = 0;
+    for (const [unit, amount] of Object.entries(units)) {
+        if (prices[unit]) {
+            cost += amount * prices[unit].price / prices[unit].per;
+        }
+    }
+    return Math.round(cost * 1e6) / 1e6;
+}
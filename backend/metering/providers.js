@@ -0,0 +1,16 @@
+import { meterUsage } from "./index.js";
+
+// Meters the characters a TTS provider is asked to synthesize, as
+// "<provider>:characters". Wrapped inside the audio cache, so cached
+// narration isn't counted.
+export function withSynthesisMetering(provider) {
+    return {
+        ...provider,
+
+        async synthesize(text, options = {}) {
+            const audio = await provider.synthesize(text, options);
+            meterUsage({ [`${provider.name}:characters`]: text.length });
+            return audio;
+        },
+    };
+}
@@ -0,0 +1,40 @@
+// Moderation categories: how to describe them to a model, how to name them
+// to users, and the score at which each one is unsafe. Strict kids mode
+// (MODERATION_MODE=strict) uses the lower `strict` thresholds.
+export const CATEGORIES = {
+    violence: {
+        description: "fighting, injury, weapons, death or gore",
+        label: "violence",
+        threshold: { standard: 0.8, strict: 0.5 },
+    },
+    sexual: {
+        description: "nudity, sexual acts or sexual innuendo",
+        label: "sexual content",
+        threshold: { standard: 0.5, strict: 0.2 },
+    },
+    "self-harm": {
+        description: "suicide, self-injury or eating disorders",
+        label: "self-harm",
+        threshold: { standard: 0.5, strict: 0.2 },
+    },
+    hate: {
+        description: "hatred, slurs or demeaning stereotypes about groups of people",
+        label: "hateful content",
+        threshold: { standard: 0.6, strict: 0.3 },
+    },
+    drugs: {
+        description: "alcohol, smoking or drug use",
+        label: "alcohol or drugs",
+        threshold: { standard: 0.7, strict: 0.3 },
+    },
+    profanity: {
+        description: "swearing or crude language",
+        label: "bad language",
+        threshold: { standard: 0.7, strict: 0.3 },
+    },
+    "personal-data": {
+        description: "contact details or identifiers of real people: email addresses, phone numbers, street addresses, ID or card numbers",
+        label: "personal information",
+        threshold: { standard: 0.5, strict: 0.3 },
+    },
+};
@@ -0,0 +1,207 @@
+import { getStoryProvider } from "../providers/story/index.js";
+import { scriptOptions, finishScript, scriptContent } from "../story/script.js";
+import { asData } from "../story/injection.js";
+import { CATEGORIES } from "./categories.js";
+import { createRulesClassifier, redactPersonalData, scoreText } from "./rules.js";
+import { createModelClassifier } from "./model.js";
+
+// Child-safety moderation of what goes into and comes out of story
+// generation: uploaded images, typed or extracted text, and the written
+// story before it is returned or narrated.
+// Configured with:
+//   MODERATION_CLASSIFIERS - comma-separated classifiers whose scores are combined: "rules"
+//     (local keyword and personal-data rules) and "model" (the story provider's model);
+//     default "rules,model", "none" turns moderation off
+//   MODERATION_MODE - "standard" (default) or "strict" (strict kids mode, with lower thresholds)
+//   MODERATION_ACTION - what happens to an unsafe story: "rewrite" (default) asks the model for
+//     a child-safe version, "block" refuses it
+//
+// Classifiers implement:
+//   classifyText(text, { signal }) -> Promise<{ [category]: score }>
+//   classifyImage({ data, mimeType }, { signal }) -> Promise<{ [category]: score }> (optional)
+//   name
+// with scores from 0 to 1 for the categories in categories.js.
+const factories = {
+    rules: createRulesClassifier,
+    model: createModelClassifier,
+};
+
+// How often an unsafe story is rewritten before it is refused
+const MAX_REWRITES = 1;
+
+const MESSAGES = {
+    text: (labels) => `This story idea isn't suitable for a children's story (${labels}). Please try another idea.`,
+    image: (labels) => `This image isn't suitable for a children's story (${labels}). Please try a different image.`,
+    story: (labels) => `The story that was written wasn't suitable for children (${labels}). Please try again with a different idea.`,
+    narration: (labels) => `This text isn't suitable for a children's voiceover (${labels}). Please edit the story and try again.`,
+    translation: (labels) => `The translation wasn't suitable for children (${labels}). Please try another story or language.`,
+    rewritten: (labels) => `The story was rewritten to leave out ${labels}.`,
+};
+
+let classifiers = null;
+
+// Returns the classifiers selected by MODERATION_CLASSIFIERS, created on first use
+function getClassifiers() {
+    if (!classifiers) {
+        const value = (process.env.MODERATION_CLASSIFIERS ?? "rules,model").toLowerCase();
+        const names = value === "none" ? [] : value.split(",").map((name) => name.trim()).filter(Boolean);
+        const unknown = names.find((name) => !factories[name]);
+        if (unknown) {
+            throw new Error(`Unknown moderation classifier "${unknown}". Expected one of: ${Object.keys(factories).join(", ")}`);
+        }
+        classifiers = names.map((name) => factories[name]());
+        console.log(`Using moderation classifiers: ${names.join(", ") || "none"} (${moderationMode()} mode)`);
+    }
+    return classifiers;
+}
+
+export function moderationMode() {
+    return process.env.MODERATION_MODE === "strict" ? "strict" : "standard";
+}
+
+// The highest score of each category across the classifiers' results
+function combine(results) {
+    const scores = {};
+    for (const result of results) {
+        for (const [category, score] of Object.entries(result)) {
+            scores[category] = Math.max(scores[category] ?? 0, score);
+        }
+    }
+    return scores;
+}
+
+// The categories whose scores reach the threshold of the current mode, highest first
+function unsafeCategories(scores) {
+    const mode = moderationMode();
+    return Object.entries(scores)
+        .filter(([category, score]) => CATEGORIES[category] && score >= CATEGORIES[category].threshold[mode])
+        .sort(([, a], [, b]) => b - a)
+        .map(([category, score]) => ({ category, label: CATEGORIES[category].label, score }));
+}
+
+async function classifyText(text, { signal }) {
+    return combine(await Promise.all(getClassifiers().map((classifier) => classifier.classifyText(text, { signal }))));
+}
+
+// The structured reason sent to the client with a blocked or rewritten
+// result: { stage, action, mode, categories: [{ category, label, score }], message }
+function moderationReason(stage, action, categories) {
+    const labels = categories.map(({ label }) => label).join(", ");
+    return {
+        stage,
+        action,
+        mode: moderationMode(),
+        categories,
+        message: MESSAGES[action === "rewritten" ? "rewritten" : stage](labels),
+    };
+}
+
+// Checks uploaded images with the classifiers that can see them. Personal
+// data in an image isn't a reason to refuse it - it is removed from the
+// extracted text instead (see moderateTexts).
+// Resolves with {} or { blocked } with the reason.
+export async function moderateImages(images, { signal } = {}) {
+    const visual = getClassifiers().filter((classifier) => classifier.classifyImage);
+    if (!visual.length) {
+        return {};
+    }
+    for (const image of images) {
+        const scores = combine(await Promise.all(visual.map((classifier) => classifier.classifyImage(image, { signal }))));
+        const categories = unsafeCategories(scores).filter(({ category }) => category !== "personal-data");
+        if (categories.length) {
+            console.warn(`Image refused by moderation (${categories.map(({ category }) => category).join(", ")})`);
+            return { blocked: moderationReason("image", "blocked", categories) };
+        }
+    }
+    return {};
+}
+
+// Checks typed ideas or the text extracted from images (`source` "text" or
+// "image") before they go into a prompt, or story text sent for a voiceover
+// ("narration"), which can be edited or typed in by the caller. The texts are checked together;
+// personal data is removed from each, anything else unsafe refuses them.
+// Resolves with { texts } to write the story from, or { blocked } with the reason.
+export async function moderateTexts(texts, { signal, source = "text" } = {}) {
+    if (!getClassifiers().length) {
+        return { texts };
+    }
+    const scores = await classifyText(texts.join("\n\n"), { signal });
+    const categories = unsafeCategories(scores).filter(({ category }) => category !== "personal-data");
+    if (categories.length) {
+        console.warn(`Input refused by moderation (${categories.map(({ category }) => category).join(", ")})`);
+        return { blocked: moderationReason(source, "blocked", categories) };
+    }
+    return { texts: texts.map(redactPersonalData) };
+}
+
+// Checks a story while it is streamed (see story/stream.js), before more of
+// it is sent to the client. Only the local rules are used, so reading the
+// stream never waits for a model call; the whole story is still checked with
+// every classifier by moderateStory() before it is saved or narrated.
+// Returns true if `text` may be shown.
+export function moderateChunk(text) {
+    if (!getClassifiers().length) {
+        return true;
+    }
+    const categories = unsafeCategories(scoreText(text));
+    if (categories.length) {
+        console.warn(`Streamed text held back by moderation (${categories.map(({ category }) => category).join(", ")})`);
+    }
+    return !categories.length;
+}
+
+function buildRewritePrompt(prompt, text, categories) {
+    return [
+        prompt,
+        "",
+        `The story below is not suitable for young children: it contains ${categories.map(({ category }) => CATEGORIES[category].description).join("; ")}.`,
+        "Rewrite it without that content, keeping the characters and the plot as far as possible. Don't mention real people's contact details.",
+        asData(text),
+        "Reply with the rewritten story as JSON only.",
+    ].join("\n");
+}
+
+// Checks a written story ({ script, text } from writeScript or finishScript)
+// before it is returned or narrated. With MODERATION_ACTION=rewrite an unsafe
+// story is rewritten by the model and checked again. `prompt` and
+// `sceneCount` are the ones it was written with.
+// Resolves with { script, text, moderation } - moderation is null, or the
+// reason the story was rewritten - or with { blocked } and the reason.
+export async function moderateStory(prompt, story, { signal, cache, sceneCount } = {}) {
+    if (!getClassifiers().length) {
+        return { ...story, moderation: null };
+    }
+    let current = story;
+    let moderation = null;
+    for (let rewrites = 0; ; rewrites++) {
+        const categories = unsafeCategories(await classifyText(scriptContent(current.script), { signal }));
+        if (!categories.length) {
+            return { ...current, moderation };
+        }
+        const flagged = categories.map(({ category }) => category).join(", ");
+        if (process.env.MODERATION_ACTION === "block" || rewrites >= MAX_REWRITES) {
+            console.warn(`Story refused by moderation (${flagged})`);
+            return { blocked: moderationReason("story", "blocked", categories) };
+        }
+        console.warn(`Story flagged by moderation (${flagged}), asking for a rewrite`);
+        const output = await getStoryProvider().generateText(buildRewritePrompt(prompt, current.text, categories), scriptOptions(prompt, { signal, cache }));
+        current = await finishScript(prompt, output, { signal, cache, sceneCount });
+        moderation = moderationReason("story", "rewritten", categories);
+    }
+}
+
+// Checks a translated story (see routes/translate.js) like a written one.
+// Translations are plain text without a script to rewrite, so an unsafe one
+// is refused rather than rewritten.
+// Resolves with { moderation: null } or { blocked } with the reason.
+export async function moderateTranslation(text, { signal } = {}) {
+    if (!getClassifiers().length) {
+        return { moderation: null };
+    }
+    const categories = unsafeCategories(await classifyText(text, { signal }));
+    if (categories.length) {
+        console.warn(`Translation refused by moderation (${categories.map(({ category }) => category).join(", ")})`);
+        return { blocked: moderationReason("translation", "blocked", categories) };
+    }
+    return { moderation: null };
+}
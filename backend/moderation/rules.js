@@ -0,0 +1,101 @@
+// Local moderation classifier: keyword lists scored per category, and
+// patterns for personal data. Fast, free and offline, but it only knows the
+// words it lists - the model classifier (model.js) catches what it misses.
+
+// Words and phrases with the score they give their category, from 0
+// (harmless) to 1 (explicit). A word also matches with a plural or -ed/-ing
+// ending. Mild words only count in strict kids mode, whose thresholds are
+// lower - or when there are several of them: each further word found adds
+// REPEAT_SCORE to the highest score.
+const KEYWORDS = {
+    violence: [
+        [0.9, "murder", "massacre", "torture", "slaughter", "behead", "decapitate", "stabbed", "bloodbath", "gore", "dismember"],
+        [0.6, "kill", "gun", "shoot", "shot", "knife", "blood", "corpse", "dead body", "weapon", "bomb", "strangle"],
+        [0.3, "fight", "punch", "hurt", "wound", "sword", "attack", "slap"],
+    ],
+    sexual: [
+        [1, "sex", "porn", "pornography", "nude", "naked", "orgasm", "rape", "molest", "erotic", "genitals", "masturbate"],
+        [0.5, "undress", "seduce", "lingerie", "sexy", "make out"],
+    ],
+    "self-harm": [
+        [1, "suicide", "kill myself", "killed myself", "self-harm", "cut myself", "end my life", "hang myself"],
+        [0.5, "want to die", "starve myself"],
+    ],
+    hate: [
+        [0.8, "nazi", "white power", "ethnic cleansing", "inferior race", "subhuman"],
+        [0.4, "go back to your country"],
+    ],
+    drugs: [
+        [0.8, "cocaine", "heroin", "meth", "overdose", "crack pipe", "inject drugs"],
+        [0.5, "drunk", "beer", "wine", "cigarette", "vodka", "whiskey", "weed", "marijuana", "vape"],
+    ],
+    profanity: [
+        [0.8, "fuck", "shit", "bitch", "cunt", "motherfucker", "asshole"],
+        [0.4, "damn", "crap", "bastard", "piss"],
+    ],
+};
+
+const REPEAT_SCORE = 0.1;
+
+// Contact details and identifiers of real people. The story has no use for
+// them, so they are removed from inputs and flag outputs.
+const PERSONAL_DATA = [
+    /\b[\w.+-]+@[\w-]+(?:\.[\w-]+)+\b/g, // Email address
+    /(?:\+\d{1,3}[\s.-]?)?\(?\b\d{3}\)?[\s.-]?\d{3}[\s.-]?\d{4}\b/g, // Phone number
+    /\b\d{3}-\d{2}-\d{4}\b/g, // US social security number
+    /\b(?:\d{4}[ -]?){3}\d{4}\b/g, // Card number
+    /\b\d{1,5}\s+(?:[A-Z][a-z]+\s+){1,3}(?:Street|St|Avenue|Ave|Road|Rd|Lane|Ln|Drive|Dr|Boulevard|Blvd|Court|Ct|Way)\b\.?/g, // Street address
+];
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// One pattern per score, so a text is scanned once per score and category
+const PATTERNS = Object.fromEntries(
+    Object.entries(KEYWORDS).map(([category, groups]) => [
+        category,
+        groups.map(([score, ...words]) => [
+            score,
+            new RegExp(`\\b(?:${words.map((word) => escapeRegExp(word).replace(/ /g, "\\s+")).join("|")})(?:s|es|ed|ing)?\\b`, "gi"),
+        ]),
+    ])
+);
+
+// Removes personal data from text, leaving a placeholder
+export function redactPersonalData(text) {
+    return PERSONAL_DATA.reduce((redacted, pattern) => redacted.replace(pattern, "[removed]"), text);
+}
+
+// The rules' scores for `text`, without waiting - fast enough to run on
+// every chunk of a streamed story
+export function scoreText(text) {
+    const scores = {};
+    for (const [category, groups] of Object.entries(PATTERNS)) {
+        const found = new Set();
+        let highest = 0;
+        for (const [score, pattern] of groups) {
+            for (const [word] of text.matchAll(pattern)) {
+                found.add(word.toLowerCase());
+                highest = Math.max(highest, score);
+            }
+        }
+        if (found.size) {
+            scores[category] = Math.min(1, Math.round((highest + REPEAT_SCORE * (found.size - 1)) * 100) / 100);
+        }
+    }
+    if (PERSONAL_DATA.some((pattern) => text.search(pattern) !== -1)) {
+        scores["personal-data"] = 1;
+    }
+    return scores;
+}
+
+export function createRulesClassifier() {
+    return {
+        name: "rules",
+
+        async classifyText(text) {
+            return scoreText(text);
+        },
+    };
+}
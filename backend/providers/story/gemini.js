@@ -0,0 +1,85 @@
+import { GoogleGenerativeAI } from "@google/generative-ai";
+import { meterUsage } from "../../metering/index.js";
+
+// Counts the tokens Gemini reports for a response (see metering/index.js)
+function meterResponse(response) {
+    const usage = response?.usageMetadata;
+    if (usage) {
+        meterUsage({ "gemini:inputTokens": usage.promptTokenCount, "gemini:outputTokens": usage.candidatesTokenCount });
+    }
+}
+
+// Gemini's response schemas are OpenAPI-style and order properties
+// alphabetically unless told otherwise; keep the order they are declared in
+function toResponseSchema(schema) {
+    if (schema.type === "object") {
+        return {
+            ...schema,
+            properties: Object.fromEntries(Object.entries(schema.properties).map(([key, value]) => [key, toResponseSchema(value)])),
+            propertyOrdering: Object.keys(schema.properties),
+        };
+    }
+    if (schema.type === "array") {
+        return { ...schema, items: toResponseSchema(schema.items) };
+    }
+    return schema;
+}
+
+// With a `schema`, responses are constrained to JSON matching it
+function getModel(genAI, modelName, schema) {
+    return genAI.getGenerativeModel({
+        model: modelName,
+        ...(schema && { generationConfig: { responseMimeType: "application/json", responseSchema: toResponseSchema(schema) } }),
+    });
+}
+
+// Google Gemini provider - handles both story writing and vision extraction
+export function createGeminiProvider() {
+    const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+    const modelName = process.env.STORY_MODEL || "gemini-2.0-flash";
+
+    return {
+        name: "gemini",
+        model: modelName,
+
+        async generateText(prompt, { signal, schema } = {}) {
+            const model = getModel(genAI, modelName, schema);
+            const result = await model.generateContent(prompt, { signal });
+            const response = await result.response;
+            meterResponse(response);
+            return response.text();
+        },
+
+        async *streamText(prompt, { signal, schema } = {}) {
+            const model = getModel(genAI, modelName, schema);
+            const result = await model.generateContentStream(prompt, { signal });
+            // Each chunk carries the running totals, so only the last one counts
+            let usageChunk = null;
+            try {
+                for await (const chunk of result.stream) {
+                    if (chunk.usageMetadata) {
+                        usageChunk = chunk;
+                    }
+                    yield chunk.text();
+                }
+            } finally {
+                meterResponse(usageChunk);
+            }
+        },
+
+        async extractText(image, prompt, { signal, schema } = {}) {
+            // gemini-2.0-flash supports vision, so the same model handles images
+            const model = getModel(genAI, modelName, schema);
+            const imagePart = {
+                inlineData: {
+                    data: image.data,
+                    mimeType: image.mimeType
+                }
+            };
+            const result = await model.generateContent([prompt, imagePart], { signal });
+            const response = await result.response;
+            meterResponse(response);
+            return response.text();
+        }
+    };
+}
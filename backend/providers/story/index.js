@@ -0,0 +1,37 @@
+import { createGeminiProvider } from "./gemini.js";
+import { createOpenAIProvider } from "./openai.js";
+import { createStubProvider } from "./stub.js";
+import { withStoryCache } from "../../cache/providers.js";
+
+// Story providers implement:
+//   generateText(prompt, { signal }) -> Promise<string>
+//   streamText(prompt, { signal }) -> AsyncIterable<string>
+//   extractText({ data, mimeType }, prompt, { signal }) -> Promise<string>
+//   name, model
+// Every call also takes the request's `cache` option (see cache/index.js).
+// generateText, streamText and extractText take a `schema` option (a JSON
+// Schema, e.g. SCRIPT_SCHEMA in story/script.js or OCR_SCHEMA in story/ocr.js)
+// that constrains the output to matching JSON, and generateText and streamText
+// a `validate` option that only the cache uses (see cache/providers.js).
+const factories = {
+    gemini: createGeminiProvider,
+    openai: createOpenAIProvider,
+    stub: createStubProvider,
+};
+
+let provider = null;
+
+// Returns the provider selected by STORY_PROVIDER (default: gemini).
+// Created lazily so environment variables loaded by dotenv are picked up.
+export function getStoryProvider() {
+    if (!provider) {
+        const name = (process.env.STORY_PROVIDER || "gemini").toLowerCase();
+        const factory = factories[name];
+        if (!factory) {
+            throw new Error(`Unknown STORY_PROVIDER "${name}". Expected one of: ${Object.keys(factories).join(", ")}`);
+        }
+        provider = withStoryCache(factory());
+        console.log(`Using story provider: ${provider.name} (${provider.model})`);
+    }
+    return provider;
+}
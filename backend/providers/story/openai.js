@@ -0,0 +1,128 @@
+import { meterUsage } from "../../metering/index.js";
+
+// Strict structured outputs need every object closed to extra properties
+function toStrictSchema(schema) {
+    if (schema.type === "object") {
+        return {
+            ...schema,
+            properties: Object.fromEntries(Object.entries(schema.properties).map(([key, value]) => [key, toStrictSchema(value)])),
+            additionalProperties: false,
+        };
+    }
+    if (schema.type === "array") {
+        return { ...schema, items: toStrictSchema(schema.items) };
+    }
+    return schema;
+}
+
+// OpenAI-compatible chat completions provider.
+// Works with OpenAI itself and with local servers exposing the same API
+// (Ollama, LM Studio, vLLM, llama.cpp server).
+export function createOpenAIProvider() {
+    const baseUrl = (process.env.OPENAI_BASE_URL || "http://localhost:11434/v1").replace(/\/+$/, "");
+    const apiKey = process.env.OPENAI_API_KEY;
+    const modelName = process.env.STORY_MODEL || "llama3.2";
+    const visionModelName = process.env.STORY_VISION_MODEL || modelName;
+
+    async function request(model, content, { signal, schema, stream = false } = {}) {
+        const headers = { "Content-Type": "application/json" };
+        if (apiKey) {
+            headers.Authorization = `Bearer ${apiKey}`;
+        }
+
+        const resp = await fetch(`${baseUrl}/chat/completions`, {
+            method: "POST",
+            headers,
+            signal,
+            body: JSON.stringify({
+                model,
+                stream,
+                // Streams only report token usage when asked to, in a last chunk without choices
+                ...(stream && { stream_options: { include_usage: true } }),
+                ...(schema && {
+                    response_format: { type: "json_schema", json_schema: { name: "response", strict: true, schema: toStrictSchema(schema) } }
+                }),
+                messages: [{ role: "user", content }]
+            })
+        });
+
+        if (!resp.ok) {
+            const body = await resp.text();
+            throw new Error(`Chat completion failed with ${resp.status}: ${body.substring(0, 200)}`);
+        }
+        return resp;
+    }
+
+    // Counts the tokens the server reports, if it does (see metering/index.js)
+    function meterResponse(usage) {
+        if (usage) {
+            meterUsage({ "openai:inputTokens": usage.prompt_tokens, "openai:outputTokens": usage.completion_tokens });
+        }
+    }
+
+    // The text of the `data:` lines of a stream. Lines that can't be read
+    // are skipped, so one bad event doesn't end the story.
+    function* readEvents(lines) {
+        for (const line of lines) {
+            const data = line.replace(/^data:\s*/, "").trim();
+            if (!line.startsWith("data:") || !data || data === "[DONE]") {
+                continue;
+            }
+            let event;
+            try {
+                event = JSON.parse(data);
+            } catch {
+                console.warn("Skipped an unreadable event in the OpenAI stream");
+                continue;
+            }
+            meterResponse(event.usage);
+            const text = event.choices?.[0]?.delta?.content;
+            if (text) {
+                yield text;
+            }
+        }
+    }
+
+    async function chat(model, content, options) {
+        const resp = await request(model, content, options);
+        const json = await resp.json();
+        meterResponse(json.usage);
+        const text = json.choices?.[0]?.message?.content;
+        if (typeof text !== "string") {
+            throw new Error("Chat completion response did not contain any text");
+        }
+        return text;
+    }
+
+    return {
+        name: "openai",
+        model: modelName,
+
+        async generateText(prompt, options) {
+            return chat(modelName, prompt, options);
+        },
+
+        // Reads the server-sent events of a streamed chat completion
+        async *streamText(prompt, { signal, schema } = {}) {
+            const resp = await request(modelName, prompt, { signal, schema, stream: true });
+            const decoder = new TextDecoder();
+            let buffered = "";
+
+            for await (const bytes of resp.body) {
+                buffered += decoder.decode(bytes, { stream: true });
+                const lines = buffered.split("\n");
+                buffered = lines.pop();
+                yield* readEvents(lines);
+            }
+            // The last event may not end with a line break
+            yield* readEvents([buffered + decoder.decode()]);
+        },
+
+        async extractText(image, prompt, options) {
+            return chat(visionModelName, [
+                { type: "text", text: prompt },
+                { type: "image_url", image_url: { url: `data:${image.mimeType};base64,${image.data}` } }
+            ], options);
+        }
+    };
+}
@@ -0,0 +1,82 @@
+import { createHash } from "crypto";
+import { setTimeout as delay } from "timers/promises";
+
+const NAMES = ["Mira", "Tobin", "Ada", "Felix", "Juno", "Oscar"];
+const PLACES = ["a quiet forest", "a busy harbour", "an old library", "a windy hilltop"];
+
+// Deterministic offline provider - no network, no API keys.
+// The same prompt always produces the same story, which keeps demos and
+// development reproducible.
+export function createStubProvider() {
+    function pick(list, digest, offset) {
+        return list[digest[offset] % list.length];
+    }
+
+    function cast(prompt) {
+        const digest = createHash("sha256").update(prompt).digest();
+        const hero = pick(NAMES, digest, 0);
+        const friend = pick(NAMES.filter((n) => n !== hero), digest, 1);
+        return { hero, friend, place: pick(PLACES, digest, 2) };
+    }
+
+    function write(prompt) {
+        const { hero, friend, place } = cast(prompt);
+        return `${hero} and ${friend} met in ${place}. "Look what I found!" said ${hero}. "Let's follow it," ${friend} replied.`;
+    }
+
+    // The same story as a script, for requests with a `schema` (see story/script.js)
+    function writeScript(prompt) {
+        const { hero, friend, place } = cast(prompt);
+        return JSON.stringify({
+            title: `${hero} and ${friend}`,
+            logline: `Two friends follow a mysterious find through ${place}.`,
+            characters: [
+                { name: hero, description: "A curious explorer" },
+                { name: friend, description: `${hero}'s loyal friend` },
+            ],
+            scenes: [{
+                heading: place.replace(/^an? /, "").replace(/^./, (char) => char.toUpperCase()),
+                lines: [
+                    { speaker: "narrator", text: `${hero} and ${friend} met in ${place}.` },
+                    { speaker: hero, text: "Look what I found!" },
+                    { speaker: friend, text: "Let's follow it." },
+                ],
+            }],
+        });
+    }
+
+    return {
+        name: "stub",
+        model: "stub",
+
+        async generateText(prompt, { schema } = {}) {
+            return schema ? writeScript(prompt) : write(prompt);
+        },
+
+        // Emits the story a word (or, as JSON, a few characters) at a time so
+        // streaming UIs can be exercised offline
+        async *streamText(prompt, { signal, schema } = {}) {
+            const chunks = schema ? writeScript(prompt).match(/[^]{1,12}/g) : write(prompt).split(/(?<=\s)/);
+            for (const chunk of chunks) {
+                await delay(50, undefined, { signal });
+                yield chunk;
+            }
+        },
+
+        // With a `schema` (see story/ocr.js), as blocks: one read clearly and
+        // one with low confidence, so the review step can be exercised offline
+        async extractText(image, prompt, { schema } = {}) {
+            const digest = createHash("sha256").update(image.data).digest("hex");
+            const text = `Sample text extracted from image ${digest.substring(0, 8)}.`;
+            if (!schema) {
+                return text;
+            }
+            return JSON.stringify({
+                blocks: [
+                    { text, confidence: 0.95, box: { x: 0.1, y: 0.08, width: 0.8, height: 0.12 } },
+                    { text: "A smudged line that was hard to read.", confidence: 0.45, box: { x: 0.15, y: 0.7, width: 0.6, height: 0.08 } },
+                ],
+            });
+        }
+    };
+}
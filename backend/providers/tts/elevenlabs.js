@@ -0,0 +1,131 @@
+import { ElevenLabsClient } from "@elevenlabs/elevenlabs-js";
+import { Readable } from "stream";
+import { encodeWav } from "./wav.js";
+import { wordsFromCharacters } from "./timings.js";
+
+const PCM_SAMPLE_RATE = 24000;
+
+// Models that accept a language code. The others work the language out from
+// the text and reject requests that name one.
+const LANGUAGE_CODE_MODELS = ["eleven_turbo_v2_5", "eleven_flash_v2_5"];
+
+// How long the account's voice list is reused before it is fetched again
+const VOICE_CACHE_MS = 10 * 60 * 1000;
+
+function toVoice(voice) {
+    return {
+        id: voice.voiceId,
+        name: voice.name || voice.voiceId,
+        language: voice.labels?.language || voice.verifiedLanguages?.[0]?.language || null,
+        gender: voice.labels?.gender || null,
+        previewUrl: voice.previewUrl || null,
+    };
+}
+
+// Adds a chunk's character alignment to the running total. Chunk times are
+// treated as relative to the chunk if they restart below the running total.
+function appendAlignment(total, chunk) {
+    const previousEnd = total.characterEndTimesSeconds.at(-1) ?? 0;
+    const offset = chunk.characterStartTimesSeconds[0] < previousEnd ? previousEnd : 0;
+    total.characters.push(...chunk.characters);
+    total.characterStartTimesSeconds.push(...chunk.characterStartTimesSeconds.map((t) => t + offset));
+    total.characterEndTimesSeconds.push(...chunk.characterEndTimesSeconds.map((t) => t + offset));
+}
+
+// ElevenLabs hosted TTS
+export function createElevenLabsProvider() {
+    // Reads ELEVENLABS_API_KEY from environment automatically
+    const elevenlabs = new ElevenLabsClient();
+    const defaultVoiceId = process.env.ELEVENLABS_VOICE_ID || "jUjRbhZWoMK4aDciW36V";
+    const modelId = process.env.ELEVENLABS_MODEL_ID || "eleven_multilingual_v2";
+    const defaultVoice = { id: defaultVoiceId, name: "Default", language: null, gender: null, previewUrl: null };
+    let voices = null;
+    let voicesFetchedAt = 0;
+
+    return {
+        name: "elevenlabs",
+        model: modelId,
+        defaultVoiceId,
+
+        // Voices available to the account (premade, cloned and added library voices)
+        async listVoices() {
+            if (!voices || Date.now() - voicesFetchedAt > VOICE_CACHE_MS) {
+                try {
+                    const response = await elevenlabs.voices.getAll();
+                    voices = response.voices.map(toVoice);
+                    voicesFetchedAt = Date.now();
+                } catch (err) {
+                    // Keys without voices_read permission can still narrate with the default
+                    // voice, and voices picked from an earlier list still exist, so the
+                    // list is marked partial and requested voices are passed to ElevenLabs
+                    console.error("Failed to list ElevenLabs voices:", err.message);
+                    return Object.assign([defaultVoice], { partial: true });
+                }
+            }
+            // The default voice may be a shared library voice the account hasn't added
+            return voices.some((voice) => voice.id === defaultVoiceId) ? voices : [defaultVoice, ...voices];
+        },
+
+        async synthesize(text, options = {}) {
+            const voiceId = options.voiceId || defaultVoiceId;
+            const wav = options.format === "wav";
+            console.log("Calling ElevenLabs TTS with voiceId:", voiceId);
+            // The with-timestamps stream returns audio as it is generated, along
+            // with when each character is spoken
+            const chunks = await elevenlabs.textToSpeech.streamWithTimestamps(
+                voiceId,
+                {
+                    text,
+                    modelId,
+                    outputFormat: wav ? `pcm_${PCM_SAMPLE_RATE}` : 'mp3_44100_128',
+                    ...(options.language && LANGUAGE_CODE_MODELS.includes(modelId) && { languageCode: options.language }),
+                },
+                { abortSignal: options.signal }
+            );
+
+            if (!chunks) {
+                throw new Error("No valid audio stream received from ElevenLabs");
+            }
+
+            const alignment = { characters: [], characterStartTimesSeconds: [], characterEndTimesSeconds: [] };
+            let resolveWords, rejectWords;
+            const words = new Promise((resolve, reject) => {
+                resolveWords = resolve;
+                rejectWords = reject;
+            });
+            // Callers that don't need timings never await this
+            words.catch(() => {});
+
+            async function* audioChunks() {
+                try {
+                    for await (const chunk of chunks) {
+                        if (chunk.alignment) {
+                            appendAlignment(alignment, chunk.alignment);
+                        }
+                        if (chunk.audioBase64) {
+                            yield Buffer.from(chunk.audioBase64, "base64");
+                        }
+                    }
+                    resolveWords(wordsFromCharacters(alignment));
+                } catch (err) {
+                    rejectWords(err);
+                    throw err;
+                }
+            }
+
+            const stream = Readable.from(audioChunks());
+            if (!wav) {
+                return { stream, mimeType: "audio/mpeg", words };
+            }
+
+            // Raw little-endian 16-bit PCM - wrap it in a WAV header
+            const pcmChunks = [];
+            for await (const chunk of stream) {
+                pcmChunks.push(chunk);
+            }
+            const pcm = Buffer.concat(pcmChunks);
+            const samples = new Int16Array(pcm.buffer, pcm.byteOffset, Math.floor(pcm.length / 2));
+            return { stream: Readable.from([encodeWav(samples, PCM_SAMPLE_RATE)]), mimeType: "audio/wav", words };
+        }
+    };
+}
@@ -0,0 +1,60 @@
+import { createElevenLabsProvider } from "./elevenlabs.js";
+import { createLocalProvider } from "./local.js";
+import { createStubProvider } from "./stub.js";
+import { withAudioCache } from "../../cache/providers.js";
+import { withSynthesisMetering } from "../../metering/providers.js";
+
+// TTS providers implement:
+//   synthesize(text, { voiceId, signal, format, language }) -> Promise<{ stream: Readable, mimeType, words }>
+//     format: "wav" asks for PCM WAV output, which can be stitched together
+//     language: ISO 639-1 code of the text (see story/language.js), null when unknown
+//     cache: the request's cache settings (see cache/index.js)
+//     words: Promise of [{ word, start, end }] timings (see timings.js), settled once the stream has been read
+//   listVoices() -> Promise<[{ id, name, language, gender, previewUrl }]>
+//     language, gender and previewUrl are null when the provider doesn't know them.
+//     A list with `partial: true` couldn't be fetched in full, so voices missing from it may still work.
+//   name, model, defaultVoiceId
+const factories = {
+    elevenlabs: createElevenLabsProvider,
+    local: createLocalProvider,
+    stub: createStubProvider,
+};
+
+function createProvider(name) {
+    const factory = factories[name];
+    if (!factory) {
+        throw new Error(`Unknown TTS provider "${name}". Expected one of: ${Object.keys(factories).join(", ")}`);
+    }
+    return withAudioCache(withSynthesisMetering(factory()));
+}
+
+let provider = null;
+
+// Returns the provider selected by TTS_PROVIDER (default: elevenlabs).
+// If TTS_FALLBACK_PROVIDER is set, failures of the primary provider (quota
+// exhausted, network down) are retried once with the fallback.
+export function getTTSProvider() {
+    if (!provider) {
+        const primaryName = (process.env.TTS_PROVIDER || "elevenlabs").toLowerCase();
+        const fallbackName = process.env.TTS_FALLBACK_PROVIDER?.toLowerCase();
+        const primary = createProvider(primaryName);
+        const fallback = fallbackName ? createProvider(fallbackName) : null;
+
+        provider = fallback
+            ? {
+                ...primary,
+                async synthesize(text, options = {}) {
+                    try {
+                        return await primary.synthesize(text, options);
+                    } catch (err) {
+                        console.error(`${primary.name} TTS failed, falling back to ${fallback.name}:`, err.message);
+                        // Voice IDs are provider specific, so the fallback uses its default voice
+                        return fallback.synthesize(text, { ...options, voiceId: undefined });
+                    }
+                }
+            }
+            : primary;
+        console.log(`Using TTS provider: ${primary.name}${fallback ? ` (fallback: ${fallback.name})` : ""}`);
+    }
+    return provider;
+}
@@ -0,0 +1,124 @@
+import { spawn } from "child_process";
+import { readFile, unlink } from "fs/promises";
+import { Readable } from "stream";
+import { randomUUID } from "crypto";
+import { tmpdir } from "os";
+import { join } from "path";
+import { decodeWav } from "./wav.js";
+import { estimateWordTimings } from "./timings.js";
+
+// Builds the command line for each supported engine. The text is always
+// written to stdin so it never has to be escaped for the shell.
+const engines = {
+    espeak: {
+        defaultVoiceId: process.env.LOCAL_TTS_VOICE || "en-us",
+        // espeak-ng voice variants give each character a distinct sound
+        voices: [
+            { id: "en-us+m3", name: "American male", language: "en", gender: "male" },
+            { id: "en-us+f3", name: "American female", language: "en", gender: "female" },
+            { id: "en-gb+m5", name: "British male", language: "en", gender: "male" },
+            { id: "en-gb+f4", name: "British female", language: "en", gender: "female" },
+            { id: "en-us+m7", name: "American male 2", language: "en", gender: "male" },
+            { id: "en-us+f2", name: "American female 2", language: "en", gender: "female" },
+        ],
+        // espeak-ng voices are named after their language, except Chinese (Mandarin)
+        languageVoice: (language) => (language === "zh" ? "cmn" : language),
+        command: (outputFile, voiceId) => ({
+            command: process.env.LOCAL_TTS_COMMAND || "espeak-ng",
+            args: ["--stdin", "-w", outputFile, "-v", voiceId]
+        }),
+    },
+    piper: {
+        // Speaker numbers of a multi-speaker piper model. A piper model speaks a
+        // single language, so requests for another language get the model's own.
+        defaultVoiceId: "0",
+        languageVoice: () => null,
+        voices: (process.env.PIPER_SPEAKERS || "").split(",").filter(Boolean)
+            .map((speaker) => ({ id: speaker.trim(), name: `Speaker ${speaker.trim()}`, language: null, gender: null })),
+        command: (outputFile, voiceId) => {
+            if (!process.env.PIPER_MODEL) {
+                throw new Error("PIPER_MODEL must point to a piper .onnx voice model");
+            }
+            // Single-speaker models only accept the default speaker
+            const speaker = voiceId === "0" ? [] : ["--speaker", voiceId];
+            return {
+                command: process.env.LOCAL_TTS_COMMAND || "piper",
+                args: ["--model", process.env.PIPER_MODEL, ...speaker, "--output_file", outputFile]
+            };
+        },
+    },
+};
+
+function run(command, args, input, signal) {
+    return new Promise((resolve, reject) => {
+        const child = spawn(command, args, { stdio: ["pipe", "ignore", "pipe"], signal });
+        let stderr = "";
+        child.stderr.on("data", (chunk) => {
+            stderr += chunk;
+        });
+        child.on("error", (err) => {
+            reject(new Error(`Failed to start ${command}: ${err.message}`));
+        });
+        child.on("close", (code) => {
+            if (code === 0) {
+                resolve();
+            } else {
+                reject(new Error(`${command} exited with code ${code}: ${stderr.substring(0, 200)}`));
+            }
+        });
+        // Errors writing stdin surface through "close"/"error" above
+        child.stdin.on("error", () => {});
+        child.stdin.end(input);
+    });
+}
+
+// Offline TTS through a locally installed command-line engine (espeak-ng or piper).
+// Produces WAV audio.
+export function createLocalProvider() {
+    const engineName = (process.env.LOCAL_TTS_ENGINE || "espeak").toLowerCase();
+    const engine = engines[engineName];
+    if (!engine) {
+        throw new Error(`Unknown LOCAL_TTS_ENGINE "${engineName}". Expected one of: ${Object.keys(engines).join(", ")}`);
+    }
+
+    // Local voices have no hosted samples; /api/voices/:id/preview synthesizes one
+    const voices = [
+        { id: engine.defaultVoiceId, name: "Default", language: null, gender: null },
+        ...engine.voices,
+    ].map((voice) => ({ ...voice, previewUrl: null }));
+
+    return {
+        name: `local-${engineName}`,
+        model: engineName === "piper" ? process.env.PIPER_MODEL ?? null : null,
+        defaultVoiceId: engine.defaultVoiceId,
+
+        async listVoices() {
+            return voices;
+        },
+
+        // Always produces WAV, so the format option needs no handling
+        async synthesize(text, { signal, voiceId, language } = {}) {
+            const outputFile = join(tmpdir(), `story-tts-${randomUUID()}.wav`);
+            // A chosen voice wins; otherwise read the text with a voice for its language
+            const voice = voiceId || (language && engine.languageVoice(language)) || engine.defaultVoiceId;
+            const { command, args } = engine.command(outputFile, voice);
+            console.log(`Running local TTS engine: ${command}`);
+
+            try {
+                await run(command, args, text, signal);
+            } catch (err) {
+                await unlink(outputFile).catch(() => {});
+                throw err;
+            }
+
+            // Read the whole file so its duration can be used to estimate word timings
+            const wav = await readFile(outputFile).finally(() => unlink(outputFile).catch(() => {}));
+            const { samples, sampleRate } = decodeWav(wav);
+            return {
+                stream: Readable.from([wav]),
+                mimeType: "audio/wav",
+                words: Promise.resolve(estimateWordTimings(text, samples.length / sampleRate)),
+            };
+        }
+    };
+}
@@ -0,0 +1,37 @@
+import { Readable } from "stream";
+import { encodeWav } from "./wav.js";
+import { estimateWordTimings } from "./timings.js";
+
+const SAMPLE_RATE = 8000;
+const SECONDS_PER_WORD = 0.4;
+
+// Test provider - returns silent WAV audio roughly as long as the text would
+// take to read aloud. No network or binaries required.
+export function createStubProvider() {
+    const voices = [
+        { id: "stub-narrator", name: "Narrator", language: "en", gender: null, previewUrl: null },
+        { id: "stub-1", name: "Stub voice 1", language: "en", gender: "female", previewUrl: null },
+        { id: "stub-2", name: "Stub voice 2", language: "en", gender: "male", previewUrl: null },
+        { id: "stub-3", name: "Stub voice 3", language: "en", gender: "female", previewUrl: null },
+    ];
+
+    return {
+        name: "stub",
+        model: "stub",
+        defaultVoiceId: "stub-narrator",
+
+        async listVoices() {
+            return voices;
+        },
+
+        async synthesize(text) {
+            const words = text.split(/\s+/).filter(Boolean).length;
+            const samples = new Int16Array(Math.max(1, Math.round(words * SECONDS_PER_WORD * SAMPLE_RATE)));
+            return {
+                stream: Readable.from([encodeWav(samples, SAMPLE_RATE)]),
+                mimeType: "audio/wav",
+                words: Promise.resolve(estimateWordTimings(text, samples.length / SAMPLE_RATE)),
+            };
+        }
+    };
+}
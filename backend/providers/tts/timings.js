@@ -0,0 +1,55 @@
+// Word timings for read-along highlighting: [{ word, start, end }] with times
+// in seconds from the start of the audio. Words are the whitespace-separated
+// tokens of the narrated text, in order.
+
+// Extra weight for the pause a reader leaves after punctuation, in characters
+const SENTENCE_PAUSE = 4;
+const CLAUSE_PAUSE = 2;
+
+// Groups a per-character alignment (ElevenLabs with-timestamps output) into words
+export function wordsFromCharacters({ characters, characterStartTimesSeconds, characterEndTimesSeconds }) {
+    const words = [];
+    let current = null;
+    characters.forEach((character, i) => {
+        if (/\s/.test(character)) {
+            current = null;
+            return;
+        }
+        if (!current) {
+            current = { word: "", start: characterStartTimesSeconds[i], end: characterEndTimesSeconds[i] };
+            words.push(current);
+        }
+        current.word += character;
+        current.end = characterEndTimesSeconds[i];
+    });
+    return words;
+}
+
+// Estimates timings for engines that don't report them by sharing the audio
+// duration between words by length, with longer gaps after punctuation
+export function estimateWordTimings(text, durationSeconds) {
+    const tokens = text.split(/\s+/).filter(Boolean);
+    const weights = tokens.map((token) => {
+        const pause = /[.!?]["')\]]*$/.test(token) ? SENTENCE_PAUSE : /[,;:]["')\]]*$/.test(token) ? CLAUSE_PAUSE : 0;
+        return { speech: token.length + 1, pause };
+    });
+    const totalWeight = weights.reduce((total, w) => total + w.speech + w.pause, 0);
+    const secondsPerUnit = totalWeight ? durationSeconds / totalWeight : 0;
+
+    let time = 0;
+    return tokens.map((word, i) => {
+        const start = time;
+        const end = start + weights[i].speech * secondsPerUnit;
+        time = end + weights[i].pause * secondsPerUnit;
+        return { word, start: round(start), end: round(end) };
+    });
+}
+
+// Moves timings later by offsetSeconds, e.g. for a segment in stitched audio
+export function shiftWordTimings(words, offsetSeconds) {
+    return words.map((w) => ({ ...w, start: round(w.start + offsetSeconds), end: round(w.end + offsetSeconds) }));
+}
+
+function round(seconds) {
+    return Math.round(seconds * 1000) / 1000;
+}
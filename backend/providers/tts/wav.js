@@ -0,0 +1,86 @@
+// Minimal PCM WAV helpers shared by the TTS providers and the multi-voice
+// narration stitcher.
+
+// Builds a 16-bit mono PCM WAV file from an Int16Array of samples
+export function encodeWav(samples, sampleRate) {
+    const dataSize = samples.length * 2;
+    const buffer = Buffer.alloc(44 + dataSize);
+
+    buffer.write("RIFF", 0);
+    buffer.writeUInt32LE(36 + dataSize, 4);
+    buffer.write("WAVE", 8);
+    buffer.write("fmt ", 12);
+    buffer.writeUInt32LE(16, 16); // fmt chunk size
+    buffer.writeUInt16LE(1, 20); // PCM
+    buffer.writeUInt16LE(1, 22); // mono
+    buffer.writeUInt32LE(sampleRate, 24);
+    buffer.writeUInt32LE(sampleRate * 2, 28); // byte rate
+    buffer.writeUInt16LE(2, 32); // block align
+    buffer.writeUInt16LE(16, 34); // bits per sample
+    buffer.write("data", 36);
+    buffer.writeUInt32LE(dataSize, 40);
+
+    for (let i = 0; i < samples.length; i++) {
+        buffer.writeInt16LE(samples[i], 44 + i * 2);
+    }
+    return buffer;
+}
+
+// Reads a 16-bit PCM WAV file into { samples: Int16Array, sampleRate }.
+// Stereo input is mixed down to mono.
+export function decodeWav(buffer) {
+    if (buffer.toString("ascii", 0, 4) !== "RIFF" || buffer.toString("ascii", 8, 12) !== "WAVE") {
+        throw new Error("Audio is not a WAV file");
+    }
+
+    let offset = 12;
+    let format = null;
+    while (offset + 8 <= buffer.length) {
+        const chunkId = buffer.toString("ascii", offset, offset + 4);
+        // Streamed WAVs (e.g. from espeak on stdout) may carry a placeholder size
+        const chunkSize = Math.min(buffer.readUInt32LE(offset + 4), buffer.length - offset - 8);
+        const body = offset + 8;
+
+        if (chunkId === "fmt ") {
+            format = {
+                channels: buffer.readUInt16LE(body + 2),
+                sampleRate: buffer.readUInt32LE(body + 4),
+                bitsPerSample: buffer.readUInt16LE(body + 14),
+            };
+        } else if (chunkId === "data") {
+            if (!format || format.bitsPerSample !== 16) {
+                throw new Error("Only 16-bit PCM WAV audio is supported");
+            }
+            const frames = Math.floor(chunkSize / (2 * format.channels));
+            const samples = new Int16Array(frames);
+            for (let i = 0; i < frames; i++) {
+                let sum = 0;
+                for (let c = 0; c < format.channels; c++) {
+                    sum += buffer.readInt16LE(body + (i * format.channels + c) * 2);
+                }
+                samples[i] = Math.round(sum / format.channels);
+            }
+            return { samples, sampleRate: format.sampleRate };
+        }
+        offset = body + chunkSize + (chunkSize % 2); // chunks are word aligned
+    }
+    throw new Error("WAV file has no audio data");
+}
+
+// Linear-interpolation resampler, good enough to line up speech from
+// engines with different native rates
+export function resample(samples, fromRate, toRate) {
+    if (fromRate === toRate) {
+        return samples;
+    }
+    const ratio = fromRate / toRate;
+    const output = new Int16Array(Math.round(samples.length / ratio));
+    for (let i = 0; i < output.length; i++) {
+        const position = i * ratio;
+        const index = Math.floor(position);
+        const next = Math.min(index + 1, samples.length - 1);
+        const fraction = position - index;
+        output[i] = Math.round(samples[index] * (1 - fraction) + samples[next] * fraction);
+    }
+    return output;
+}
@@ -0,0 +1,139 @@
+import { parseCredentials, SESSION_TTL_DAYS } from "../auth/index.js";
+import { hashPassword, verifyPassword, rejectPassword } from "../auth/passwords.js";
+import { generateToken } from "../auth/tokens.js";
+import { getQuota } from "../auth/quota.js";
+import { createUser, getUserByEmail, createToken, listTokens, deleteToken } from "../storage/users.js";
+
+// Account failures (e.g. no SQLite support in this runtime) get a generic 500
+function sendAccountError(res, err) {
+    console.error("Account error:", err);
+    if (!res.headersSent) {
+        // Never expose stack traces to clients - security risk
+        res.status(500).json({
+            error: "Accounts are not available right now. Please try again."
+        });
+    }
+}
+
+// Starts a session and responds with its token
+async function sendSession(res, user, status = 200) {
+    const { token, tokenHash } = generateToken("session");
+    const expiresAt = new Date(Date.now() + SESSION_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString();
+    await createToken({ userId: user.id, kind: "session", tokenHash, expiresAt });
+    res.status(status).json({ user, token, expiresAt });
+}
+
+// POST /api/auth/signup - Create an account. Body: { email, password }.
+// Responds 201 with { user, token, expiresAt }; send the token as "Authorization: Bearer <token>".
+async function signUpHandler(req, res) {
+    const { email, password, error } = parseCredentials(req.body);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    try {
+        const user = await createUser({ email, passwordHash: await hashPassword(password) });
+        if (!user) {
+            return res.status(409).json({ error: "An account with this email address already exists. Please sign in." });
+        }
+        await sendSession(res, user, 201);
+    } catch (err) {
+        sendAccountError(res, err);
+    }
+}
+
+// POST /api/auth/signin - Sign in. Body: { email, password }. Responds with { user, token, expiresAt }.
+async function signInHandler(req, res) {
+    const { email, password, error } = parseCredentials(req.body);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    try {
+        const found = await getUserByEmail(email);
+        // Same message and the same password check either way, so neither the
+        // response nor its timing reveals which emails have accounts
+        const valid = found ? await verifyPassword(password, found.passwordHash) : await rejectPassword(password);
+        if (!valid) {
+            return res.status(401).json({ error: "Incorrect email address or password." });
+        }
+        const { passwordHash, ...user } = found;
+        await sendSession(res, user);
+    } catch (err) {
+        sendAccountError(res, err);
+    }
+}
+
+// POST /api/auth/signout - End the session whose token the request was sent with
+async function signOutHandler(req, res) {
+    try {
+        if (req.token.kind === "session") {
+            await deleteToken(req.user.id, req.token.id);
+        }
+        res.status(204).end();
+    } catch (err) {
+        sendAccountError(res, err);
+    }
+}
+
+// GET /api/auth/me - The signed-in user (null when anonymous) and today's quota
+async function meHandler(req, res) {
+    try {
+        res.setHeader("Cache-Control", "no-store");
+        res.json({ user: req.user, ...await getQuota(req) });
+    } catch (err) {
+        sendAccountError(res, err);
+    }
+}
+
+// GET /api/tokens - The signed-in user's personal API tokens (without the token values)
+async function listTokensHandler(req, res) {
+    try {
+        res.json({ tokens: await listTokens(req.user.id, "api") });
+    } catch (err) {
+        sendAccountError(res, err);
+    }
+}
+
+const MAX_TOKEN_NAME_LENGTH = 100;
+
+// POST /api/tokens - Create a personal API token for scripts. Body: { name }.
+// The token is only returned in this response.
+async function createTokenHandler(req, res) {
+    const name = typeof req.body.name === "string" ? req.body.name.trim() : "";
+    if (!name || name.length > MAX_TOKEN_NAME_LENGTH) {
+        return res.status(400).json({ error: `Token name is required (at most ${MAX_TOKEN_NAME_LENGTH} characters).` });
+    }
+    // A leaked API token shouldn't be able to mint more of them
+    if (req.token.kind !== "session") {
+        return res.status(403).json({ error: "API tokens can only be created after signing in with a password." });
+    }
+
+    try {
+        const { token, tokenHash } = generateToken("api");
+        const created = await createToken({ userId: req.user.id, kind: "api", name, tokenHash });
+        res.status(201).json({ ...created, token });
+    } catch (err) {
+        sendAccountError(res, err);
+    }
+}
+
+// DELETE /api/tokens/:id - Revoke a personal API token
+async function deleteTokenHandler(req, res) {
+    try {
+        if (!(await deleteToken(req.user.id, req.params.id))) {
+            return res.status(404).json({ error: "Token not found." });
+        }
+        res.status(204).end();
+    } catch (err) {
+        sendAccountError(res, err);
+    }
+}
+
+export const signUpRoute = { method: "POST", path: "/api/auth/signup", handler: signUpHandler };
+export const signInRoute = { method: "POST", path: "/api/auth/signin", handler: signInHandler };
+export const signOutRoute = { method: "POST", path: "/api/auth/signout", handler: signOutHandler, auth: true };
+export const meRoute = { method: "GET", path: "/api/auth/me", handler: meHandler };
+export const listTokensRoute = { method: "GET", path: "/api/tokens", handler: listTokensHandler, auth: true };
+export const createTokenRoute = { method: "POST", path: "/api/tokens", handler: createTokenHandler, auth: true };
+export const deleteTokenRoute = { method: "DELETE", path: "/api/tokens/:id", handler: deleteTokenHandler, auth: true };
@@ -0,0 +1,52 @@
+import { getStory, getStoryAsset, getStoryImages } from "../storage/stories.js";
+import { clientKey } from "../http/rateLimit.js";
+import { buildEpub } from "../export/epub.js";
+
+// File name from the story title, e.g. "The Brave Fox" -> "the-brave-fox.epub"
+function fileName(title) {
+    const slug = (title || "").toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "").substring(0, 60);
+    return `${slug || "story"}.epub`;
+}
+
+// GET /api/export/epub?storyId=... - Download a saved story with its images and
+// narration as an EPUB3 audiobook with read-aloud highlighting (media overlays).
+async function exportEpub(req, res) {
+    console.log("GET /api/export/epub request received");
+    const { storyId } = req.query;
+    if (typeof storyId !== "string" || !storyId) {
+        return res.status(400).json({ error: "storyId is required. Save and narrate the story first." });
+    }
+
+    try {
+        const story = await getStory(storyId, clientKey(req));
+        if (!story) {
+            return res.status(404).json({ error: "Story not found." });
+        }
+        const audio = await getStoryAsset(storyId, "audio");
+        const timings = await getStoryAsset(storyId, "timings");
+        if (!audio || !timings) {
+            return res.status(400).json({ error: "This story has no narration yet. Generate the voiceover first." });
+        }
+
+        const epub = buildEpub({
+            story,
+            images: await getStoryImages(story),
+            audio,
+            words: JSON.parse(timings.data.toString()),
+        });
+
+        res.setHeader("Content-Type", "application/epub+zip");
+        res.setHeader("Content-Disposition", `attachment; filename="${fileName(story.title)}"`);
+        res.setHeader("Content-Length", epub.length);
+        res.setHeader("Cache-Control", "no-store");
+        res.end(epub);
+    } catch (err) {
+        console.error("EPUB export error:", err);
+        // Never expose stack traces to clients - security risk
+        res.status(500).json({
+            error: "An error occurred processing your request. Please try again."
+        });
+    }
+}
+
+export default { method: "GET", path: "/api/export/epub", handler: exportEpub };
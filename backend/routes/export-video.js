@@ -0,0 +1,90 @@
+import { createReadStream } from "fs";
+import { pipeline } from "stream/promises";
+import { getStory, getStoryAsset, getStoryImages } from "../storage/stories.js";
+import { clientKey } from "../http/rateLimit.js";
+import { parseVideoOptions, renderVideo } from "../export/video.js";
+
+// Encoding is CPU heavy, so only a few videos are rendered at once
+const MAX_CONCURRENT_EXPORTS = Number(process.env.MAX_VIDEO_EXPORTS) || 1;
+let activeExports = 0;
+
+// POST /api/export/video - Render a saved story's images, narration and captions to an MP4.
+// Body: { storyId, aspectRatio: "square" | "portrait" | "landscape", panZoom, subtitles: "burned" | "soft" | "none" }
+async function exportVideo(req, res) {
+    console.log("POST /api/export/video request received");
+    const { storyId } = req.body;
+    if (typeof storyId !== "string" || !storyId) {
+        return res.status(400).json({ error: "storyId is required. Save and narrate the story first." });
+    }
+
+    const { options, error: optionsError } = parseVideoOptions(req.body);
+    if (optionsError) {
+        return res.status(400).json({ error: optionsError });
+    }
+
+    if (activeExports >= MAX_CONCURRENT_EXPORTS) {
+        res.setHeader("Retry-After", "30");
+        return res.status(503).json({ error: "Another video is being rendered. Please try again in a moment." });
+    }
+    activeExports++;
+
+    // Stop ffmpeg if the client gives up waiting
+    const controller = new AbortController();
+    res.on("close", () => {
+        if (!res.writableEnded) {
+            controller.abort();
+        }
+    });
+
+    let video = null;
+    try {
+        const story = await getStory(storyId, clientKey(req));
+        if (!story) {
+            return res.status(404).json({ error: "Story not found." });
+        }
+        const audio = await getStoryAsset(storyId, "audio");
+        if (!audio) {
+            return res.status(400).json({ error: "This story has no narration yet. Generate the voiceover first." });
+        }
+        const timings = await getStoryAsset(storyId, "timings");
+
+        video = await renderVideo({
+            story: story.story,
+            images: await getStoryImages(story),
+            segments: story.panels.length > 0 && story.panels.every((panel) => panel.segment)
+                ? story.panels.map((panel) => panel.segment)
+                : null,
+            audio,
+            words: timings ? JSON.parse(timings.data.toString()) : null,
+            options,
+            signal: controller.signal,
+        });
+
+        res.setHeader("Content-Type", "video/mp4");
+        res.setHeader("Content-Disposition", `attachment; filename="story-${options.aspectRatio}.mp4"`);
+        res.setHeader("Cache-Control", "no-store");
+        await pipeline(createReadStream(video.file), res);
+        console.log("Video sent");
+    } catch (err) {
+        if (controller.signal.aborted) {
+            console.log("Video export cancelled by client");
+            return;
+        }
+        console.error("Video export error:", err);
+        if (res.headersSent) {
+            res.destroy();
+        } else if (err.code === "ENOENT") {
+            res.status(501).json({ error: "Video export is not available on this server (ffmpeg is not installed)." });
+        } else {
+            // Never expose stack traces to clients - security risk
+            res.status(500).json({ 
+                error: "An error occurred processing your request. Please try again."
+            });
+        }
+    } finally {
+        activeExports--;
+        await video?.cleanup();
+    }
+}
+
+export default { method: "POST", path: "/api/export/video", handler: exportVideo };
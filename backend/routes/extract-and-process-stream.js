@@ -0,0 +1,175 @@
+import { getStoryProvider } from "../providers/story/index.js";
+import { parseStoryOptions, buildStoryPrompt, countWords } from "../story/options.js";
+import { cleanText } from "../story/input.js";
+import { screenInput } from "../story/injection.js";
+import { moderateImages, moderateTexts, moderateStory } from "../moderation/index.js";
+import { withSourceLanguage } from "../story/language.js";
+import { parsePanels, parsePageTexts, extractPanels, buildPanelStoryPrompt, panelSegments } from "../story/panels.js";
+import { openEventStream, streamScript } from "../story/stream.js";
+import { recordStory } from "../storage/stories.js";
+import { requestCache } from "../cache/index.js";
+import { storyUsage } from "../auth/quota.js";
+import { clientKey } from "../http/rateLimit.js";
+
+// POST /api/extract-and-process/stream - Same as /api/extract-and-process, but streams NDJSON events:
+//   { type: "extracted", text, panels?, sourceLanguage } -> { type: "chunk", text }...
+//   -> { type: "done", processedStory, script, wordCount, targetWords, language, segments?, moderation, cache }
+// or { type: "error", error, moderation? } if generation fails or is refused after the stream has started.
+// With several images, `segments` on "done" is the story split by panel.
+// `pageTexts` (see story/panels.js) skips the extraction.
+async function extractAndProcessStream(req, res) {
+    console.log("POST /api/extract-and-process/stream request received");
+    const { panels, error: panelsError, status: panelsStatus } = await parsePanels(req.body);
+    if (panelsError) {
+        return res.status(panelsStatus).json({ error: panelsError });
+    }
+    const { pageTexts, error: pageTextsError } = parsePageTexts(req.body, panels.length);
+    if (pageTextsError) {
+        return res.status(400).json({ error: pageTextsError });
+    }
+
+    const { options: requestOptions, error: optionsError } = parseStoryOptions(req.body);
+    if (optionsError) {
+        return res.status(400).json({ error: optionsError });
+    }
+
+    // Child-safety check of the images before anything is read from them
+    const { blocked: imageBlocked } = await moderateImages(panels);
+    if (imageBlocked) {
+        return res.status(422).json({ error: imageBlocked.message, moderation: imageBlocked });
+    }
+
+    const cache = requestCache(req, res);
+    const events = openEventStream(res);
+    try {
+        if (panels.length > 1) {
+            return await streamPanelStory(panels, pageTexts, requestOptions, events, cache, clientKey(req));
+        }
+
+        const [image] = panels;
+        const extractPrompt = "Extract all text from this image. Return only the text content, nothing else.";
+        const extractedText = pageTexts?.[0] ?? await getStoryProvider().extractText(image, extractPrompt, { signal: events.signal, cache });
+        console.log("Text extracted successfully, length:", extractedText.length, "chars");
+
+        if (!extractedText || extractedText.trim().length === 0) {
+            events.send({ type: "error", error: "No text could be extracted from the image. Please try a different image." });
+            return events.end();
+        }
+        const { error: injectionError } = screenInput(extractedText, "image");
+        if (injectionError) {
+            events.send({ type: "error", error: injectionError });
+            return events.end();
+        }
+        const { texts: [safeText] = [], blocked: textBlocked } = await moderateTexts([cleanText(extractedText)], { signal: events.signal, source: "image" });
+        if (textBlocked) {
+            events.send({ type: "error", error: textBlocked.message, moderation: textBlocked });
+            return events.end();
+        }
+        // Write the story in the language of the image text unless another one was asked for
+        const storyOptions = withSourceLanguage(requestOptions, extractedText);
+        events.send({ type: "extracted", text: extractedText, sourceLanguage: storyOptions.sourceLanguage });
+
+        const prompt = buildStoryPrompt(safeText, storyOptions, "image");
+        const { blocked, ...story } = await moderateStory(prompt, await streamScript(prompt, events, cache), { signal: events.signal, cache });
+        if (blocked) {
+            events.send({ type: "error", error: blocked.message, moderation: blocked });
+            return events.end();
+        }
+        const { script, text: processedStory, moderation } = story;
+        console.log("Story streamed successfully, length:", processedStory.length, "chars");
+
+        const storyId = await recordStory({
+            owner: clientKey(req),
+            sourceType: "image",
+            extractedText,
+            story: processedStory,
+            script,
+            options: storyOptions,
+            image
+        });
+
+        events.send({
+            type: "done",
+            storyId,
+            processedStory,
+            script,
+            wordCount: countWords(processedStory),
+            targetWords: storyOptions.targetWords,
+            language: storyOptions.language,
+            moderation,
+            cache: cache.statuses,
+        });
+        events.end();
+    } catch (err) {
+        if (events.signal.aborted) {
+            console.log("Story generation cancelled by client");
+            return;
+        }
+        console.error("Streaming error:", err);
+        // Never expose stack traces to clients - security risk
+        events.send({ type: "error", error: "An error occurred processing your request. Please try again." });
+        events.end();
+    }
+}
+
+async function streamPanelStory(panels, pageTexts, requestOptions, events, cache, owner) {
+    console.log(`Extracting text from ${panels.length} panels...`);
+    const panelTexts = pageTexts ?? await extractPanels(getStoryProvider(), panels, { signal: events.signal, cache });
+    if (panelTexts.every((text) => !text)) {
+        events.send({ type: "error", error: "No text could be extracted from the images. Please try different images." });
+        return events.end();
+    }
+    const extractedText = panelTexts.join("\n\n");
+    const { error: injectionError } = screenInput(extractedText, "image");
+    if (injectionError) {
+        events.send({ type: "error", error: injectionError });
+        return events.end();
+    }
+    const { texts: safeTexts, blocked: textBlocked } = await moderateTexts(panelTexts, { signal: events.signal, source: "image" });
+    if (textBlocked) {
+        events.send({ type: "error", error: textBlocked.message, moderation: textBlocked });
+        return events.end();
+    }
+    const storyOptions = withSourceLanguage(requestOptions, extractedText);
+    events.send({ type: "extracted", text: extractedText, panels: panelTexts, sourceLanguage: storyOptions.sourceLanguage });
+
+    const prompt = buildPanelStoryPrompt(safeTexts, storyOptions);
+    const sceneCount = panels.length;
+    const { blocked, ...story } = await moderateStory(
+        prompt, await streamScript(prompt, events, cache, { sceneCount }), { signal: events.signal, cache, sceneCount }
+    );
+    if (blocked) {
+        events.send({ type: "error", error: blocked.message, moderation: blocked });
+        return events.end();
+    }
+    const { script, text: processedStory, moderation } = story;
+    const segments = panelSegments(script);
+    console.log("Panel story streamed successfully, length:", processedStory.length, "chars");
+
+    const storyId = await recordStory({
+        owner,
+        sourceType: "panels",
+        extractedText,
+        story: processedStory,
+        script,
+        options: storyOptions,
+        image: panels[0],
+        panels: panels.map((image, i) => ({ image, extractedText: panelTexts[i], segment: segments[i] }))
+    });
+
+    events.send({
+        type: "done",
+        storyId,
+        processedStory,
+        script,
+        wordCount: countWords(processedStory),
+        targetWords: storyOptions.targetWords,
+        language: storyOptions.language,
+        segments,
+        moderation,
+        cache: cache.statuses,
+    });
+    events.end();
+}
+
+export default { method: "POST", path: "/api/extract-and-process/stream", handler: extractAndProcessStream, usage: storyUsage, upload: true };
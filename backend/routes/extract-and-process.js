@@ -0,0 +1,206 @@
+import { getStoryProvider } from "../providers/story/index.js";
+import { parseStoryOptions, buildStoryPrompt, countWords } from "../story/options.js";
+import { cleanText } from "../story/input.js";
+import { screenInput } from "../story/injection.js";
+import { moderateImages, moderateTexts, moderateStory } from "../moderation/index.js";
+import { withSourceLanguage } from "../story/language.js";
+import { parsePanels, parsePageTexts, extractPanels, buildPanelStoryPrompt, panelSegments } from "../story/panels.js";
+import { writeScript } from "../story/script.js";
+import { recordStory } from "../storage/stories.js";
+import { requestCache } from "../cache/index.js";
+import { storyUsage } from "../auth/quota.js";
+import { clientKey } from "../http/rateLimit.js";
+
+// POST /api/extract-and-process - Extract text from image and process it into a story.
+// With several `images` (comic panels or book pages, in order) the story has one segment per image.
+// Images come as data URLs in a JSON body or as files in a multipart/form-data upload.
+// `pageTexts`, the text of each image as corrected after /api/extract, is used instead of extracting it.
+async function extractAndProcess(req, res) {
+    console.log("POST /api/extract-and-process request received");
+    const cache = requestCache(req, res);
+    try {
+        const { panels, error: panelsError, status: panelsStatus } = await parsePanels(req.body);
+        if (panelsError) {
+            return res.status(panelsStatus).json({ error: panelsError });
+        }
+        const { pageTexts, error: pageTextsError } = parsePageTexts(req.body, panels.length);
+        if (pageTextsError) {
+            return res.status(400).json({ error: pageTextsError });
+        }
+
+        const { options: requestOptions, error: optionsError } = parseStoryOptions(req.body);
+        if (optionsError) {
+            return res.status(400).json({ error: optionsError });
+        }
+
+        // Child-safety check of the images before anything is read from them
+        const { blocked: imageBlocked } = await moderateImages(panels);
+        if (imageBlocked) {
+            return res.status(422).json({ error: imageBlocked.message, moderation: imageBlocked });
+        }
+
+        if (panels.length > 1) {
+            return await processPanels(panels, pageTexts, requestOptions, res, cache, clientKey(req));
+        }
+        const [image] = panels;
+
+        console.log("Extracting text from image...");
+
+        // Step 1: Extract text from image using the story provider's vision model, unless it was reviewed
+        let extractedText = pageTexts?.[0];
+        try {
+            const prompt = "Extract all text from this image. Return only the text content, nothing else.";
+            extractedText ??= await getStoryProvider().extractText(image, prompt, { cache });
+            console.log("Text extracted successfully, length:", extractedText.length, "chars");
+        } catch (extractErr) {
+            console.error("Text extraction error:", extractErr);
+            throw new Error(`Failed to extract text from image: ${extractErr.message}`);
+        }
+
+        if (!extractedText || extractedText.trim().length === 0) {
+            return res.status(400).json({ 
+                error: "No text could be extracted from the image. Please try a different image." 
+            });
+        }
+
+        console.log("Extracted text preview:", extractedText.substring(0, 100) + "...");
+
+        const { error: injectionError } = screenInput(extractedText, "image");
+        if (injectionError) {
+            return res.status(400).json({ error: injectionError });
+        }
+        // Personal data is left out of the prompt
+        const { texts: [safeText] = [], blocked: textBlocked } = await moderateTexts([cleanText(extractedText)], { source: "image" });
+        if (textBlocked) {
+            return res.status(422).json({ error: textBlocked.message, moderation: textBlocked });
+        }
+
+        // Write the story in the language of the image text unless another one was asked for
+        const storyOptions = withSourceLanguage(requestOptions, extractedText);
+
+        // Step 2: Generate story from extracted text
+        console.log("Generating story from extracted text...");
+        let script, processedStory, moderation;
+        try {
+            // The text reaches the model as delimited data, never as instructions (see story/injection.js)
+            const prompt = buildStoryPrompt(safeText, storyOptions, "image");
+            
+            // Unsafe stories are rewritten or refused before anyone reads or hears them
+            const { blocked, ...story } = await moderateStory(prompt, await writeScript(prompt, { cache }), { cache });
+            if (blocked) {
+                return res.status(422).json({ error: blocked.message, moderation: blocked });
+            }
+            ({ script, text: processedStory, moderation } = story);
+            console.log("Story processed successfully, length:", processedStory.length, "chars");
+        } catch (processErr) {
+            console.error("Text processing error:", processErr);
+            throw new Error(`Failed to process text: ${processErr.message}`);
+        }
+
+        console.log("Processed story preview:", processedStory.substring(0, 150) + "...");
+
+        const storyId = await recordStory({
+            owner: clientKey(req),
+            sourceType: "image",
+            extractedText,
+            story: processedStory,
+            script,
+            options: storyOptions,
+            image
+        });
+
+        // Return the processed story text (no audio yet)
+        res.json({
+            storyId,
+            extractedText: extractedText,
+            processedStory: processedStory,
+            script,
+            wordCount: countWords(processedStory),
+            targetWords: storyOptions.targetWords,
+            language: storyOptions.language,
+            sourceLanguage: storyOptions.sourceLanguage,
+            moderation
+        });
+        console.log("Response sent successfully");
+
+    } catch (err) {
+        console.error("Server error:", err);
+        if (!res.headersSent) {
+            // Never expose stack traces to clients - security risk
+            res.status(500).json({ 
+                error: "An error occurred processing your request. Please try again."
+            });
+        }
+    }
+}
+
+async function processPanels(panels, pageTexts, requestOptions, res, cache, owner) {
+    console.log(`Extracting text from ${panels.length} panels...`);
+    let panelTexts = pageTexts;
+    try {
+        panelTexts ??= await extractPanels(getStoryProvider(), panels, { cache });
+    } catch (extractErr) {
+        console.error("Text extraction error:", extractErr);
+        throw new Error(`Failed to extract text from images: ${extractErr.message}`);
+    }
+
+    if (panelTexts.every((text) => !text)) {
+        return res.status(400).json({ 
+            error: "No text could be extracted from the images. Please try different images." 
+        });
+    }
+
+    const { error: injectionError } = screenInput(panelTexts.join("\n\n"), "image");
+    if (injectionError) {
+        return res.status(400).json({ error: injectionError });
+    }
+    const { texts: safeTexts, blocked: textBlocked } = await moderateTexts(panelTexts, { source: "image" });
+    if (textBlocked) {
+        return res.status(422).json({ error: textBlocked.message, moderation: textBlocked });
+    }
+
+    const storyOptions = withSourceLanguage(requestOptions, panelTexts.join("\n\n"));
+    let script, processedStory, moderation;
+    try {
+        const prompt = buildPanelStoryPrompt(safeTexts, storyOptions);
+        const sceneCount = panels.length;
+        const { blocked, ...story } = await moderateStory(prompt, await writeScript(prompt, { cache, sceneCount }), { cache, sceneCount });
+        if (blocked) {
+            return res.status(422).json({ error: blocked.message, moderation: blocked });
+        }
+        ({ script, text: processedStory, moderation } = story);
+    } catch (processErr) {
+        console.error("Text processing error:", processErr);
+        throw new Error(`Failed to process text: ${processErr.message}`);
+    }
+
+    const extractedText = panelTexts.join("\n\n");
+    const segments = panelSegments(script);
+    console.log("Panel story processed successfully, length:", processedStory.length, "chars");
+
+    const storyId = await recordStory({
+        owner,
+        sourceType: "panels",
+        extractedText,
+        story: processedStory,
+        script,
+        options: storyOptions,
+        image: panels[0],
+        panels: panels.map((image, i) => ({ image, extractedText: panelTexts[i], segment: segments[i] }))
+    });
+
+    res.json({
+        storyId,
+        extractedText,
+        processedStory,
+        script,
+        panels: panelTexts.map((text, i) => ({ extractedText: text, segment: segments[i] })),
+        wordCount: countWords(processedStory),
+        targetWords: storyOptions.targetWords,
+        language: storyOptions.language,
+        sourceLanguage: storyOptions.sourceLanguage,
+        moderation
+    });
+}
+
+export default { method: "POST", path: "/api/extract-and-process", handler: extractAndProcess, usage: storyUsage, upload: true };
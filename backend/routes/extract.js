@@ -0,0 +1,66 @@
+import { getStoryProvider } from "../providers/story/index.js";
+import { parsePanels, pageTextLimit } from "../story/panels.js";
+import { extractBlocks, LOW_CONFIDENCE } from "../story/ocr.js";
+import { moderateImages } from "../moderation/index.js";
+import { requestCache } from "../cache/index.js";
+import { storyUsage } from "../auth/quota.js";
+
+// POST /api/extract - Extract the text of one or more images for review, without writing a story.
+// Each image's text comes in blocks with the model's confidence and a bounding box (see story/ocr.js).
+// The corrected text of each image is then sent back with the images as `pageTexts` to
+// /api/extract-and-process, which screens and moderates it like extracted text. Only the
+// first `maxTextLength` characters of each image's text are used. Counts as a generation.
+// Images come as data URLs in a JSON body or as files in a multipart/form-data upload.
+async function extract(req, res) {
+    console.log("POST /api/extract request received");
+    const cache = requestCache(req, res);
+    try {
+        const { panels, error: panelsError, status: panelsStatus } = await parsePanels(req.body);
+        if (panelsError) {
+            return res.status(panelsStatus).json({ error: panelsError });
+        }
+
+        // Child-safety check of the images before anything is read from them
+        const { blocked } = await moderateImages(panels);
+        if (blocked) {
+            return res.status(422).json({ error: blocked.message, moderation: blocked });
+        }
+
+        console.log(`Extracting text blocks from ${panels.length} image(s)...`);
+        let pages;
+        try {
+            pages = await extractBlocks(getStoryProvider(), panels, { cache });
+        } catch (extractErr) {
+            console.error("Text extraction error:", extractErr);
+            throw new Error(`Failed to extract text from images: ${extractErr.message}`);
+        }
+
+        if (pages.every(({ blocks }) => blocks.length === 0)) {
+            return res.status(400).json({
+                error: panels.length > 1
+                    ? "No text could be extracted from the images. Please try different images."
+                    : "No text could be extracted from the image. Please try a different image."
+            });
+        }
+
+        const lowConfidenceBlocks = pages.reduce((count, { blocks }) => count + blocks.filter((block) => block.lowConfidence).length, 0);
+        console.log(`Text extracted: ${pages.length} page(s), ${lowConfidenceBlocks} block(s) to review`);
+
+        res.json({
+            text: pages.map(({ text }) => text).join("\n\n"),
+            pages,
+            lowConfidenceThreshold: LOW_CONFIDENCE,
+            maxTextLength: pageTextLimit(pages.length)
+        });
+    } catch (err) {
+        console.error("Server error:", err);
+        if (!res.headersSent) {
+            // Never expose stack traces to clients - security risk
+            res.status(500).json({
+                error: "An error occurred processing your request. Please try again."
+            });
+        }
+    }
+}
+
+export default { method: "POST", path: "/api/extract", handler: extract, usage: storyUsage, upload: true };
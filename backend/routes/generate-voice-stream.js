@@ -0,0 +1,94 @@
+import { pipeline } from "stream/promises";
+import { getTTSProvider } from "../providers/tts/index.js";
+import { cleanText, MAX_NARRATION_CHARS } from "../story/input.js";
+import { narrateStory, parseVoiceId, parseVoiceMap } from "../story/narration.js";
+import { NARRATOR } from "../story/segments.js";
+import { parseLanguage, detectLanguage } from "../story/language.js";
+import { moderateTexts } from "../moderation/index.js";
+import { recordStoryAudio } from "../storage/stories.js";
+import { requestCache } from "../cache/index.js";
+import { narrationUsage, markFailed } from "../auth/quota.js";
+import { clientKey } from "../http/rateLimit.js";
+
+// POST /api/generate-voice/stream - Pipe narration audio to the client as it is generated,
+// instead of buffering it into base64 JSON
+async function generateVoiceStream(req, res) {
+    console.log("POST /api/generate-voice/stream request received");
+    const { text, multiVoice } = req.body;
+    const submittedText = text?.trim() || "";
+
+    if (!cleanText(submittedText)) {
+        return res.status(400).json({ 
+            error: "Story text is required to generate voiceover." 
+        });
+    }
+
+    const provider = getTTSProvider();
+    const { voiceId, error: voiceIdError } = await parseVoiceId(req.body.voiceId, provider);
+    const { voiceMap, error: voiceMapError } = await parseVoiceMap(req.body.voiceMap, provider);
+    const { language: requestedLanguage, error: languageError } = parseLanguage(req.body.language);
+    if (voiceIdError || voiceMapError || languageError) {
+        return res.status(400).json({ error: voiceIdError || voiceMapError || languageError });
+    }
+
+    // The text may not be a story this app wrote, so it is checked like an
+    // idea; personal data is left out of the narration
+    const { texts: [storyText] = [], blocked } = await moderateTexts([submittedText], { source: "narration" });
+    if (blocked) {
+        return res.status(422).json({ error: blocked.message, moderation: blocked });
+    }
+    const narrationText = cleanText(storyText, MAX_NARRATION_CHARS);
+    // Tell the engine which language it is reading so names and words are pronounced correctly
+    const language = requestedLanguage || detectLanguage(storyText);
+
+    const cache = requestCache(req, res);
+
+    // Stop synthesis when the listener goes away before the audio is complete
+    const controller = new AbortController();
+    res.on("close", () => {
+        if (!res.writableEnded) {
+            controller.abort();
+        }
+    });
+
+    try {
+        // Multi-voice narration is stitched together before it is sent, so it
+        // arrives as one WAV rather than progressively
+        const audio = multiVoice
+            ? await narrateStory(storyText, { [NARRATOR]: voiceId, ...voiceMap }, { signal: controller.signal, language, cache })
+            : await provider.synthesize(narrationText, { voiceId, signal: controller.signal, language, cache });
+        console.log("Streaming audio to client, mime type:", audio.mimeType);
+        res.setHeader("Content-Type", audio.mimeType);
+        res.setHeader("Cache-Control", "no-store");
+
+        // Keep a copy of the bytes so the narration can be saved to the library
+        const chunks = [];
+        audio.stream.on("data", (chunk) => chunks.push(Buffer.from(chunk)));
+        await pipeline(audio.stream, res, { end: false });
+        console.log("Audio stream finished");
+
+        // Word timings are only complete once the audio is, so they are saved
+        // with the story for the player to fetch from /api/stories/:id/timings.
+        // The response ends after saving so the player never fetches them early.
+        const words = (await audio.words) ?? null;
+        await recordStoryAudio(req.body.storyId, clientKey(req), audio.mimeType, Buffer.concat(chunks), words);
+        res.end();
+    } catch (err) {
+        if (controller.signal.aborted) {
+            console.log("Audio stream cancelled by client");
+            return;
+        }
+        console.error("Audio streaming error:", err);
+        if (!res.headersSent && !res.destroyed) {
+            // Never expose stack traces to clients - security risk
+            res.status(500).json({ 
+                error: "An error occurred processing your request. Please try again."
+            });
+        } else {
+            markFailed(res);
+            res.destroy();
+        }
+    }
+}
+
+export default { method: "POST", path: "/api/generate-voice/stream", handler: generateVoiceStream, usage: narrationUsage };
@@ -0,0 +1,121 @@
+import { getTTSProvider } from "../providers/tts/index.js";
+import { cleanText, MAX_NARRATION_CHARS } from "../story/input.js";
+import { narrateStory, parseVoiceId, parseVoiceMap } from "../story/narration.js";
+import { NARRATOR } from "../story/segments.js";
+import { parseLanguage, detectLanguage } from "../story/language.js";
+import { moderateTexts } from "../moderation/index.js";
+import { recordStoryAudio } from "../storage/stories.js";
+import { requestCache } from "../cache/index.js";
+import { narrationUsage } from "../auth/quota.js";
+import { clientKey } from "../http/rateLimit.js";
+
+// POST /api/generate-voice - Generate audio from story text using the configured TTS provider
+async function generateVoice(req, res) {
+    console.log("POST /api/generate-voice request received");
+    const cache = requestCache(req, res);
+    try {
+        const { text, multiVoice } = req.body;
+        const submittedText = text?.trim() || "";
+        
+        if (!submittedText) {
+            return res.status(400).json({ 
+                error: "Story text is required to generate voiceover." 
+            });
+        }
+
+        // The text may not be a story this app wrote, so it is checked like an
+        // idea; personal data is left out of the narration
+        const { texts: [storyText] = [], blocked } = await moderateTexts([submittedText], { source: "narration" });
+        if (blocked) {
+            return res.status(422).json({ error: blocked.message, moderation: blocked });
+        }
+
+        // Tidy the story text before sending it to the TTS provider
+        const narrationText = cleanText(storyText, MAX_NARRATION_CHARS);
+        if (!narrationText || narrationText.length === 0) {
+            return res.status(400).json({ 
+                error: "Invalid story text. Please provide valid text to generate voiceover." 
+            });
+        }
+
+        const provider = getTTSProvider();
+        const { voiceId, error: voiceIdError } = await parseVoiceId(req.body.voiceId, provider);
+        const { voiceMap, error: voiceMapError } = await parseVoiceMap(req.body.voiceMap, provider);
+        const { language: requestedLanguage, error: languageError } = parseLanguage(req.body.language);
+        if (voiceIdError || voiceMapError || languageError) {
+            return res.status(400).json({ error: voiceIdError || voiceMapError || languageError });
+        }
+        // Tell the engine which language it is reading so names and words are pronounced correctly
+        const language = requestedLanguage || detectLanguage(storyText);
+
+        console.log("Generating audio for text length:", narrationText.length);
+
+        // Generate audio using the configured TTS provider
+        let audio;
+        try {
+            // Multi-voice narration splits the text itself and tidies each segment
+            audio = multiVoice
+                ? await narrateStory(storyText, { [NARRATOR]: voiceId, ...voiceMap }, { language, cache })
+                : await provider.synthesize(narrationText, { voiceId, language, cache });
+            console.log("TTS response received, mime type:", audio.mimeType);
+        } catch (ttsErr) {
+            console.error("TTS error:", ttsErr);
+            throw new Error(`Failed to generate audio: ${ttsErr.message}`);
+        }
+
+        // Convert stream to buffer
+        console.log("Reading audio stream...");
+        const chunks = [];
+        const nodeStream = audio.stream;
+        
+        try {
+            await new Promise((resolve, reject) => {
+                nodeStream.on('data', (chunk) => {
+                    chunks.push(Buffer.from(chunk));
+                });
+                nodeStream.on('end', () => {
+                    console.log("Audio stream finished, total chunks:", chunks.length);
+                    resolve();
+                });
+                nodeStream.on('error', (err) => {
+                    console.error("Error reading audio stream:", err);
+                    reject(err);
+                });
+            });
+        } catch (streamErr) {
+            throw new Error(`Failed to read audio stream: ${streamErr.message}`);
+        }
+        
+        if (chunks.length === 0) {
+            throw new Error("No audio data received from TTS provider");
+        }
+        
+        const audioBuffer = Buffer.concat(chunks);
+        console.log("Audio buffer created, size:", audioBuffer.length, "bytes");
+        const audioBase64 = audioBuffer.toString("base64");
+        const words = (await audio.words) ?? null;
+
+        // Attach the narration to the library entry it was generated for, if it's the caller's
+        await recordStoryAudio(req.body.storyId, clientKey(req), audio.mimeType, audioBuffer, words);
+
+        // Send back audio
+        console.log("Sending response with audio");
+        res.json({
+            audioBase64,
+            audioMime: audio.mimeType,
+            words
+        });
+        console.log("Response sent successfully");
+
+    } catch (err) {
+        console.error("Server error:", err);
+        if (!res.headersSent) {
+            // Never expose stack traces to clients - security risk
+            res.status(500).json({ 
+                error: "An error occurred processing your request. Please try again."
+            });
+        }
+    }
+}
+
+export default { method: "POST", path: "/api/generate-voice", handler: generateVoice, usage: narrationUsage };
@@ -0,0 +1,162 @@
+import { getTTSProvider } from "../providers/tts/index.js";
+import { parseStoryOptions, buildStoryPrompt, countWords } from "../story/options.js";
+import { writeScript } from "../story/script.js";
+import { cleanText } from "../story/input.js";
+import { screenInput } from "../story/injection.js";
+import { moderateTexts, moderateStory } from "../moderation/index.js";
+import { withSourceLanguage } from "../story/language.js";
+import { parseVoiceId } from "../story/narration.js";
+import { recordStory, recordStoryAudio } from "../storage/stories.js";
+import { requestCache } from "../cache/index.js";
+import { recordUsage } from "../auth/quota.js";
+import { clientKey } from "../http/rateLimit.js";
+
+// POST /api/generate - Generate a story and its narration in one request
+async function generate(req, res) {
+    console.log("POST /api/generate request received");
+    const cache = requestCache(req, res);
+    try {
+        const { text } = req.body;
+        const userInput = text?.trim() || "";
+        
+        if (!userInput) {
+            return res.status(400).json({ 
+                error: "Text is required. Please provide a story idea or topic." 
+            });
+        }
+
+        const { options: requestOptions, error: optionsError } = parseStoryOptions(req.body);
+        if (optionsError) {
+            return res.status(400).json({ error: optionsError });
+        }
+        const storyOptions = withSourceLanguage(requestOptions, userInput);
+
+        // Check the voice before spending a model call on the story
+        const ttsProvider = getTTSProvider();
+        const { voiceId, error: voiceIdError } = await parseVoiceId(req.body.voiceId, ttsProvider);
+        if (voiceIdError) {
+            return res.status(400).json({ error: voiceIdError });
+        }
+
+        console.log("User input:", userInput.substring(0, 100) + "...");
+
+        // Generate story with the configured story provider
+        console.log("Generating story...");
+        let script, generatedStory, moderation;
+        try {
+            // The idea reaches the model as delimited data, never as instructions (see story/injection.js)
+            const idea = cleanText(userInput);
+            if (!idea) {
+                return res.status(400).json({ 
+                    error: "Invalid input. Please provide valid text." 
+                });
+            }
+            const { error: injectionError } = screenInput(idea);
+            if (injectionError) {
+                return res.status(400).json({ error: injectionError });
+            }
+            // Child-safety check of the idea; personal data is left out of the prompt
+            const { texts: [safeIdea] = [], blocked: inputBlocked } = await moderateTexts([idea]);
+            if (inputBlocked) {
+                return res.status(422).json({ error: inputBlocked.message, moderation: inputBlocked });
+            }
+            
+            const prompt = buildStoryPrompt(safeIdea, storyOptions);
+            
+            // Unsafe stories are rewritten or refused before anyone reads or hears them
+            const { blocked, ...story } = await moderateStory(prompt, await writeScript(prompt, { cache }), { cache });
+            if (blocked) {
+                return res.status(422).json({ error: blocked.message, moderation: blocked });
+            }
+            ({ script, text: generatedStory, moderation } = story);
+            console.log("Story generated successfully, length:", generatedStory.length, "chars");
+        } catch (storyErr) {
+            console.error("Story generation error:", storyErr);
+            throw new Error(`Failed to generate story: ${storyErr.message}`);
+        }
+
+        console.log("Generated story preview:", generatedStory.substring(0, 150) + "...");
+
+        // Generate audio using the configured TTS provider
+        let audio;
+        try {
+            audio = await ttsProvider.synthesize(generatedStory, { voiceId, language: storyOptions.language, cache });
+            console.log("TTS response received, mime type:", audio.mimeType);
+        } catch (ttsErr) {
+            console.error("TTS error:", ttsErr);
+            throw new Error(`Failed to generate audio: ${ttsErr.message}`);
+        }
+
+        // Convert stream to buffer
+        console.log("Reading audio stream...");
+        const chunks = [];
+        const nodeStream = audio.stream;
+        
+        try {
+            await new Promise((resolve, reject) => {
+                nodeStream.on('data', (chunk) => {
+                    chunks.push(Buffer.from(chunk));
+                });
+                nodeStream.on('end', () => {
+                    console.log("Audio stream finished, total chunks:", chunks.length);
+                    resolve();
+                });
+                nodeStream.on('error', (err) => {
+                    console.error("Error reading audio stream:", err);
+                    reject(err);
+                });
+            });
+        } catch (streamErr) {
+            throw new Error(`Failed to read audio stream: ${streamErr.message}`);
+        }
+        
+        if (chunks.length === 0) {
+            throw new Error("No audio data received from TTS provider");
+        }
+        // The narration length is only known once the story is written, so it
+        // is counted here, once all of the audio has arrived
+        await recordUsage(clientKey(req), { ttsCharacters: generatedStory.length });
+        
+        const audioBuffer = Buffer.concat(chunks);
+        console.log("Audio buffer created, size:", audioBuffer.length, "bytes");
+        const audioBase64 = audioBuffer.toString("base64");
+        const words = (await audio.words) ?? null;
+
+        const storyId = await recordStory({
+            owner: clientKey(req),
+            sourceType: "text",
+            sourceText: userInput,
+            story: generatedStory,
+            script,
+            options: storyOptions
+        });
+        await recordStoryAudio(storyId, clientKey(req), audio.mimeType, audioBuffer, words);
+
+        // Send back audio
+        console.log("Sending response with audio base64 length:", audioBase64.length);
+        res.json({
+            storyId,
+            text: generatedStory,
+            script,
+            wordCount: countWords(generatedStory),
+            targetWords: storyOptions.targetWords,
+            language: storyOptions.language,
+            moderation,
+            audioBase64,
+            audioMime: audio.mimeType,
+            words
+        });
+        console.log("Response sent successfully");
+
+    } catch (err) {
+        console.error("Server error:", err);
+        if (!res.headersSent) {
+            // Never expose stack traces to clients - security risk
+            res.status(500).json({ 
+                error: "An error occurred processing your request. Please try again."
+            });
+        }
+    }
+}
+
+export default { method: "POST", path: "/api/generate", handler: generate, usage: () => ({ generations: 1, ttsCharacters: 0 }) };
@@ -0,0 +1,79 @@
+import extract from "./extract.js";
+import extractAndProcess from "./extract-and-process.js";
+import extractAndProcessStream from "./extract-and-process-stream.js";
+import processText from "./process-text.js";
+import processTextStream from "./process-text-stream.js";
+import generateVoice from "./generate-voice.js";
+import generateVoiceStream from "./generate-voice-stream.js";
+import generate from "./generate.js";
+import voiceCast from "./voice-cast.js";
+import translate from "./translate.js";
+import { listVoicesRoute, previewVoiceRoute } from "./voices.js";
+import exportVideo from "./export-video.js";
+import exportEpub from "./export-epub.js";
+import { createJobRoute, getJobRoute, getJobResultRoute, cancelJobRoute } from "./jobs.js";
+import { usageRoute } from "./usage.js";
+import {
+    signUpRoute,
+    signInRoute,
+    signOutRoute,
+    meRoute,
+    listTokensRoute,
+    createTokenRoute,
+    deleteTokenRoute,
+} from "./auth.js";
+import {
+    listStoriesRoute,
+    getStoryRoute,
+    updateStoryRoute,
+    deleteStoryRoute,
+    getStoryAudioRoute,
+    getStoryImageRoute,
+    getStoryTimingsRoute,
+    getStoryCaptionsRoute,
+    getStoryPanelRoute,
+} from "./stories.js";
+
+// Every API route, served by the Express app (app.js) and by the matching
+// Vercel function in api/. Add new endpoints here and as a file in api/ -
+// except the background job routes, which only work in the long-running
+// Express server (see jobs.js).
+// Routes sharing a path (e.g. GET/PATCH/DELETE /api/stories/:id) are served
+// by one handler that dispatches on the method.
+export const routes = [
+    extract,
+    extractAndProcess,
+    extractAndProcessStream,
+    processText,
+    processTextStream,
+    generateVoice,
+    generateVoiceStream,
+    generate,
+    voiceCast,
+    translate,
+    listVoicesRoute,
+    previewVoiceRoute,
+    exportVideo,
+    exportEpub,
+    createJobRoute,
+    getJobRoute,
+    getJobResultRoute,
+    cancelJobRoute,
+    signUpRoute,
+    signInRoute,
+    signOutRoute,
+    meRoute,
+    listTokensRoute,
+    createTokenRoute,
+    deleteTokenRoute,
+    usageRoute,
+    listStoriesRoute,
+    getStoryRoute,
+    updateStoryRoute,
+    deleteStoryRoute,
+    getStoryAudioRoute,
+    getStoryImageRoute,
+    getStoryTimingsRoute,
+    getStoryCaptionsRoute,
+    getStoryPanelRoute,
+];
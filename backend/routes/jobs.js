@@ -0,0 +1,127 @@
+import { getJobQueue } from "../jobs/queue/index.js";
+import { parseStoryJob } from "../jobs/story.js";
+import { submitJob, cancelJob, isFinished } from "../jobs/worker.js";
+import { clientKey } from "../http/rateLimit.js";
+
+// Background generation jobs, for stories and narration that take longer than
+// a request should stay open. Express only: the worker runs inside the server
+// process and jobs are queued in its memory or database, while a Vercel
+// function is frozen once it responds and shares neither, so api/ has no
+// functions for these routes.
+
+// Queue failures (e.g. no SQLite support for JOB_QUEUE=sqlite) get a generic 500
+function sendQueueError(res, err) {
+    console.error("Job queue error:", err);
+    if (!res.headersSent) {
+        // Never expose stack traces to clients - security risk
+        res.status(500).json({
+            error: "Background jobs are not available right now. Please try again."
+        });
+    }
+}
+
+// The job with this ID if the request's user or client submitted it. Other
+// jobs look the same as ones that don't exist.
+async function findOwnJob(req) {
+    const job = await getJobQueue().get(req.params.id);
+    return job?.owner === clientKey(req) ? job : null;
+}
+
+// What clients see of a job: everything but its input, result and owner
+function toJobStatus(job) {
+    return {
+        id: job.id,
+        type: job.type,
+        status: job.status,
+        stage: job.stage,
+        stages: job.stages,
+        error: job.error,
+        resultUrl: job.status === "done" ? `/api/jobs/${job.id}/result` : null,
+        createdAt: job.createdAt,
+        updatedAt: job.updatedAt,
+        startedAt: job.startedAt,
+        finishedAt: job.finishedAt,
+    };
+}
+
+// POST /api/jobs - Queue a story (and by default its narration) to be generated in the background.
+// Takes the body of /api/extract-and-process or /api/process-text plus the
+// narration fields of /api/generate-voice; `narrate: false` skips the narration.
+// Responds 202 with the job status; poll GET /api/jobs/:id for progress.
+async function createJobHandler(req, res) {
+    const { input, error, status } = await parseStoryJob(req.body);
+    if (error) {
+        return res.status(status ?? 400).json({ error });
+    }
+
+    try {
+        // Narration is counted against the quota of whoever submitted the job once it is done
+        const job = await submitJob({ ...input, usageSubject: clientKey(req) }, clientKey(req));
+        res.setHeader("Location", `/api/jobs/${job.id}`);
+        res.status(202).json(toJobStatus(job));
+    } catch (err) {
+        sendQueueError(res, err);
+    }
+}
+
+// GET /api/jobs/:id - Job status: queued, running, done, failed or cancelled,
+// with the current stage and the progress of each stage (extracting, writing, narrating)
+async function getJobHandler(req, res) {
+    try {
+        const job = await findOwnJob(req);
+        if (!job) {
+            return res.status(404).json({ error: "Job not found." });
+        }
+        res.setHeader("Cache-Control", "no-store");
+        res.json(toJobStatus(job));
+    } catch (err) {
+        sendQueueError(res, err);
+    }
+}
+
+// GET /api/jobs/:id/result - The finished story, in the shape of the
+// /api/extract-and-process response plus the narration fields of /api/generate
+async function getJobResultHandler(req, res) {
+    try {
+        const job = await findOwnJob(req);
+        if (!job) {
+            return res.status(404).json({ error: "Job not found." });
+        }
+        if (job.status !== "done") {
+            return res.status(409).json({
+                error: job.error || (isFinished(job) ? `Job was ${job.status}.` : "Job is not finished yet."),
+                status: job.status
+            });
+        }
+        res.json(job.result);
+    } catch (err) {
+        sendQueueError(res, err);
+    }
+}
+
+// POST /api/jobs/:id/cancel - Stop a queued or running job
+async function cancelJobHandler(req, res) {
+    try {
+        if (!(await findOwnJob(req))) {
+            return res.status(404).json({ error: "Job not found." });
+        }
+        const job = await cancelJob(req.params.id);
+        if (!job) {
+            return res.status(404).json({ error: "Job not found." });
+        }
+        if (job.status !== "cancelled") {
+            return res.status(409).json({ error: `Job has already ${job.status === "done" ? "finished" : "failed"}.`, status: job.status });
+        }
+        res.json(toJobStatus(job));
+    } catch (err) {
+        sendQueueError(res, err);
+    }
+}
+
+// A job writes one story and, unless narrate is false, needs narration quota left
+const jobUsage = (req) => ({ generations: 1, ...(req.body.narrate !== false && { ttsCharacters: 0 }) });
+
+export const createJobRoute = { method: "POST", path: "/api/jobs", handler: createJobHandler, usage: jobUsage, upload: true };
+export const getJobRoute = { method: "GET", path: "/api/jobs/:id", handler: getJobHandler };
+export const getJobResultRoute = { method: "GET", path: "/api/jobs/:id/result", handler: getJobResultHandler };
+export const cancelJobRoute = { method: "POST", path: "/api/jobs/:id/cancel", handler: cancelJobHandler };
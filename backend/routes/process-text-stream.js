@@ -0,0 +1,88 @@
+import { parseStoryOptions, buildStoryPrompt, countWords } from "../story/options.js";
+import { cleanText } from "../story/input.js";
+import { screenInput } from "../story/injection.js";
+import { moderateTexts, moderateStory } from "../moderation/index.js";
+import { withSourceLanguage } from "../story/language.js";
+import { openEventStream, streamScript } from "../story/stream.js";
+import { recordStory } from "../storage/stories.js";
+import { requestCache } from "../cache/index.js";
+import { storyUsage } from "../auth/quota.js";
+import { clientKey } from "../http/rateLimit.js";
+
+// POST /api/process-text/stream - Same as /api/process-text, but streams NDJSON events:
+//   { type: "chunk", text }... -> { type: "done", processedStory, script, wordCount, targetWords, language, moderation, cache }
+// or { type: "error", error, moderation? } if generation fails or is refused after the stream has started
+async function processTextStream(req, res) {
+    console.log("POST /api/process-text/stream request received");
+    const { text } = req.body;
+    const idea = cleanText(text);
+
+    if (!idea) {
+        return res.status(400).json({ 
+            error: "Text is required. Please provide text to process." 
+        });
+    }
+    const { error: injectionError } = screenInput(idea);
+    if (injectionError) {
+        return res.status(400).json({ error: injectionError });
+    }
+
+    const { options: requestOptions, error: optionsError } = parseStoryOptions(req.body);
+    if (optionsError) {
+        return res.status(400).json({ error: optionsError });
+    }
+    const storyOptions = withSourceLanguage(requestOptions, text);
+
+    // Child-safety check of the idea; personal data is left out of the prompt
+    const { texts: [safeIdea] = [], blocked: inputBlocked } = await moderateTexts([idea]);
+    if (inputBlocked) {
+        return res.status(422).json({ error: inputBlocked.message, moderation: inputBlocked });
+    }
+
+    const cache = requestCache(req, res);
+    const events = openEventStream(res);
+    try {
+        const prompt = buildStoryPrompt(safeIdea, storyOptions);
+        // The streamed text is replaced by the one in the done event, which may have been rewritten
+        const { blocked, ...story } = await moderateStory(prompt, await streamScript(prompt, events, cache), { signal: events.signal, cache });
+        if (blocked) {
+            events.send({ type: "error", error: blocked.message, moderation: blocked });
+            return events.end();
+        }
+        const { script, text: processedStory, moderation } = story;
+        console.log("Story streamed successfully, length:", processedStory.length, "chars");
+
+        const storyId = await recordStory({
+            owner: clientKey(req),
+            sourceType: "text",
+            sourceText: text.trim(),
+            story: processedStory,
+            script,
+            options: storyOptions
+        });
+
+        events.send({
+            type: "done",
+            storyId,
+            processedStory,
+            script,
+            wordCount: countWords(processedStory),
+            targetWords: storyOptions.targetWords,
+            language: storyOptions.language,
+            moderation,
+            cache: cache.statuses,
+        });
+        events.end();
+    } catch (err) {
+        if (events.signal.aborted) {
+            console.log("Story generation cancelled by client");
+            return;
+        }
+        console.error("Streaming error:", err);
+        // Never expose stack traces to clients - security risk
+        events.send({ type: "error", error: "An error occurred processing your request. Please try again." });
+        events.end();
+    }
+}
+
+export default { method: "POST", path: "/api/process-text/stream", handler: processTextStream, usage: storyUsage };
@@ -0,0 +1,103 @@
+import { parseStoryOptions, buildStoryPrompt, countWords } from "../story/options.js";
+import { writeScript } from "../story/script.js";
+import { cleanText } from "../story/input.js";
+import { screenInput } from "../story/injection.js";
+import { moderateTexts, moderateStory } from "../moderation/index.js";
+import { withSourceLanguage } from "../story/language.js";
+import { recordStory } from "../storage/stories.js";
+import { requestCache } from "../cache/index.js";
+import { storyUsage } from "../auth/quota.js";
+import { clientKey } from "../http/rateLimit.js";
+
+// POST /api/process-text - Process text directly into a story (no image extraction)
+async function processText(req, res) {
+    console.log("POST /api/process-text request received");
+    const cache = requestCache(req, res);
+    try {
+        const { text } = req.body;
+        const inputText = text?.trim() || "";
+        
+        if (!inputText) {
+            return res.status(400).json({ 
+                error: "Text is required. Please provide text to process." 
+            });
+        }
+
+        const { options: requestOptions, error: optionsError } = parseStoryOptions(req.body);
+        if (optionsError) {
+            return res.status(400).json({ error: optionsError });
+        }
+        const storyOptions = withSourceLanguage(requestOptions, inputText);
+
+        console.log("Processing text with story provider...");
+        console.log("Input text preview:", inputText.substring(0, 100) + "...");
+
+        // Generate story from text input
+        let script, processedStory, moderation;
+        try {
+            // The idea reaches the model as delimited data, never as instructions (see story/injection.js)
+            const idea = cleanText(inputText);
+            if (!idea) {
+                return res.status(400).json({ 
+                    error: "Invalid input. Please provide valid text to process." 
+                });
+            }
+            const { error: injectionError } = screenInput(idea);
+            if (injectionError) {
+                return res.status(400).json({ error: injectionError });
+            }
+            // Child-safety check of the idea; personal data is left out of the prompt
+            const { texts: [safeIdea] = [], blocked: inputBlocked } = await moderateTexts([idea]);
+            if (inputBlocked) {
+                return res.status(422).json({ error: inputBlocked.message, moderation: inputBlocked });
+            }
+            
+            const prompt = buildStoryPrompt(safeIdea, storyOptions);
+            
+            // Unsafe stories are rewritten or refused before anyone reads or hears them
+            const { blocked, ...story } = await moderateStory(prompt, await writeScript(prompt, { cache }), { cache });
+            if (blocked) {
+                return res.status(422).json({ error: blocked.message, moderation: blocked });
+            }
+            ({ script, text: processedStory, moderation } = story);
+            console.log("Story processed successfully, length:", processedStory.length, "chars");
+        } catch (processErr) {
+            console.error("Text processing error:", processErr);
+            throw new Error(`Failed to process text: ${processErr.message}`);
+        }
+
+        console.log("Processed story preview:", processedStory.substring(0, 150) + "...");
+
+        const storyId = await recordStory({
+            owner: clientKey(req),
+            sourceType: "text",
+            sourceText: inputText,
+            story: processedStory,
+            script,
+            options: storyOptions
+        });
+
+        // Return the processed story text (no audio yet)
+        res.json({
+            storyId,
+            processedStory: processedStory,
+            script,
+            wordCount: countWords(processedStory),
+            targetWords: storyOptions.targetWords,
+            language: storyOptions.language,
+            moderation
+        });
+        console.log("Response sent successfully");
+
+    } catch (err) {
+        console.error("Server error:", err);
+        if (!res.headersSent) {
+            // Never expose stack traces to clients - security risk
+            res.status(500).json({ 
+                error: "An error occurred processing your request. Please try again."
+            });
+        }
+    }
+}
+
+export default { method: "POST", path: "/api/process-text", handler: processText, usage: storyUsage };
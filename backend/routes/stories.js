@@ -0,0 +1,173 @@
+import { buildCues, CAPTION_FORMATS } from "../export/captions.js";
+import { listStories, getStory, updateStory, deleteStory, ownsStory, getStoryAsset, getStoryPanelImage } from "../storage/stories.js";
+import { clientKey } from "../http/rateLimit.js";
+
+const MAX_PAGE_SIZE = 100;
+
+// Storage failures (e.g. no SQLite support in this runtime) get a generic 500
+function sendStorageError(res, err) {
+    console.error("Story library error:", err);
+    if (!res.headersSent) {
+        // Never expose stack traces to clients - security risk
+        res.status(500).json({ 
+            error: "The story library is not available right now. Please try again."
+        });
+    }
+}
+
+// Every route here only sees the stories saved by the caller - its signed-in
+// user, or else its IP address (see clientKey()). Other stories get a 404.
+
+// GET /api/stories?page=1&pageSize=20&q=dragon - List saved stories, newest first
+async function listStoriesHandler(req, res) {
+    const page = Number(req.query.page ?? 1);
+    const pageSize = Number(req.query.pageSize ?? 20);
+    const query = typeof req.query.q === "string" ? req.query.q.trim() : "";
+
+    if (!Number.isInteger(page) || page < 1) {
+        return res.status(400).json({ error: "Page must be a positive whole number." });
+    }
+    if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+        return res.status(400).json({ error: `Page size must be between 1 and ${MAX_PAGE_SIZE}.` });
+    }
+
+    try {
+        res.json(await listStories({ owner: clientKey(req), page, pageSize, query }));
+    } catch (err) {
+        sendStorageError(res, err);
+    }
+}
+
+// GET /api/stories/:id - Full story with its source text and generation options
+async function getStoryHandler(req, res) {
+    try {
+        const story = await getStory(req.params.id, clientKey(req));
+        if (!story) {
+            return res.status(404).json({ error: "Story not found." });
+        }
+        res.json(story);
+    } catch (err) {
+        sendStorageError(res, err);
+    }
+}
+
+// PATCH /api/stories/:id - Update the title and/or story text
+async function updateStoryHandler(req, res) {
+    const { title, story } = req.body;
+
+    if (title !== undefined && (typeof title !== "string" || !title.trim())) {
+        return res.status(400).json({ error: "Title must be a non-empty string." });
+    }
+    if (story !== undefined && (typeof story !== "string" || !story.trim())) {
+        return res.status(400).json({ error: "Story must be a non-empty string." });
+    }
+
+    try {
+        const updated = await updateStory(req.params.id, clientKey(req), { title: title?.trim(), story: story?.trim() });
+        if (!updated) {
+            return res.status(404).json({ error: "Story not found." });
+        }
+        res.json(updated);
+    } catch (err) {
+        sendStorageError(res, err);
+    }
+}
+
+// DELETE /api/stories/:id - Remove a story and its image and audio
+async function deleteStoryHandler(req, res) {
+    try {
+        if (!(await deleteStory(req.params.id, clientKey(req)))) {
+            return res.status(404).json({ error: "Story not found." });
+        }
+        res.status(204).end();
+    } catch (err) {
+        sendStorageError(res, err);
+    }
+}
+
+function sendAsset(res, asset) {
+    res.setHeader("Content-Type", asset.mimeType);
+    res.setHeader("Content-Length", asset.data.length);
+    res.setHeader("Cache-Control", "private, max-age=3600");
+    res.end(asset.data);
+}
+
+function assetHandler(kind) {
+    return async function (req, res) {
+        try {
+            if (!(await ownsStory(req.params.id, clientKey(req)))) {
+                return res.status(404).json({ error: "Story not found." });
+            }
+            const asset = await getStoryAsset(req.params.id, kind);
+            if (!asset) {
+                return res.status(404).json({ error: `This story has no ${kind}.` });
+            }
+            sendAsset(res, asset);
+        } catch (err) {
+            sendStorageError(res, err);
+        }
+    };
+}
+
+// GET /api/stories/:id/panels/:position - Image of one panel of a multi-image story (positions start at 1)
+async function getStoryPanelHandler(req, res) {
+    const position = Number(req.params.position);
+    if (!Number.isInteger(position) || position < 1) {
+        return res.status(400).json({ error: "Panel position must be a positive whole number." });
+    }
+    try {
+        if (!(await ownsStory(req.params.id, clientKey(req)))) {
+            return res.status(404).json({ error: "Story not found." });
+        }
+        const panel = await getStoryPanelImage(req.params.id, position);
+        if (!panel) {
+            return res.status(404).json({ error: "Panel not found." });
+        }
+        sendAsset(res, panel);
+    } catch (err) {
+        sendStorageError(res, err);
+    }
+}
+
+// GET /api/stories/:id/captions?format=vtt|srt&download=1 - Captions for the
+// narration, built from its word timings. download=1 saves it as a file.
+async function getStoryCaptionsHandler(req, res) {
+    const format = req.query.format ?? "vtt";
+    const captionFormat = CAPTION_FORMATS[format];
+    if (!captionFormat) {
+        return res.status(400).json({ error: `Format must be one of: ${Object.keys(CAPTION_FORMATS).join(", ")}.` });
+    }
+    try {
+        if (!(await ownsStory(req.params.id, clientKey(req)))) {
+            return res.status(404).json({ error: "Story not found." });
+        }
+        const timings = await getStoryAsset(req.params.id, "timings");
+        if (!timings) {
+            return res.status(404).json({ error: "This story has no captions. Generate the voiceover first." });
+        }
+        const captions = captionFormat.build(buildCues(JSON.parse(timings.data.toString())));
+
+        res.setHeader("Content-Type", captionFormat.mimeType);
+        // Captions change whenever the story is narrated again
+        res.setHeader("Cache-Control", "no-store");
+        if (req.query.download) {
+            res.setHeader("Content-Disposition", `attachment; filename="story-captions.${format}"`);
+        }
+        res.end(captions);
+    } catch (err) {
+        sendStorageError(res, err);
+    }
+}
+
+export const listStoriesRoute = { method: "GET", path: "/api/stories", handler: listStoriesHandler };
+export const getStoryRoute = { method: "GET", path: "/api/stories/:id", handler: getStoryHandler };
+// Changing a story needs an account; anonymous stories can only be read back
+export const updateStoryRoute = { method: "PATCH", path: "/api/stories/:id", handler: updateStoryHandler, auth: true };
+export const deleteStoryRoute = { method: "DELETE", path: "/api/stories/:id", handler: deleteStoryHandler, auth: true };
+// GET /api/stories/:id/audio and /api/stories/:id/image - Stored narration and uploaded image
+export const getStoryAudioRoute = { method: "GET", path: "/api/stories/:id/audio", handler: assetHandler("audio") };
+export const getStoryImageRoute = { method: "GET", path: "/api/stories/:id/image", handler: assetHandler("image") };
+export const getStoryPanelRoute = { method: "GET", path: "/api/stories/:id/panels/:position", handler: getStoryPanelHandler };
+// GET /api/stories/:id/timings - Word timings of the narration, [{ word, start, end }] in seconds
+export const getStoryTimingsRoute = { method: "GET", path: "/api/stories/:id/timings", handler: assetHandler("timings") };
+export const getStoryCaptionsRoute = { method: "GET", path: "/api/stories/:id/captions", handler: getStoryCaptionsHandler };
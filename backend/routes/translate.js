@@ -0,0 +1,101 @@
+import { getStoryProvider } from "../providers/story/index.js";
+import { countWords } from "../story/options.js";
+import { cleanText, MAX_NARRATION_CHARS } from "../story/input.js";
+import { screenInput, checkOutput } from "../story/injection.js";
+import { parseLanguage, detectLanguage, buildTranslationPrompt } from "../story/language.js";
+import { moderateTranslation } from "../moderation/index.js";
+import { getStory, getStoryAsset, recordStory } from "../storage/stories.js";
+import { requestCache } from "../cache/index.js";
+import { storyUsage } from "../auth/quota.js";
+import { clientKey } from "../http/rateLimit.js";
+
+// POST /api/translate - Translate a finished story into another language.
+// Body: { text, language, storyId? }. The translation is saved as a new library
+// story; with storyId it keeps the original's image and options.
+async function translate(req, res) {
+    console.log("POST /api/translate request received");
+    const cache = requestCache(req, res);
+    try {
+        const { text, storyId } = req.body;
+        const storyText = text?.trim() || "";
+
+        if (!storyText) {
+            return res.status(400).json({
+                error: "Story text is required to translate."
+            });
+        }
+
+        const { language, error: languageError } = parseLanguage(req.body.language);
+        if (languageError || !language) {
+            return res.status(400).json({ error: languageError || "language is required. Pick the language to translate into." });
+        }
+
+        const { error: injectionError } = screenInput(storyText);
+        if (injectionError) {
+            return res.status(400).json({ error: injectionError });
+        }
+
+        const sourceLanguage = detectLanguage(storyText);
+        if (sourceLanguage === language) {
+            return res.json({
+                storyId: storyId ?? null,
+                translatedStory: storyText,
+                wordCount: countWords(storyText),
+                language,
+                sourceLanguage
+            });
+        }
+
+        let translatedStory;
+        try {
+            // The story reaches the model as delimited data, never as instructions (see story/injection.js)
+            const prompt = buildTranslationPrompt(cleanText(storyText, MAX_NARRATION_CHARS), language, sourceLanguage);
+            translatedStory = (await getStoryProvider().generateText(prompt, { cache })).trim();
+            const problems = checkOutput(translatedStory, prompt);
+            if (problems.length) {
+                throw new Error(`Story provider returned an unusable translation: ${problems.join(" ")}`);
+            }
+            console.log("Story translated successfully, length:", translatedStory.length, "chars");
+        } catch (translateErr) {
+            console.error("Translation error:", translateErr);
+            throw new Error(`Failed to translate story: ${translateErr.message}`);
+        }
+
+        // Checked before it is saved or sent, like every written story
+        const { blocked, moderation } = await moderateTranslation(translatedStory);
+        if (blocked) {
+            return res.status(422).json({ error: blocked.message, moderation: blocked });
+        }
+
+        const original = typeof storyId === "string" && storyId ? await getStory(storyId, clientKey(req)).catch(() => null) : null;
+        const newStoryId = await recordStory({
+            owner: clientKey(req),
+            sourceType: "text",
+            sourceText: storyText,
+            story: translatedStory,
+            options: { ...original?.options, language, sourceLanguage },
+            image: original?.hasImage ? await getStoryAsset(original.id, "image") : null
+        });
+
+        res.json({
+            storyId: newStoryId,
+            translatedStory,
+            wordCount: countWords(translatedStory),
+            language,
+            sourceLanguage,
+            moderation
+        });
+        console.log("Response sent successfully");
+
+    } catch (err) {
+        console.error("Server error:", err);
+        if (!res.headersSent) {
+            // Never expose stack traces to clients - security risk
+            res.status(500).json({
+                error: "An error occurred processing your request. Please try again."
+            });
+        }
+    }
+}
+
+export default { method: "POST", path: "/api/translate", handler: translate, usage: storyUsage };
@@ -0,0 +1,105 @@
+import { clientKey } from "../http/rateLimit.js";
+import { listDailyUsage } from "../storage/metering.js";
+import { unitPrices, estimateCost } from "../metering/prices.js";
+
+// Metered usage and its estimated cost (see metering/index.js).
+// USAGE_ADMIN_EMAILS (comma separated) lists the accounts that may see everyone's usage.
+
+const DEFAULT_DAYS = 30;
+const MAX_DAYS = 366;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Metering failures (e.g. no SQLite support in this runtime) get a generic 500
+function sendUsageError(res, err) {
+    console.error("Usage report error:", err);
+    if (!res.headersSent) {
+        // Never expose stack traces to clients - security risk
+        res.status(500).json({
+            error: "Usage reports are not available right now. Please try again."
+        });
+    }
+}
+
+function isAdmin(user) {
+    const admins = (process.env.USAGE_ADMIN_EMAILS || "")
+        .split(",")
+        .map((email) => email.trim().toLowerCase())
+        .filter(Boolean);
+    return Boolean(user) && admins.includes(user.email.toLowerCase());
+}
+
+// A UTC date as YYYY-MM-DD. Round-tripping rejects days that don't exist, e.g. 2025-02-30.
+function isDay(value) {
+    return typeof value === "string" && /^\d{4}-\d{2}-\d{2}$/.test(value)
+        && new Date(Date.parse(value) || 0).toISOString().slice(0, 10) === value;
+}
+
+// Validates ?from and ?to; defaults to the last 30 days
+function parseRange(query) {
+    const to = query.to ?? new Date().toISOString().slice(0, 10);
+    if (!isDay(to)) {
+        return { error: "Dates must be given as YYYY-MM-DD." };
+    }
+    const from = query.from ?? new Date(Date.parse(to) - (DEFAULT_DAYS - 1) * DAY_MS).toISOString().slice(0, 10);
+    if (!isDay(from)) {
+        return { error: "Dates must be given as YYYY-MM-DD." };
+    }
+    const days = (Date.parse(to) - Date.parse(from)) / DAY_MS + 1;
+    if (days < 1 || days > MAX_DAYS) {
+        return { error: `The date range must be between 1 and ${MAX_DAYS} days, with from before to.` };
+    }
+    return { from, to };
+}
+
+function addUnits(total, units) {
+    for (const [unit, amount] of Object.entries(units)) {
+        total[unit] = (total[unit] ?? 0) + amount;
+    }
+    return total;
+}
+
+// GET /api/usage?from=2025-01-01&to=2025-01-31 - Requests, errors, latency,
+// model tokens and narration characters per day, with estimated costs in USD,
+// for the signed-in user or, without an account, the caller's IP address.
+// all=1 reports every user and client, for the accounts in USAGE_ADMIN_EMAILS.
+async function getUsageHandler(req, res) {
+    const { from, to, error } = parseRange(req.query);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+    const all = Boolean(req.query.all);
+    if (all && !isAdmin(req.user)) {
+        return res.status(403).json({ error: "Only administrators can see everyone's usage." });
+    }
+
+    try {
+        const prices = unitPrices();
+        const days = (await listDailyUsage({ subject: all ? null : clientKey(req), from, to }))
+            .map((day) => ({ ...day, estimatedCost: estimateCost(day.units, prices) }));
+
+        const requests = days.reduce((sum, day) => sum + day.requests, 0);
+        const units = days.reduce((total, day) => addUnits(total, day.units), {});
+        res.setHeader("Cache-Control", "no-store");
+        res.json({
+            from,
+            to,
+            currency: "USD",
+            prices,
+            days,
+            totals: {
+                requests,
+                errors: days.reduce((sum, day) => sum + day.errors, 0),
+                cancelled: days.reduce((sum, day) => sum + day.cancelled, 0),
+                averageLatencyMs: requests
+                    ? Math.round(days.reduce((sum, day) => sum + day.averageLatencyMs * day.requests, 0) / requests)
+                    : 0,
+                units,
+                estimatedCost: estimateCost(units, prices),
+            },
+        });
+    } catch (err) {
+        sendUsageError(res, err);
+    }
+}
+
+export const usageRoute = { method: "GET", path: "/api/usage", handler: getUsageHandler };
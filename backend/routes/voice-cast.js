@@ -0,0 +1,39 @@
+import { getTTSProvider } from "../providers/tts/index.js";
+import { MAX_NARRATION_CHARS } from "../story/input.js";
+import { splitIntoSegments, listCharacters } from "../story/segments.js";
+import { assignVoices } from "../story/narration.js";
+
+// POST /api/voice-cast - Find the speaking characters in a story and suggest a voice for each.
+// The client can change the suggestions and send them back as voiceMap with multiVoice narration.
+async function voiceCast(req, res) {
+    console.log("POST /api/voice-cast request received");
+    try {
+        const { text } = req.body;
+        const storyText = typeof text === "string" ? text.trim().substring(0, MAX_NARRATION_CHARS) : "";
+
+        if (!storyText) {
+            return res.status(400).json({ 
+                error: "Story text is required to cast voices." 
+            });
+        }
+
+        const provider = getTTSProvider();
+        const characters = listCharacters(splitIntoSegments(storyText));
+        const voices = await provider.listVoices();
+        res.json({
+            characters,
+            voices,
+            voiceMap: assignVoices(characters, voices, provider.defaultVoiceId),
+        });
+    } catch (err) {
+        console.error("Server error:", err);
+        if (!res.headersSent) {
+            // Never expose stack traces to clients - security risk
+            res.status(500).json({ 
+                error: "An error occurred processing your request. Please try again."
+            });
+        }
+    }
+}
+
+export default { method: "POST", path: "/api/voice-cast", handler: voiceCast };
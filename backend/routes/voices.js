@@ -0,0 +1,89 @@
+import { getTTSProvider } from "../providers/tts/index.js";
+
+const PREVIEW_TEXT = "Once upon a time, in a land far away, a new story was waiting to be told.";
+
+// Most synthesized previews kept in memory; the least recently played go first
+const MAX_PREVIEWS = 50;
+
+// Synthesized previews by voice ID, so replaying a sample doesn't cost another TTS call
+const previews = new Map();
+
+function rememberPreview(voiceId, preview) {
+    previews.delete(voiceId);
+    previews.set(voiceId, preview);
+    if (previews.size > MAX_PREVIEWS) {
+        previews.delete(previews.keys().next().value);
+    }
+}
+
+// GET /api/voices - Voices offered by the active TTS provider
+async function listVoicesHandler(req, res) {
+    try {
+        const provider = getTTSProvider();
+        const voices = await provider.listVoices();
+        res.json({
+            provider: provider.name,
+            defaultVoiceId: provider.defaultVoiceId,
+            // Voices without a hosted sample get one synthesized on demand
+            voices: voices.map((voice) => ({
+                ...voice,
+                previewUrl: voice.previewUrl || `/api/voices/${encodeURIComponent(voice.id)}/preview`,
+            })),
+        });
+    } catch (err) {
+        console.error("Server error:", err);
+        if (!res.headersSent) {
+            // Never expose stack traces to clients - security risk
+            res.status(500).json({ 
+                error: "An error occurred processing your request. Please try again."
+            });
+        }
+    }
+}
+
+// GET /api/voices/:id/preview - A short sample sentence read by the voice.
+// Only voices in the provider's list can be previewed, even when the list is
+// partial, and a preview counts its characters against the narration quota.
+async function previewVoiceHandler(req, res) {
+    try {
+        const provider = getTTSProvider();
+        const voiceId = req.params.id;
+        const voices = await provider.listVoices();
+        if (!voices.some((voice) => voice.id === voiceId)) {
+            return res.status(404).json({ error: "Voice not found." });
+        }
+
+        let preview = previews.get(voiceId);
+        if (preview) {
+            rememberPreview(voiceId, preview);
+        } else {
+            const audio = await provider.synthesize(PREVIEW_TEXT, { voiceId });
+            const chunks = [];
+            for await (const chunk of audio.stream) {
+                chunks.push(Buffer.from(chunk));
+            }
+            preview = { mimeType: audio.mimeType, data: Buffer.concat(chunks) };
+            rememberPreview(voiceId, preview);
+        }
+
+        res.setHeader("Content-Type", preview.mimeType);
+        res.setHeader("Content-Length", preview.data.length);
+        res.setHeader("Cache-Control", "public, max-age=86400");
+        res.end(preview.data);
+    } catch (err) {
+        console.error("Voice preview error:", err);
+        if (!res.headersSent) {
+            // Never expose stack traces to clients - security risk
+            res.status(500).json({ 
+                error: "An error occurred processing your request. Please try again."
+            });
+        }
+    }
+}
+
+export const listVoicesRoute = { method: "GET", path: "/api/voices", handler: listVoicesHandler };
+function previewUsage() {
+    return { ttsCharacters: PREVIEW_TEXT.length };
+}
+
+export const previewVoiceRoute = { method: "GET", path: "/api/voices/:id/preview", handler: previewVoiceHandler, usage: previewUsage };
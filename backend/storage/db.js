@@ -0,0 +1,133 @@
+import { mkdirSync } from "fs";
+import { dirname, resolve } from "path";
+
+// Schema migrations, applied in order and tracked with PRAGMA user_version.
+// Only ever append to this list.
+const migrations = [
+    `CREATE TABLE stories (
+        id TEXT PRIMARY KEY,
+        title TEXT NOT NULL,
+        source_type TEXT NOT NULL,
+        source_text TEXT,
+        extracted_text TEXT,
+        story TEXT NOT NULL,
+        options TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+    );
+    CREATE INDEX stories_created_at ON stories (created_at);
+    CREATE TABLE story_assets (
+        story_id TEXT NOT NULL REFERENCES stories (id) ON DELETE CASCADE,
+        kind TEXT NOT NULL,
+        mime_type TEXT NOT NULL,
+        data BLOB NOT NULL,
+        PRIMARY KEY (story_id, kind)
+    );`,
+    // Comic panels / book pages of multi-image stories, with the story segment read over each
+    `CREATE TABLE story_panels (
+        story_id TEXT NOT NULL REFERENCES stories (id) ON DELETE CASCADE,
+        position INTEGER NOT NULL,
+        mime_type TEXT NOT NULL,
+        data BLOB NOT NULL,
+        extracted_text TEXT,
+        segment TEXT,
+        PRIMARY KEY (story_id, position)
+    );`,
+    // Background generation jobs for JOB_QUEUE=sqlite (see jobs/queue/sqlite.js)
+    `CREATE TABLE jobs (
+        id TEXT PRIMARY KEY,
+        status TEXT NOT NULL,
+        data TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+    );
+    CREATE INDEX jobs_status_created_at ON jobs (status, created_at);`,
+    // Accounts, their sign-in sessions and API tokens (stored as hashes), and
+    // daily usage per user or anonymous client for quotas (see auth/quota.js)
+    `CREATE TABLE users (
+        id TEXT PRIMARY KEY,
+        email TEXT NOT NULL UNIQUE COLLATE NOCASE,
+        password_hash TEXT NOT NULL,
+        created_at TEXT NOT NULL
+    );
+    CREATE TABLE tokens (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+        kind TEXT NOT NULL,
+        name TEXT,
+        token_hash TEXT NOT NULL UNIQUE,
+        created_at TEXT NOT NULL,
+        last_used_at TEXT,
+        expires_at TEXT
+    );
+    CREATE INDEX tokens_user_id ON tokens (user_id, kind);
+    CREATE TABLE usage (
+        subject TEXT NOT NULL,
+        day TEXT NOT NULL,
+        generations INTEGER NOT NULL DEFAULT 0,
+        tts_characters INTEGER NOT NULL DEFAULT 0,
+        PRIMARY KEY (subject, day)
+    );`,
+    // One row per metered request or job: units is a JSON object of model
+    // tokens and synthesized characters (see metering/index.js)
+    `CREATE TABLE usage_events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        subject TEXT NOT NULL,
+        day TEXT NOT NULL,
+        route TEXT NOT NULL,
+        outcome TEXT NOT NULL,
+        status INTEGER,
+        latency_ms INTEGER NOT NULL,
+        units TEXT NOT NULL,
+        created_at TEXT NOT NULL
+    );
+    CREATE INDEX usage_events_subject_day ON usage_events (subject, day);
+    CREATE INDEX usage_events_day ON usage_events (day);`,
+    // The structured story (title, characters, scenes) as JSON, see story/script.js
+    `ALTER TABLE stories ADD COLUMN script TEXT;`,
+    // Who saved each story: clientKey() of the request, "user:<id>" or "ip:<address>".
+    // Stories saved before this have no owner and are no longer listed.
+    `ALTER TABLE stories ADD COLUMN owner TEXT;
+    CREATE INDEX stories_owner_created_at ON stories (owner, created_at);`,
+];
+
+let dbPromise = null;
+
+async function open() {
+    // node:sqlite ships with Node 22.5+ but needs --experimental-sqlite before
+    // 22.13, hence the engines minimum; imported lazily so the rest of the
+    // API keeps working on older runtimes
+    const { DatabaseSync } = await import("node:sqlite");
+    // Vercel functions can only write to /tmp, which each instance has its own copy of
+    const path = resolve(process.env.DATABASE_PATH || (process.env.VERCEL ? "/tmp/stories.db" : "data/stories.db"));
+    mkdirSync(dirname(path), { recursive: true });
+
+    const db = new DatabaseSync(path);
+    db.exec("PRAGMA journal_mode = WAL; PRAGMA foreign_keys = ON;");
+
+    const { user_version: version } = db.prepare("PRAGMA user_version").get();
+    for (let i = version; i < migrations.length; i++) {
+        db.exec("BEGIN");
+        try {
+            db.exec(migrations[i]);
+            db.exec(`PRAGMA user_version = ${i + 1}`);
+            db.exec("COMMIT");
+        } catch (err) {
+            db.exec("ROLLBACK");
+            throw err;
+        }
+    }
+    console.log(`Database ready at ${path} (schema version ${migrations.length})`);
+    return db;
+}
+
+// Returns the shared SQLite connection, opening it on first use
+export function getDatabase() {
+    if (!dbPromise) {
+        dbPromise = open().catch((err) => {
+            dbPromise = null;
+            throw err;
+        });
+    }
+    return dbPromise;
+}
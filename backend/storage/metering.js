@@ -0,0 +1,62 @@
+import { getDatabase } from "./db.js";
+
+// Metered requests (see metering/index.js), kept for METERING_RETENTION_DAYS
+// (default: 90) and reported per subject and day. Days are UTC dates, e.g. 2025-01-31.
+
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+let prunedAt = 0;
+
+function retentionDays() {
+    const days = Number(process.env.METERING_RETENTION_DAYS);
+    return Number.isFinite(days) && days > 0 ? days : 90;
+}
+
+export async function addUsageEvent({ subject, day, route, outcome, status, latencyMs, units }) {
+    const db = await getDatabase();
+    const now = new Date();
+    db.prepare(`INSERT INTO usage_events (subject, day, route, outcome, status, latency_ms, units, created_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)`)
+        .run(subject, day, route, outcome, status, latencyMs, JSON.stringify(units), now.toISOString());
+
+    if (now.getTime() - prunedAt >= PRUNE_INTERVAL_MS) {
+        prunedAt = now.getTime();
+        const before = new Date(now.getTime() - retentionDays() * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+        db.prepare("DELETE FROM usage_events WHERE day < ?").run(before);
+    }
+}
+
+// Totals per subject and day between `from` and `to` (inclusive), newest day
+// first: [{ subject, day, requests, errors, cancelled, averageLatencyMs, units, routes }].
+// Without `subject`, covers everyone.
+export async function listDailyUsage({ subject = null, from, to }) {
+    const db = await getDatabase();
+    const where = `day BETWEEN ? AND ?${subject ? " AND subject = ?" : ""}`;
+    const params = subject ? [from, to, subject] : [from, to];
+
+    const days = new Map();
+    const rows = db.prepare(`SELECT subject, day, route, COUNT(*) AS requests,
+            SUM(outcome = 'error') AS errors, SUM(outcome = 'cancelled') AS cancelled, SUM(latency_ms) AS latency_ms
+        FROM usage_events WHERE ${where} GROUP BY subject, day, route`).all(...params);
+    for (const row of rows) {
+        const key = `${row.subject} ${row.day}`;
+        if (!days.has(key)) {
+            days.set(key, { subject: row.subject, day: row.day, requests: 0, errors: 0, cancelled: 0, latencyMs: 0, units: {}, routes: {} });
+        }
+        const entry = days.get(key);
+        entry.requests += row.requests;
+        entry.errors += row.errors;
+        entry.cancelled += row.cancelled;
+        entry.latencyMs += row.latency_ms;
+        entry.routes[row.route] = row.requests;
+    }
+
+    const units = db.prepare(`SELECT subject, day, unit.key AS unit, SUM(unit.value) AS amount
+        FROM usage_events, json_each(usage_events.units) AS unit WHERE ${where} GROUP BY subject, day, unit.key`).all(...params);
+    for (const row of units) {
+        days.get(`${row.subject} ${row.day}`).units[row.unit] = row.amount;
+    }
+
+    return [...days.values()]
+        .sort((a, b) => b.day.localeCompare(a.day) || a.subject.localeCompare(b.subject))
+        .map(({ latencyMs, ...entry }) => ({ ...entry, averageLatencyMs: Math.round(latencyMs / entry.requests) }));
+}
@@ -0,0 +1,212 @@
+import { randomUUID } from "crypto";
+import { getDatabase } from "./db.js";
+import { countWords } from "../story/options.js";
+
+const MAX_TITLE_LENGTH = 60;
+
+// The script's title, or else the first sentence of the story, shortened to fit a list row
+function deriveTitle(story, script) {
+    const title = script?.title || story.trim().split(/(?<=[.!?])\s/)[0];
+    return title.length > MAX_TITLE_LENGTH
+        ? title.substring(0, MAX_TITLE_LENGTH - 3).trimEnd() + "..."
+        : title;
+}
+
+function toSummary(row) {
+    return {
+        id: row.id,
+        title: row.title,
+        sourceType: row.source_type,
+        wordCount: countWords(row.story),
+        hasImage: Boolean(row.has_image),
+        hasAudio: Boolean(row.has_audio),
+        hasTimings: Boolean(row.has_timings),
+        createdAt: row.created_at,
+        updatedAt: row.updated_at,
+    };
+}
+
+function toStory(row) {
+    return {
+        ...toSummary(row),
+        sourceText: row.source_text,
+        extractedText: row.extracted_text,
+        story: row.story,
+        script: row.script ? JSON.parse(row.script) : null,
+        options: JSON.parse(row.options),
+    };
+}
+
+const SELECT_STORY = `
+    SELECT s.*,
+        EXISTS (SELECT 1 FROM story_assets a WHERE a.story_id = s.id AND a.kind = 'image') AS has_image,
+        EXISTS (SELECT 1 FROM story_assets a WHERE a.story_id = s.id AND a.kind = 'audio') AS has_audio,
+        EXISTS (SELECT 1 FROM story_assets a WHERE a.story_id = s.id AND a.kind = 'timings') AS has_timings
+    FROM stories s`;
+
+// Stories belong to the `owner` that saved them - clientKey() of the request,
+// "user:<id>" or "ip:<address>" - and every lookup below is limited to it, so
+// another owner's story looks the same as one that doesn't exist.
+
+// Saves a newly generated story. `script` is its structured form (see story/script.js),
+// if it has one. `image` is an optional { data (base64), mimeType }.
+// `panels` is an optional ordered list of { image, extractedText, segment } for multi-image stories.
+export async function createStory({ owner, sourceType, sourceText = null, extractedText = null, story, script = null, options, image = null, panels = null }) {
+    const db = await getDatabase();
+    const id = randomUUID();
+    const now = new Date().toISOString();
+
+    db.exec("BEGIN");
+    try {
+        db.prepare(`INSERT INTO stories (id, owner, title, source_type, source_text, extracted_text, story, script, options, created_at, updated_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`)
+            .run(id, owner, deriveTitle(story, script), sourceType, sourceText, extractedText, story,
+                script && JSON.stringify(script), JSON.stringify(options), now, now);
+        if (image) {
+            db.prepare("INSERT INTO story_assets (story_id, kind, mime_type, data) VALUES (?, 'image', ?, ?)")
+                .run(id, image.mimeType, Buffer.from(image.data, "base64"));
+        }
+        panels?.forEach((panel, i) => {
+            db.prepare(`INSERT INTO story_panels (story_id, position, mime_type, data, extracted_text, segment)
+                VALUES (?, ?, ?, ?, ?, ?)`)
+                .run(id, i + 1, panel.image.mimeType, Buffer.from(panel.image.data, "base64"), panel.extractedText, panel.segment);
+        });
+        db.exec("COMMIT");
+    } catch (err) {
+        db.exec("ROLLBACK");
+        throw err;
+    }
+    return id;
+}
+
+// Like createStory, but never fails the request that produced the story -
+// the library is a convenience, not part of generation.
+export async function recordStory(fields) {
+    try {
+        return await createStory(fields);
+    } catch (err) {
+        console.error("Failed to save story to library:", err.message);
+        return null;
+    }
+}
+
+export async function listStories({ owner, page = 1, pageSize = 20, query = "" }) {
+    const db = await getDatabase();
+    let where = "WHERE s.owner = ?";
+    let params = [owner];
+    if (query) {
+        // Escape LIKE wildcards so the search is a plain substring match
+        const pattern = `%${query.replace(/[\\%_]/g, "\\$&")}%`;
+        where += " AND (s.title LIKE ? ESCAPE '\\' OR s.story LIKE ? ESCAPE '\\' OR s.source_text LIKE ? ESCAPE '\\')";
+        params.push(pattern, pattern, pattern);
+    }
+
+    const { total } = db.prepare(`SELECT COUNT(*) AS total FROM stories s ${where}`).get(...params);
+    const rows = db.prepare(`${SELECT_STORY} ${where} ORDER BY s.created_at DESC LIMIT ? OFFSET ?`)
+        .all(...params, pageSize, (page - 1) * pageSize);
+
+    return { stories: rows.map(toSummary), page, pageSize, total };
+}
+
+export async function getStory(id, owner) {
+    const db = await getDatabase();
+    const row = db.prepare(`${SELECT_STORY} WHERE s.id = ? AND s.owner = ?`).get(id, owner);
+    if (!row) {
+        return null;
+    }
+    const panels = db.prepare("SELECT position, extracted_text, segment FROM story_panels WHERE story_id = ? ORDER BY position")
+        .all(id)
+        .map((panel) => ({ position: panel.position, extractedText: panel.extracted_text, segment: panel.segment }));
+    return { ...toStory(row), panels };
+}
+
+// Updates the editable fields (title, story). Changing the story text drops
+// its script, narration, word timings and panel segments, since they would no longer match.
+export async function updateStory(id, owner, { title, story }) {
+    const db = await getDatabase();
+    const existing = await getStory(id, owner);
+    if (!existing) {
+        return null;
+    }
+
+    const storyChanged = story !== undefined && story !== existing.story;
+    db.prepare("UPDATE stories SET title = ?, story = ?, updated_at = ? WHERE id = ?")
+        .run(title ?? existing.title, story ?? existing.story, new Date().toISOString(), id);
+    if (storyChanged) {
+        db.prepare("UPDATE stories SET script = NULL WHERE id = ?").run(id);
+        db.prepare("DELETE FROM story_assets WHERE story_id = ? AND kind IN ('audio', 'timings')").run(id);
+        db.prepare("UPDATE story_panels SET segment = NULL WHERE story_id = ?").run(id);
+    }
+    return getStory(id, owner);
+}
+
+export async function deleteStory(id, owner) {
+    const db = await getDatabase();
+    const { changes } = db.prepare("DELETE FROM stories WHERE id = ? AND owner = ?").run(id, owner);
+    return changes > 0;
+}
+
+// Whether the story exists and belongs to `owner`; check before reading or
+// changing its assets and panels, which aren't limited to an owner themselves
+export async function ownsStory(id, owner) {
+    const db = await getDatabase();
+    return Boolean(db.prepare("SELECT 1 FROM stories WHERE id = ? AND owner = ?").get(id, owner));
+}
+
+export async function saveStoryAsset(id, kind, mimeType, data) {
+    const db = await getDatabase();
+    db.prepare(`INSERT INTO story_assets (story_id, kind, mime_type, data) VALUES (?, ?, ?, ?)
+        ON CONFLICT (story_id, kind) DO UPDATE SET mime_type = excluded.mime_type, data = excluded.data`)
+        .run(id, kind, mimeType, data);
+}
+
+// Attaches narration and its word timings to a stored story of `owner`;
+// other stories are left alone. Failures are logged, not thrown.
+export async function recordStoryAudio(id, owner, mimeType, data, words = null) {
+    if (!id) {
+        return;
+    }
+    try {
+        if (await ownsStory(id, owner)) {
+            await saveStoryAsset(id, "audio", mimeType, data);
+            if (words) {
+                await saveStoryAsset(id, "timings", "application/json", Buffer.from(JSON.stringify(words)));
+            } else {
+                await deleteStoryAsset(id, "timings");
+            }
+        }
+    } catch (err) {
+        console.error("Failed to save story audio to library:", err.message);
+    }
+}
+
+export async function deleteStoryAsset(id, kind) {
+    const db = await getDatabase();
+    db.prepare("DELETE FROM story_assets WHERE story_id = ? AND kind = ?").run(id, kind);
+}
+
+export async function getStoryAsset(id, kind) {
+    const db = await getDatabase();
+    const row = db.prepare("SELECT mime_type, data FROM story_assets WHERE story_id = ? AND kind = ?").get(id, kind);
+    return row ? { mimeType: row.mime_type, data: Buffer.from(row.data) } : null;
+}
+
+export async function getStoryPanelImage(id, position) {
+    const db = await getDatabase();
+    const row = db.prepare("SELECT mime_type, data FROM story_panels WHERE story_id = ? AND position = ?").get(id, position);
+    return row ? { mimeType: row.mime_type, data: Buffer.from(row.data) } : null;
+}
+
+// Images of a saved story (from getStory) in display order: its panels, or the
+// single uploaded image
+export async function getStoryImages(story) {
+    if (story.panels.length > 0) {
+        const images = [];
+        for (const panel of story.panels) {
+            images.push(await getStoryPanelImage(story.id, panel.position));
+        }
+        return images;
+    }
+    const image = story.hasImage ? await getStoryAsset(story.id, "image") : null;
+    return image ? [image] : [];
+}
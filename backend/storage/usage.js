@@ -0,0 +1,42 @@
+import { getDatabase } from "./db.js";
+
+// Daily usage counters per subject - a user ("user:<id>") or an anonymous
+// client ("ip:<address>"). Days are UTC dates, e.g. 2025-01-31.
+
+const EMPTY_USAGE = { generations: 0, ttsCharacters: 0 };
+
+const COLUMNS = { generations: "generations", ttsCharacters: "tts_characters" };
+
+export async function getUsage(subject, day) {
+    const db = await getDatabase();
+    const row = db.prepare("SELECT generations, tts_characters FROM usage WHERE subject = ? AND day = ?").get(subject, day);
+    return row ? { generations: row.generations, ttsCharacters: row.tts_characters } : { ...EMPTY_USAGE };
+}
+
+// Adds to the day's counters (amounts may be negative to refund) and returns the new totals
+export async function addUsage(subject, day, { generations = 0, ttsCharacters = 0 }) {
+    const db = await getDatabase();
+    db.prepare("INSERT OR IGNORE INTO usage (subject, day) VALUES (?, ?)").run(subject, day);
+    db.prepare(`UPDATE usage SET generations = MAX(generations + ?, 0), tts_characters = MAX(tts_characters + ?, 0)
+        WHERE subject = ? AND day = ?`)
+        .run(generations, ttsCharacters, subject, day);
+    return getUsage(subject, day);
+}
+
+// Adds to the day's counters only if each kind in `usage` stays within its
+// entry in `limits` and has some left, even for a zero amount. The check and
+// the update are one statement, so concurrent requests can't both take the
+// last of a quota. Returns { reserved: true }, or { reserved: false, used }
+// with the current totals.
+export async function reserveUsage(subject, day, usage, limits) {
+    const db = await getDatabase();
+    const kinds = Object.keys(usage);
+    const amount = (kind) => usage[kind] ?? 0;
+    db.prepare("INSERT OR IGNORE INTO usage (subject, day) VALUES (?, ?)").run(subject, day);
+    const conditions = kinds.map((kind) => `${COLUMNS[kind]} < ? AND ${COLUMNS[kind]} + ? <= ?`).join(" AND ");
+    const { changes } = db.prepare(`UPDATE usage SET generations = generations + ?, tts_characters = tts_characters + ?
+        WHERE subject = ? AND day = ?${conditions ? ` AND ${conditions}` : ""}`)
+        .run(amount("generations"), amount("ttsCharacters"), subject, day,
+            ...kinds.flatMap((kind) => [limits[kind], usage[kind], limits[kind]]));
+    return changes > 0 ? { reserved: true } : { reserved: false, used: await getUsage(subject, day) };
+}
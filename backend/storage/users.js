@@ -0,0 +1,75 @@
+import { randomUUID } from "crypto";
+import { getDatabase } from "./db.js";
+
+// Accounts and their tokens. Tokens are only stored as hashes (see
+// auth/tokens.js); `kind` is "session" for sign-ins from the app or "api"
+// for personal tokens used by scripts.
+
+function toUser(row) {
+    return { id: row.id, email: row.email, createdAt: row.created_at };
+}
+
+function toToken(row) {
+    return {
+        id: row.id,
+        name: row.name,
+        createdAt: row.created_at,
+        lastUsedAt: row.last_used_at,
+        expiresAt: row.expires_at,
+    };
+}
+
+// Returns the new user, or null if the email address is already registered
+export async function createUser({ email, passwordHash }) {
+    const db = await getDatabase();
+    if (db.prepare("SELECT 1 FROM users WHERE email = ?").get(email)) {
+        return null;
+    }
+    const row = { id: randomUUID(), email, created_at: new Date().toISOString() };
+    db.prepare("INSERT INTO users (id, email, password_hash, created_at) VALUES (?, ?, ?, ?)")
+        .run(row.id, row.email, passwordHash, row.created_at);
+    return toUser(row);
+}
+
+// The user with their password hash, for signing in
+export async function getUserByEmail(email) {
+    const db = await getDatabase();
+    const row = db.prepare("SELECT * FROM users WHERE email = ?").get(email);
+    return row ? { ...toUser(row), passwordHash: row.password_hash } : null;
+}
+
+export async function createToken({ userId, kind, name = null, tokenHash, expiresAt = null }) {
+    const db = await getDatabase();
+    const row = { id: randomUUID(), name, created_at: new Date().toISOString(), last_used_at: null, expires_at: expiresAt };
+    db.prepare(`INSERT INTO tokens (id, user_id, kind, name, token_hash, created_at, expires_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?)`)
+        .run(row.id, userId, kind, name, tokenHash, row.created_at, expiresAt);
+    return toToken(row);
+}
+
+// Looks up the user a token belongs to and notes that it was used.
+// Returns { user, token: { id, kind } }, or null for unknown or expired tokens.
+export async function findTokenUser(tokenHash) {
+    const db = await getDatabase();
+    const row = db.prepare(`SELECT t.id AS token_id, t.kind, t.expires_at, u.*
+        FROM tokens t JOIN users u ON u.id = t.user_id WHERE t.token_hash = ?`).get(tokenHash);
+    const now = new Date().toISOString();
+    if (!row || (row.expires_at && row.expires_at <= now)) {
+        return null;
+    }
+    db.prepare("UPDATE tokens SET last_used_at = ? WHERE id = ?").run(now, row.token_id);
+    return { user: toUser(row), token: { id: row.token_id, kind: row.kind } };
+}
+
+export async function listTokens(userId, kind) {
+    const db = await getDatabase();
+    return db.prepare("SELECT * FROM tokens WHERE user_id = ? AND kind = ? ORDER BY created_at DESC")
+        .all(userId, kind)
+        .map(toToken);
+}
+
+export async function deleteToken(userId, id) {
+    const db = await getDatabase();
+    const { changes } = db.prepare("DELETE FROM tokens WHERE user_id = ? AND id = ?").run(userId, id);
+    return changes > 0;
+}
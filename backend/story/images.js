@@ -0,0 +1,82 @@
+// Uploaded images are checked and normalized on the server before anything
+// reads them: the file type is taken from the file's first bytes (not from
+// its name, upload headers or data URL prefix), oversized files and
+// dimensions are refused, and the image is re-encoded - which drops EXIF and
+// other metadata such as GPS positions - and downscaled for the vision model.
+// Configured with:
+//   IMAGE_MAX_BYTES - largest image file accepted, in bytes (default: 10 MB)
+//   IMAGE_MAX_DIMENSION - widest or tallest image accepted, in pixels (default: 12000)
+//   VISION_MAX_DIMENSION - images are downscaled to fit this many pixels per side (default: 2048)
+
+const LIMITS = {
+    maxBytes: ["IMAGE_MAX_BYTES", 10 * 1024 * 1024],
+    maxDimension: ["IMAGE_MAX_DIMENSION", 12000],
+    visionDimension: ["VISION_MAX_DIMENSION", 2048],
+};
+
+export function imageLimits() {
+    const limits = {};
+    for (const [name, [variable, fallback]] of Object.entries(LIMITS)) {
+        const value = Number(process.env[variable]);
+        limits[name] = Number.isFinite(value) && value > 0 ? value : fallback;
+    }
+    return limits;
+}
+
+// File signatures of the formats the vision models accept
+const SIGNATURES = [
+    { mimeType: "image/jpeg", matches: (bytes) => bytes[0] === 0xff && bytes[1] === 0xd8 && bytes[2] === 0xff },
+    { mimeType: "image/png", matches: (bytes) => bytes.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+    { mimeType: "image/webp", matches: (bytes) => bytes.toString("latin1", 0, 4) === "RIFF" && bytes.toString("latin1", 8, 12) === "WEBP" },
+    { mimeType: "image/gif", matches: (bytes) => /^GIF8[79]a$/.test(bytes.toString("latin1", 0, 6)) },
+];
+
+// The image type of a file from its first bytes, or null
+export function sniffImageType(bytes) {
+    return SIGNATURES.find(({ matches }) => bytes.length >= 12 && matches(bytes))?.mimeType ?? null;
+}
+
+export function formatMegabytes(bytes) {
+    return `${Math.round(bytes / 1024 / 1024 * 10) / 10} MB`;
+}
+
+// Checks an uploaded image file and prepares it for the vision model:
+// orientation applied, metadata removed, downscaled to VISION_MAX_DIMENSION.
+// Photos become JPEG; PNG and GIF (its first frame) stay lossless as PNG,
+// which keeps printed text sharp.
+// Resolves with { image: { data (base64), mimeType } }, or { error, status }
+// with a user-facing message and 413 (too large) or 415 (not a supported image).
+export async function prepareImage(bytes) {
+    const { maxBytes, maxDimension, visionDimension } = imageLimits();
+    if (bytes.length > maxBytes) {
+        return { error: `Images can be at most ${formatMegabytes(maxBytes)}; this one is ${formatMegabytes(bytes.length)}.`, status: 413 };
+    }
+    const type = sniffImageType(bytes);
+    if (!type) {
+        return { error: "Only JPEG, PNG, WebP and GIF images are supported.", status: 415 };
+    }
+
+    // Imported lazily, like node:sqlite, so routes without images don't load the native module
+    const { default: sharp } = await import("sharp");
+    try {
+        const input = sharp(bytes, { limitInputPixels: maxDimension * maxDimension });
+        const { width, height } = await input.metadata();
+        if (width > maxDimension || height > maxDimension) {
+            return { error: `Images can be at most ${maxDimension} pixels wide and high; this one is ${width} x ${height}.`, status: 413 };
+        }
+        const output = input
+            .rotate() // Apply the EXIF orientation before the metadata is dropped
+            .resize({ width: visionDimension, height: visionDimension, fit: "inside", withoutEnlargement: true });
+        const lossless = type === "image/png" || type === "image/gif";
+        const data = await (lossless ? output.png() : output.jpeg({ quality: 85 })).toBuffer();
+        return { image: { data: data.toString("base64"), mimeType: lossless ? "image/png" : "image/jpeg" } };
+    } catch (err) {
+        console.warn("Could not read uploaded image:", err.message);
+        return { error: "The image could not be read. It may be damaged or incomplete.", status: 415 };
+    }
+}
+
+// The bytes of a base64 image, with or without a data URL prefix
+export function decodeDataUrl(value) {
+    return Buffer.from(value.replace(/^data:[^,]*;base64,/, ""), "base64");
+}
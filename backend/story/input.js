@@ -0,0 +1,49 @@
+// Input helpers shared by the Express server and the Vercel functions.
+// Text from users and images is never cleaned into something "safe" to
+// interpolate into a prompt - it is passed to the model as delimited data
+// (see injection.js), so quotes and line breaks, which carry the dialogue,
+// are kept.
+
+// Longest story idea or extracted text used in a prompt
+export const MAX_INPUT_CHARS = 2000;
+
+// Longest story text sent to TTS in one request (ElevenLabs accepts up to 10,000 characters)
+export const MAX_NARRATION_CHARS = 10000;
+
+// Characters that hide text from people reading it: zero-width spaces, word
+// joiners, byte order marks, bidirectional overrides and Unicode tag
+// characters. Joiners inside emoji (U+200D) and right-to-left marks are kept.
+const HIDDEN_CHARACTERS = /[\u200B\u2060-\u2064\uFEFF\u202A-\u202E\u2066-\u2069\u{E0000}-\u{E007F}]/gu;
+
+// Control characters (Unicode category Cc) other than tab and newline
+const CONTROL_CHARACTERS = /(?![\t\n])\p{Cc}/gu;
+
+// Shortens text to maxLength, at a word boundary when there is one nearby
+function truncate(text, maxLength) {
+    if (text.length <= maxLength) {
+        return text;
+    }
+    const cut = text.substring(0, maxLength);
+    const boundary = cut.search(/\s\S*$/);
+    return (boundary > maxLength * 0.8 ? cut.substring(0, boundary) : cut).trimEnd();
+}
+
+// Tidies user or extracted text for a prompt or for TTS: removes hidden and
+// control characters, normalizes line endings and runs of whitespace, and
+// limits the length. Quotes, apostrophes and line breaks are kept.
+export function cleanText(input, maxLength = MAX_INPUT_CHARS) {
+    if (!input || typeof input !== 'string') {
+        return '';
+    }
+
+    const text = input
+        .normalize("NFC")
+        .replace(/\r\n?/g, "\n")
+        .replace(HIDDEN_CHARACTERS, "")
+        .replace(CONTROL_CHARACTERS, "")
+        .replace(/[ \t]+/g, " ")
+        .replace(/ ?\n ?/g, "\n")
+        .replace(/\n{3,}/g, "\n\n") // At most one blank line between paragraphs
+        .trim();
+    return truncate(text, maxLength);
+}
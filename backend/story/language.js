@@ -0,0 +1,167 @@
+import { asData, DATA_RULE } from "./injection.js";
+
+// Story languages: validation of the `language` request parameter and a small
+// offline detector for the language of extracted or typed text.
+
+// The languages ElevenLabs' multilingual model can narrate, by ISO 639-1 code
+export const LANGUAGES = {
+    en: "English",
+    es: "Spanish",
+    fr: "French",
+    de: "German",
+    it: "Italian",
+    pt: "Portuguese",
+    nl: "Dutch",
+    pl: "Polish",
+    sv: "Swedish",
+    da: "Danish",
+    fi: "Finnish",
+    cs: "Czech",
+    sk: "Slovak",
+    ro: "Romanian",
+    hr: "Croatian",
+    tr: "Turkish",
+    id: "Indonesian",
+    ms: "Malay",
+    fil: "Filipino",
+    ru: "Russian",
+    uk: "Ukrainian",
+    bg: "Bulgarian",
+    el: "Greek",
+    ar: "Arabic",
+    hi: "Hindi",
+    ta: "Tamil",
+    ja: "Japanese",
+    ko: "Korean",
+    zh: "Chinese",
+};
+
+// Validates a language code from a request body. Empty or "auto" means "same
+// as the source text". Returns { language } (a code or null) or { error }.
+export function parseLanguage(value) {
+    if (value === undefined || value === null || value === "" || value === "auto") {
+        return { language: null };
+    }
+    if (typeof value !== "string" || !LANGUAGES[value]) {
+        return { error: `Language must be one of: ${Object.keys(LANGUAGES).join(", ")}.` };
+    }
+    return { language: value };
+}
+
+// Languages with a script of their own, checked in order. Japanese mixes kana
+// with Chinese characters, so a smaller share of kana is enough to tell it apart.
+const SCRIPTS = [
+    { language: "ja", pattern: /[\u3040-\u30ff]/g, share: 0.1 },
+    { language: "ko", pattern: /[\uac00-\ud7af\u1100-\u11ff]/g, share: 0.3 },
+    { language: "zh", pattern: /[\u4e00-\u9fff]/g, share: 0.3 },
+    { language: "ar", pattern: /[\u0600-\u06ff]/g, share: 0.3 },
+    { language: "hi", pattern: /[\u0900-\u097f]/g, share: 0.3 },
+    { language: "ta", pattern: /[\u0b80-\u0bff]/g, share: 0.3 },
+    { language: "el", pattern: /[\u0370-\u03ff]/g, share: 0.3 },
+];
+
+const CYRILLIC = /[\u0400-\u04ff]/g;
+
+// Common short words of each language written in the Latin or Cyrillic alphabet
+const STOPWORDS = {
+    en: "the and of to a in is it that was he she for on with as you they his her said but from this are be at by not have",
+    es: "el la de que y en los las un una por con para es se no su al lo como pero dijo",
+    fr: "le la les de des et est un une que qui dans pour pas sur au avec il elle ne se dit",
+    de: "der die das und ist nicht ein eine zu den mit von sich auf ich es sie er dem sagte",
+    it: "il lo la di che e è un una per non con del della sono gli le si ha disse",
+    pt: "o a os as de que e do da em um uma para com não se no na por ele ela disse",
+    nl: "de het een en van is dat niet op te in zijn met voor ik je hij zij ze zei",
+    pl: "i w na nie się z do że to jest jak ale co o po tak jego jej powiedział",
+    sv: "och att det en som är på för med inte av den han hon jag var till sa",
+    da: "og at det en er på for med ikke af den han hun jeg var til som sagde",
+    fi: "ja on ei se että hän oli mutta kun niin myös tämä sanoi hänen mitä",
+    cs: "a je se na v že to s z do jak ale jsem není by jeho řekl",
+    sk: "a je sa na v že to s z do ako ale som nie by jeho povedal",
+    ro: "și de la în că nu pe cu un o este se a fost care spuse",
+    hr: "i je u na da se su za od to ne a kao ali sam rekao",
+    tr: "ve bir bu da de ne için ile çok ama o ben sen değil dedi",
+    id: "dan yang di itu dengan untuk tidak ini dari dalam akan ke ada kata",
+    ms: "dan yang di itu dengan untuk tidak ini dari dalam akan ke ada kata berkata",
+    fil: "ang ng sa na at mga ay si ni hindi siya ako ko sabi",
+    ru: "и в не на я что он она с как это по но они был сказал",
+    uk: "і в не на я що він вона з як це по але вони був сказав",
+    bg: "и в не на да се че е с за от като това той тя каза",
+};
+
+const STOPWORD_SETS = Object.fromEntries(
+    Object.entries(STOPWORDS).map(([language, words]) => [language, new Set(words.split(" "))])
+);
+
+// Text shorter than this (in letters) is too little to tell the language from.
+// A few characters are enough to recognise a script; words need more.
+const MIN_SCRIPT_LETTERS = 4;
+const MIN_LETTERS = 12;
+
+// Guesses the language of a piece of text, returning a code from LANGUAGES or
+// null when there isn't enough text to tell. Only meant to pick the story
+// language when the request doesn't name one, not to be exact.
+export function detectLanguage(text) {
+    const letters = (text || "").replace(/[^\p{L}]/gu, "");
+    if (letters.length < MIN_SCRIPT_LETTERS) {
+        return null;
+    }
+
+    for (const { language, pattern, share } of SCRIPTS) {
+        if ((letters.match(pattern) || []).length / letters.length > share) {
+            return language;
+        }
+    }
+    if (letters.length < MIN_LETTERS) {
+        return null;
+    }
+
+    const cyrillic = (letters.match(CYRILLIC) || []).length / letters.length > 0.5;
+    const words = text.toLowerCase().split(/[^\p{L}]+/u).filter(Boolean);
+    let best = null;
+    let bestScore = 0;
+    for (const [language, stopwords] of Object.entries(STOPWORD_SETS)) {
+        if (["ru", "uk", "bg"].includes(language) !== cyrillic) continue;
+        const score = words.filter((word) => stopwords.has(word)).length;
+        if (score > bestScore) {
+            best = language;
+            bestScore = score;
+        }
+    }
+    // Letters only Ukrainian uses outweigh the stopwords it shares with Russian
+    if (cyrillic && /[іїєґ]/i.test(text)) {
+        return "uk";
+    }
+    return best ?? (cyrillic ? "ru" : null);
+}
+
+// Fills in the story language from the source text: `sourceLanguage` is the
+// detected language, and `language` defaults to it when the request didn't pick one
+export function withSourceLanguage(options, sourceText) {
+    const sourceLanguage = detectLanguage(sourceText);
+    return { ...options, language: options.language || sourceLanguage, sourceLanguage };
+}
+
+// Prompt line asking for the story in `language`. When the source text is in
+// another language, the story is a retelling of it in the target language.
+export function languageInstruction(language, sourceLanguage) {
+    if (!language) {
+        return null;
+    }
+    if (sourceLanguage && sourceLanguage !== language) {
+        return `The source text is in ${LANGUAGES[sourceLanguage]}. Write the story in ${LANGUAGES[language]}, translating any names or phrases from it naturally.`;
+    }
+    return `Write the story in ${LANGUAGES[language]}.`;
+}
+
+// Prompt for translating a finished story (tidied with cleanText) into
+// `language`. The story follows the instructions as delimited data.
+export function buildTranslationPrompt(story, language, sourceLanguage) {
+    const from = sourceLanguage ? ` from ${LANGUAGES[sourceLanguage]}` : "";
+    return [
+        `Translate the story below${from} into ${LANGUAGES[language]}.`,
+        "Keep the characters, events, dialogue and paragraphs, and make it read naturally for a native speaker, suitable for text-to-speech reading.",
+        "Return only the translated story. Don't include markdown formatting or special characters, just plain text with dialogue.",
+        DATA_RULE,
+        asData(story),
+    ].join("\n");
+}
@@ -0,0 +1,136 @@
+import { Readable } from "stream";
+import { decodeWav, encodeWav, resample } from "../providers/tts/wav.js";
+import { shiftWordTimings } from "../providers/tts/timings.js";
+import { getTTSProvider } from "../providers/tts/index.js";
+import { cleanText, MAX_NARRATION_CHARS } from "./input.js";
+import { NARRATOR, splitIntoSegments, listCharacters } from "./segments.js";
+
+// Silence between speakers so lines don't run into each other
+const PAUSE_SECONDS = 0.35;
+
+// Maps each speaker to a voice from the provider's catalogue: the narrator
+// keeps the default voice and characters take turns through the rest.
+// overrides ({ speaker: voiceId }) win over the automatic assignment.
+export function assignVoices(characters, voices, defaultVoiceId, overrides = {}) {
+    const narratorVoiceId = overrides[NARRATOR] || defaultVoiceId;
+    const pool = voices.filter((voice) => voice.id !== narratorVoiceId);
+    const voiceMap = { [NARRATOR]: narratorVoiceId };
+    characters.forEach((character, index) => {
+        voiceMap[character] = overrides[character]
+            || (pool.length ? pool[index % pool.length].id : narratorVoiceId);
+    });
+    return voiceMap;
+}
+
+async function readAll(stream) {
+    const chunks = [];
+    for await (const chunk of stream) {
+        chunks.push(Buffer.from(chunk));
+    }
+    return Buffer.concat(chunks);
+}
+
+// Synthesizes each segment with its speaker's voice and stitches the results
+// into a single WAV. Segments are voiced one at a time to stay within
+// provider concurrency limits. onProgress(done, total) is called after each one.
+export async function narrateSegments(segments, voiceMap, provider, { signal, maxLength, language, cache, onProgress } = {}) {
+    const parts = [];
+    const words = [];
+    let sampleRate = null;
+    let totalSamples = 0;
+    let remaining = maxLength ?? Infinity;
+
+    for (const [index, segment] of segments.entries()) {
+        const text = cleanText(segment.text, remaining);
+        if (!text) {
+            continue;
+        }
+        remaining -= text.length;
+
+        const voiceId = voiceMap[segment.speaker] || voiceMap[NARRATOR];
+        const audio = await provider.synthesize(text, { voiceId, signal, format: "wav", language, cache });
+        const decoded = decodeWav(await readAll(audio.stream));
+
+        // Every part is converted to the sample rate of the first one
+        sampleRate ??= decoded.sampleRate;
+        words.push(...shiftWordTimings(await audio.words, totalSamples / sampleRate));
+        const part = resample(decoded.samples, decoded.sampleRate, sampleRate);
+        const pause = new Int16Array(Math.round(PAUSE_SECONDS * sampleRate));
+        parts.push(part, pause);
+        totalSamples += part.length + pause.length;
+        onProgress?.(index + 1, segments.length);
+
+        if (remaining <= 0) {
+            break;
+        }
+    }
+
+    if (!parts.length) {
+        throw new Error("Story has no text to narrate");
+    }
+
+    // Drop the trailing pause
+    parts.pop();
+    const samples = new Int16Array(parts.reduce((total, part) => total + part.length, 0));
+    let offset = 0;
+    for (const part of parts) {
+        samples.set(part, offset);
+        offset += part.length;
+    }
+    return {
+        stream: Readable.from([encodeWav(samples, sampleRate)]),
+        mimeType: "audio/wav",
+        words: Promise.resolve(words),
+    };
+}
+
+// Multi-voice narration of a story, quotes and all, with the configured TTS provider
+export async function narrateStory(story, overrides, { signal, language, cache, onProgress } = {}) {
+    const provider = getTTSProvider();
+    const segments = splitIntoSegments(story);
+    const voices = await provider.listVoices();
+    const voiceMap = assignVoices(listCharacters(segments), voices, provider.defaultVoiceId, overrides);
+    console.log(`Narrating ${segments.length} segments with ${Object.keys(voiceMap).length} voices`);
+    return narrateSegments(segments, voiceMap, provider, { signal, maxLength: MAX_NARRATION_CHARS, language, cache, onProgress });
+}
+
+const VOICE_ID = /^[\w+.-]{1,64}$/;
+
+// Checks a requested voice against the provider's catalogue.
+// Returns { voiceId } (undefined when none was requested) or { error } with a user-facing message.
+export async function parseVoiceId(voiceId, provider) {
+    if (voiceId === undefined || voiceId === null || voiceId === "") {
+        return { voiceId: undefined };
+    }
+    if (typeof voiceId !== "string" || !VOICE_ID.test(voiceId)) {
+        return { error: "voiceId must be a voice ID from /api/voices." };
+    }
+    const voices = await provider.listVoices();
+    // Without the full catalogue the voice is passed through; the provider rejects unknown ones
+    if (!voices.partial && !voices.some((voice) => voice.id === voiceId)) {
+        return { error: `Unknown voice "${voiceId}". See /api/voices for the available voices.` };
+    }
+    return { voiceId };
+}
+
+// Validates a { speaker: voiceId } map from a request body against the provider's catalogue.
+// Returns { voiceMap } on success or { error } with a user-facing message.
+export async function parseVoiceMap(value, provider) {
+    if (value === undefined || value === null) {
+        return { voiceMap: {} };
+    }
+    if (typeof value !== "object" || Array.isArray(value)) {
+        return { error: "voiceMap must be an object mapping character names to voice IDs." };
+    }
+    const entries = Object.entries(value);
+    if (entries.length > 50) {
+        return { error: "voiceMap can assign at most 50 characters." };
+    }
+    for (const [speaker, voiceId] of entries) {
+        const { error } = await parseVoiceId(voiceId, provider);
+        if (error || !voiceId || speaker.length > 100) {
+            return { error: `Invalid voice for "${speaker.substring(0, 100)}".` };
+        }
+    }
+    return { voiceMap: Object.fromEntries(entries) };
+}
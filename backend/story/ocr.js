@@ -0,0 +1,98 @@
+import { extractJson } from "./script.js";
+
+// Text extraction for review: the vision model reads an image block by block
+// (paragraphs, speech bubbles, captions) and rates how sure it is of each,
+// with the block's position, so the app can point people at the parts worth
+// checking before a story is written from them.
+
+// Blocks read with less confidence than this are highlighted for review
+export const LOW_CONFIDENCE = 0.8;
+
+// Plain JSON Schema; each provider adapts it to its API (see providers/story/index.js)
+export const OCR_SCHEMA = {
+    type: "object",
+    properties: {
+        blocks: {
+            type: "array",
+            items: {
+                type: "object",
+                properties: {
+                    text: { type: "string", description: "The text of the block exactly as written" },
+                    confidence: { type: "number", description: "How sure you are the text was read correctly, from 0 to 1" },
+                    box: {
+                        type: "object",
+                        description: "Where the block is, as fractions of the image width and height",
+                        properties: {
+                            x: { type: "number" },
+                            y: { type: "number" },
+                            width: { type: "number" },
+                            height: { type: "number" },
+                        },
+                        required: ["x", "y", "width", "height"],
+                    },
+                },
+                required: ["text", "confidence", "box"],
+            },
+        },
+    },
+    required: ["blocks"],
+};
+
+export const OCR_PROMPT = [
+    "Read all the text in this image, one block at a time (a paragraph, speech bubble, caption, heading or sign), in reading order.",
+    "For each block give its text exactly as written, keeping line breaks within the block,",
+    "your confidence from 0 to 1 that every word was read correctly (lower it for blurry, cut off, handwritten or unusual text),",
+    "and its bounding box as fractions of the image width and height: x and y of the top left corner, width and height.",
+    "Return no blocks if the image has no text. Return the blocks as JSON only.",
+].join("\n");
+
+function fraction(value) {
+    return Number.isFinite(value) ? Math.min(1, Math.max(0, value)) : null;
+}
+
+// A block's box clamped to the image, or null if it is missing or empty
+function parseBox(box) {
+    const [x, y, width, height] = ["x", "y", "width", "height"].map((key) => fraction(box?.[key]));
+    if ([x, y, width, height].includes(null) || width === 0 || height === 0) {
+        return null;
+    }
+    return { x, y, width: Math.min(width, 1 - x), height: Math.min(height, 1 - y) };
+}
+
+// Reads the model's blocks: [{ text, confidence, box, lowConfidence }].
+// Output that isn't the JSON asked for becomes a single block with no box
+// and no confidence, so it is still shown - and flagged for review.
+export function parseOcr(output) {
+    const json = typeof output === "string" ? extractJson(output) : null;
+    let blocks = null;
+    try {
+        blocks = json && JSON.parse(json).blocks;
+    } catch {
+        // Handled below like output without JSON
+    }
+    if (!Array.isArray(blocks)) {
+        const text = (output || "").trim();
+        if (text) {
+            console.warn("Text extraction returned no blocks, keeping the output as one block");
+        }
+        return text ? [{ text, confidence: 0, box: null, lowConfidence: true }] : [];
+    }
+    return blocks
+        .filter((block) => typeof block?.text === "string" && block.text.trim())
+        .map((block) => {
+            const confidence = fraction(block.confidence) ?? 0;
+            return { text: block.text.trim(), confidence, box: parseBox(block.box), lowConfidence: confidence < LOW_CONFIDENCE };
+        });
+}
+
+// Extracts the text blocks of each image in order, one request per image.
+// Resolves with [{ text, blocks }], where `text` is the image's blocks
+// separated by blank lines.
+export async function extractBlocks(provider, images, { signal, cache } = {}) {
+    const pages = [];
+    for (const image of images) {
+        const blocks = parseOcr(await provider.extractText(image, OCR_PROMPT, { signal, cache, schema: OCR_SCHEMA }));
+        pages.push({ text: blocks.map(({ text }) => text).join("\n\n"), blocks });
+    }
+    return pages;
+}
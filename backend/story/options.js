@@ -0,0 +1,142 @@
+import { parseLanguage, languageInstruction } from "./language.js";
+import { scriptInstructions } from "./script.js";
+import { asData, DATA_RULE } from "./injection.js";
+
+// Story generation options (length, genre, tone, audience, point of view,
+// language) shared by every generation route.
+
+// Version of the prompt templates, part of every cache key for model results.
+// Bump it when prompts or the processing of model output change, so results
+// made the old way are not reused.
+export const PROMPT_VERSION = 3;
+
+// Average narration speed used to convert minutes into a word target
+export const WORDS_PER_MINUTE = 150;
+
+export const MIN_WORDS = 10;
+export const MAX_WORDS = 1500;
+export const DEFAULT_WORDS = 150;
+
+export const GENRES = [
+    "adventure", "fantasy", "fairy tale", "fable", "mystery",
+    "science fiction", "comedy", "animal story", "bedtime story", "historical",
+];
+
+export const TONES = [
+    "whimsical", "heartwarming", "funny", "exciting", "suspenseful", "calm", "spooky",
+];
+
+export const AGE_GROUPS = {
+    "toddler": "toddlers aged 2 to 4, using very simple words and short sentences",
+    "early-reader": "children aged 5 to 7, using simple vocabulary",
+    "children": "children aged 8 to 10",
+    "preteen": "preteens aged 11 to 13",
+    "teen": "teenagers",
+    "adult": "adults",
+};
+
+export const POINTS_OF_VIEW = {
+    "first": "first person",
+    "third": "third person",
+};
+
+// Validates the generation options in a request body.
+// Returns { options } on success or { error } with a user-facing message.
+export function parseStoryOptions(body) {
+    const { length, lengthUnit = "words", genre, tone, ageGroup, pointOfView } = body || {};
+    const { language, error: languageError } = parseLanguage(body?.language);
+    if (languageError) {
+        return { error: languageError };
+    }
+
+    let targetWords = DEFAULT_WORDS;
+    if (length !== undefined && length !== null && length !== "") {
+        const value = Number(length);
+        if (!Number.isFinite(value) || value <= 0) {
+            return { error: "Length must be a positive number." };
+        }
+        if (lengthUnit === "words") {
+            targetWords = Math.round(value);
+        } else if (lengthUnit === "minutes") {
+            targetWords = Math.round(value * WORDS_PER_MINUTE);
+        } else {
+            return { error: "Length unit must be \"words\" or \"minutes\"." };
+        }
+        if (targetWords < MIN_WORDS || targetWords > MAX_WORDS) {
+            return {
+                error: `Length must be between ${MIN_WORDS} and ${MAX_WORDS} words ` +
+                    `(about ${Math.floor(MAX_WORDS / WORDS_PER_MINUTE)} minutes of narration).`
+            };
+        }
+    }
+
+    if (genre && !GENRES.includes(genre)) {
+        return { error: `Genre must be one of: ${GENRES.join(", ")}.` };
+    }
+    if (tone && !TONES.includes(tone)) {
+        return { error: `Tone must be one of: ${TONES.join(", ")}.` };
+    }
+    if (ageGroup && !AGE_GROUPS[ageGroup]) {
+        return { error: `Age group must be one of: ${Object.keys(AGE_GROUPS).join(", ")}.` };
+    }
+    if (pointOfView && !POINTS_OF_VIEW[pointOfView]) {
+        return { error: `Point of view must be one of: ${Object.keys(POINTS_OF_VIEW).join(", ")}.` };
+    }
+
+    return {
+        options: {
+            targetWords,
+            genre: genre || null,
+            tone: tone || null,
+            ageGroup: ageGroup || null,
+            pointOfView: pointOfView || null,
+            language,
+        }
+    };
+}
+
+const SOURCES = {
+    image: "the idea below, extracted from an image",
+    panels: "the text of the comic panels or book pages below, in reading order",
+};
+
+// Builds the story prompt for an idea tidied with cleanText (input.js). The
+// idea follows the instructions as delimited data (see injection.js). The story is asked for as a script (see script.js), so write
+// it with writeScript().
+// `source` describes where the idea came from ("image" for OCR text,
+// "panels" for the text of several images). Pass options through
+// withSourceLanguage (language.js) first so the story language is known.
+export function buildStoryPrompt(idea, options, source) {
+    const from = SOURCES[source] || "the idea below";
+    const kind = options.genre ? `${options.genre} story` : "story";
+    const minutes = Math.max(1, Math.round(options.targetWords / WORDS_PER_MINUTE));
+
+    const lines = [
+        `Write an engaging ${kind} based on ${from}.`,
+        "Include natural dialogues between characters, proper narrative flow, and make it interesting.",
+    ];
+    if (options.tone) {
+        lines.push(`The tone should be ${options.tone}.`);
+    }
+    if (options.ageGroup) {
+        lines.push(`Write it for ${AGE_GROUPS[options.ageGroup]}.`);
+    }
+    if (options.pointOfView) {
+        lines.push(`Tell the story in the ${POINTS_OF_VIEW[options.pointOfView]}.`);
+    }
+    const language = languageInstruction(options.language, options.sourceLanguage);
+    if (language) {
+        lines.push(language);
+    }
+    lines.push(
+        `Make it about ${options.targetWords} words long (roughly ${minutes} minute${minutes === 1 ? "" : "s"} when read aloud) and suitable for text-to-speech reading.`,
+        ...scriptInstructions(),
+        DATA_RULE,
+        asData(idea)
+    );
+    return lines.join("\n");
+}
+
+export function countWords(text) {
+    return text.split(/\s+/).filter(Boolean).length;
+}
@@ -0,0 +1,106 @@
+import { cleanText, MAX_INPUT_CHARS } from "./input.js";
+import { prepareImage, decodeDataUrl } from "./images.js";
+import { buildStoryPrompt } from "./options.js";
+import { sceneToText } from "./script.js";
+
+// Most panels or pages accepted in one request
+export const MAX_PANELS = 12;
+
+// Longest text of one panel used in a story told across several
+export const MAX_PANEL_TEXT_CHARS = 500;
+
+// How much of each image's text a story is written from: a single image's
+// text is used like a typed idea, several share the prompt
+export function pageTextLimit(pageCount) {
+    return pageCount > 1 ? MAX_PANEL_TEXT_CHARS : MAX_INPUT_CHARS;
+}
+
+// Wordless panels are described instead, so the story can still follow them
+export const PANEL_EXTRACT_PROMPT =
+    "Extract all text from this comic panel or book page. If it has no text, briefly describe what happens in it instead. Return only the text content, nothing else.";
+
+// Reads the uploaded images from a request body: `images` (an ordered array of
+// data URLs, or of files from a multipart upload - see http/upload.js) or a
+// single `image`, and checks and prepares each one (see images.js).
+// Resolves with { panels: [{ data, mimeType }] } or { error, status } with a
+// user-facing message and the HTTP status to send.
+export async function parsePanels(body) {
+    const { image, images } = body || {};
+    const list = images ?? (image ? [image] : []);
+
+    if (!Array.isArray(list) || list.length === 0) {
+        return { error: "Image is required. Please upload an image.", status: 400 };
+    }
+    if (list.length > MAX_PANELS) {
+        return { error: `Upload at most ${MAX_PANELS} panels or pages at a time.`, status: 400 };
+    }
+    if (!list.every((item) => Buffer.isBuffer(item) || (typeof item === "string" && item.length > 0))) {
+        return { error: "Each image must be a base64 data URL or an uploaded file.", status: 400 };
+    }
+
+    const panels = [];
+    for (const item of list) {
+        const { image: prepared, error, status } = await prepareImage(Buffer.isBuffer(item) ? item : decodeDataUrl(item));
+        if (error) {
+            return { error: list.length > 1 ? `Image ${panels.length + 1}: ${error}` : error, status };
+        }
+        panels.push(prepared);
+    }
+    return { panels };
+}
+
+// Reads `pageTexts` from a request body: the text of each of the `pageCount`
+// images, in order, as corrected after /api/extract, to write the story from
+// instead of extracting it again. Form uploads send it as a JSON array.
+// Returns { pageTexts } (null when it wasn't sent) or { error } with a
+// user-facing message.
+export function parsePageTexts(body, pageCount) {
+    let pageTexts = body?.pageTexts;
+    if (pageTexts === undefined) {
+        return { pageTexts: null };
+    }
+    if (typeof pageTexts === "string") {
+        try {
+            pageTexts = JSON.parse(pageTexts);
+        } catch {
+            pageTexts = null;
+        }
+    }
+    if (!Array.isArray(pageTexts) || pageTexts.length !== pageCount || !pageTexts.every((text) => typeof text === "string")) {
+        return { error: "pageTexts must have one text for each image, in the same order." };
+    }
+    if (pageTexts.every((text) => !text.trim())) {
+        return { error: "The reviewed text is empty. Please add the text to write the story from." };
+    }
+    return { pageTexts: pageTexts.map((text) => text.trim()) };
+}
+
+// Extracts the text of each panel in order. One request per panel keeps the
+// text of neighbouring panels from running together. onProgress(done, total)
+// is called after each panel.
+export async function extractPanels(provider, panels, { signal, cache, onProgress } = {}) {
+    const texts = [];
+    for (const panel of panels) {
+        const text = await provider.extractText(panel, PANEL_EXTRACT_PROMPT, { signal, cache });
+        texts.push(text?.trim() || "");
+        onProgress?.(texts.length, panels.length);
+    }
+    return texts;
+}
+
+// Prompt for one story told across the panels, with a scene per panel.
+// Write it with writeScript() and a sceneCount of the number of panels.
+export function buildPanelStoryPrompt(panelTexts, options) {
+    const idea = panelTexts
+        .map((text, i) => `Panel ${i + 1}: ${cleanText(text, MAX_PANEL_TEXT_CHARS) || "(no text)"}`)
+        .join("\n");
+    return [
+        buildStoryPrompt(idea, options, "panels"),
+        `Tell the story in exactly ${panelTexts.length} scenes, one for each panel, in the same order, so each scene can be read while its panel is shown.`,
+    ].join("\n");
+}
+
+// The story segment read over each panel: the text of its scene
+export function panelSegments(script) {
+    return script.scenes.map((scene) => sceneToText(scene));
+}
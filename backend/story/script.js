@@ -0,0 +1,346 @@
+import { getStoryProvider } from "../providers/story/index.js";
+import { NARRATOR } from "./segments.js";
+import { checkOutput } from "./injection.js";
+
+// Stories are written as structured JSON - a script with a title, logline,
+// characters and ordered scenes of narration and dialogue lines - which the
+// providers constrain to SCRIPT_SCHEMA. scriptToText() turns a script into
+// plain prose for TTS, the library and everything else that reads text.
+
+// How often a model is asked to fix output that doesn't match the schema or
+// fails the output checks of injection.js
+const MAX_REPAIRS = 2;
+const MAX_ERRORS = 10;
+
+// Plain JSON Schema; each provider adapts it to its API (see providers/story/index.js)
+export const SCRIPT_SCHEMA = {
+    type: "object",
+    properties: {
+        title: { type: "string", description: "Short title of the story" },
+        logline: { type: "string", description: "One sentence summing up the story" },
+        characters: {
+            type: "array",
+            items: {
+                type: "object",
+                properties: {
+                    name: { type: "string" },
+                    description: { type: "string", description: "Who they are, in a few words" },
+                },
+                required: ["name", "description"],
+            },
+        },
+        scenes: {
+            type: "array",
+            items: {
+                type: "object",
+                properties: {
+                    heading: { type: "string", description: "Where and when the scene happens, in a few words" },
+                    lines: {
+                        type: "array",
+                        items: {
+                            type: "object",
+                            properties: {
+                                speaker: { type: "string", description: `"${NARRATOR}" for narration, otherwise the name of the character speaking` },
+                                text: { type: "string" },
+                            },
+                            required: ["speaker", "text"],
+                        },
+                    },
+                },
+                required: ["heading", "lines"],
+            },
+        },
+    },
+    required: ["title", "logline", "characters", "scenes"],
+};
+
+// Prompt lines describing the script, for the end of a story prompt
+export function scriptInstructions() {
+    return [
+        "Return the story as JSON with a title, a one-sentence logline, the characters (each with a short description) and the scenes in order, each with a short heading and its lines.",
+        `Each line is either narration, with the speaker "${NARRATOR}", or dialogue spoken by one character, with the speaker's name exactly as in the character list.`,
+        "Dialogue lines hold only the spoken words, without quotation marks or \"she said\" - the speaker is added when the story is read aloud.",
+        "Don't use markdown formatting or special characters in any text.",
+    ];
+}
+
+// Closes the strings, arrays and objects left open at the end of truncated
+// JSON. Returns the closed text and the positions of the structural commas,
+// where the text can be cut back to if the last value is incomplete.
+function closeJson(text) {
+    const closers = [];
+    const commas = [];
+    let inString = false;
+    let escaped = false;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inString) {
+            if (escaped) {
+                escaped = false;
+            } else if (char === "\\") {
+                escaped = true;
+            } else if (char === "\"") {
+                inString = false;
+            }
+            continue;
+        }
+        if (char === "\"") {
+            inString = true;
+        } else if (char === "{") {
+            closers.push("}");
+        } else if (char === "[") {
+            closers.push("]");
+        } else if (char === "}" || char === "]") {
+            closers.pop();
+        } else if (char === ",") {
+            commas.push(i);
+        }
+    }
+
+    let closed = inString ? `${escaped ? text.slice(0, -1) : text}"` : text;
+    closed = closed.replace(/[\s,]+$/, "").replace(/:\s*$/, ": null");
+    return { closed: closed + closers.reverse().join(""), commas };
+}
+
+// Parses JSON that may have been cut off mid-way (a stream in progress).
+// Returns the parsed value or null.
+export function parsePartialJson(text) {
+    const start = text.indexOf("{");
+    if (start === -1) {
+        return null;
+    }
+    const json = text.slice(start);
+    const { closed, commas } = closeJson(json);
+    // A cut-off key or number can't be closed; drop back to the last complete value
+    for (const candidate of [closed, ...commas.slice(-3).reverse().map((i) => closeJson(json.slice(0, i)).closed)]) {
+        try {
+            return JSON.parse(candidate);
+        } catch {
+            // Try the next shorter candidate
+        }
+    }
+    return null;
+}
+
+// Model output with code fences, text around the JSON or trailing commas tidied up
+export function extractJson(output) {
+    const start = output.indexOf("{");
+    const end = output.lastIndexOf("}");
+    if (start === -1 || end < start) {
+        return null;
+    }
+    return output.slice(start, end + 1).replace(/,(\s*[}\]])/g, "$1");
+}
+
+function isText(value) {
+    return typeof value === "string" && value.trim().length > 0;
+}
+
+// Checks a parsed script against SCRIPT_SCHEMA and tidies it: strings are
+// trimmed, empty lines dropped, the narrator and speaker names matched to
+// the character list (speakers missing from it are added).
+// Returns { script } or { errors } with a message per problem.
+export function validateScript(value) {
+    const errors = [];
+    const fail = (message) => errors.length < MAX_ERRORS && errors.push(message);
+
+    if (!value || typeof value !== "object" || Array.isArray(value)) {
+        return { errors: ["The story must be a JSON object."] };
+    }
+    if (!isText(value.title)) {
+        fail("title must be a non-empty string.");
+    }
+    if (typeof value.logline !== "string") {
+        fail("logline must be a string.");
+    }
+    if (!Array.isArray(value.characters)) {
+        fail("characters must be an array.");
+    }
+    if (!Array.isArray(value.scenes) || value.scenes.length === 0) {
+        fail("scenes must be a non-empty array.");
+    }
+    if (errors.length) {
+        return { errors };
+    }
+
+    const characters = [];
+    const names = new Map();
+    const addCharacter = (name, description) => {
+        characters.push({ name, description });
+        names.set(name.toLowerCase(), name);
+    };
+    value.characters.forEach((character, i) => {
+        if (!isText(character?.name)) {
+            fail(`characters[${i}].name must be a non-empty string.`);
+        } else if (!names.has(character.name.trim().toLowerCase()) && character.name.trim().toLowerCase() !== NARRATOR) {
+            addCharacter(character.name.trim(), typeof character.description === "string" ? character.description.trim() : "");
+        }
+    });
+
+    const scenes = value.scenes.map((scene, i) => {
+        if (!scene || typeof scene !== "object" || !Array.isArray(scene.lines)) {
+            fail(`scenes[${i}].lines must be an array.`);
+            return null;
+        }
+        const lines = [];
+        scene.lines.forEach((line, j) => {
+            if (!isText(line?.speaker) || typeof line.text !== "string") {
+                fail(`scenes[${i}].lines[${j}] must have a speaker and text.`);
+                return;
+            }
+            const text = line.text.trim();
+            if (!text) {
+                return;
+            }
+            const speakerName = line.speaker.trim();
+            const key = speakerName.toLowerCase();
+            if (key !== NARRATOR && !names.has(key)) {
+                addCharacter(speakerName, "");
+            }
+            lines.push({ speaker: key === NARRATOR ? NARRATOR : names.get(key), text });
+        });
+        return { heading: typeof scene.heading === "string" ? scene.heading.trim() : "", lines };
+    });
+
+    if (!errors.length && scenes.every((scene) => scene.lines.length === 0)) {
+        fail("The scenes have no lines.");
+    }
+    if (errors.length) {
+        return { errors };
+    }
+    return {
+        script: {
+            title: value.title.trim(),
+            logline: value.logline.trim(),
+            characters,
+            scenes: scenes.filter((scene) => scene.lines.length > 0),
+        },
+    };
+}
+
+// Parses and validates model output. Returns { script } or { errors }.
+export function parseScript(output) {
+    const json = typeof output === "string" ? extractJson(output) : null;
+    if (!json) {
+        return { errors: ["The response did not contain a JSON object."] };
+    }
+    try {
+        return validateScript(JSON.parse(json));
+    } catch (err) {
+        return { errors: [`The response is not valid JSON: ${err.message}`] };
+    }
+}
+
+function buildRepairPrompt(prompt, output, errors) {
+    return [
+        prompt,
+        "",
+        "Your previous answer could not be used:",
+        ...errors.map((error) => `- ${error}`),
+        "",
+        "Previous answer:",
+        output.substring(0, 20000),
+        "",
+        "Reply with the corrected JSON only.",
+    ].join("\n");
+}
+
+// Shares the scenes out so there are exactly `count` of them, one per comic
+// panel or book page: extra scenes are merged into the last one, and missing
+// ones are made by splitting the longest scenes between their lines.
+export function fitScenes(script, count) {
+    const scenes = script.scenes.map((scene) => ({ ...scene, lines: [...scene.lines] }));
+    while (scenes.length > count) {
+        const extra = scenes.pop();
+        scenes[scenes.length - 1].lines.push(...extra.lines);
+    }
+    while (scenes.length < count) {
+        const longest = scenes.reduce((best, scene, i) => (scene.lines.length > scenes[best].lines.length ? i : best), 0);
+        const { heading, lines } = scenes[longest];
+        const half = Math.ceil(lines.length / 2);
+        // A scene with a single line can't be split, so the new scene is left empty
+        scenes.splice(longest, 1, { heading, lines: lines.slice(0, half) }, { heading, lines: lines.slice(half) });
+    }
+    return { ...script, scenes };
+}
+
+// A line as prose: narration as written, dialogue in quotes, introduced by
+// its speaker unless they were also the last to speak. An `open` line may
+// still be being written, so its closing quote is left off.
+function lineToText(line, previous, open) {
+    if (line.speaker === NARRATOR) {
+        return line.text;
+    }
+    const quoted = `"${line.text}${open ? "" : "\""}`;
+    return previous?.speaker === line.speaker ? quoted : `${line.speaker} said, ${quoted}`;
+}
+
+// The plain text of a scene, one line per paragraph
+export function sceneToText(scene, { open = false } = {}) {
+    const lines = (Array.isArray(scene?.lines) ? scene.lines : []).filter((line) => typeof line?.text === "string");
+    return lines
+        .map((line, i) => lineToText(line, lines[i - 1], open && i === lines.length - 1))
+        .join("\n");
+}
+
+// The story as plain prose for TTS (the title isn't read): one paragraph
+// per line and a blank line between scenes. With `partial`, reads the
+// incomplete scripts of parsePartialJson() so a story can be shown while it
+// is streamed; the text then only ever grows at its end.
+export function scriptToText(script, { partial = false } = {}) {
+    const scenes = Array.isArray(script?.scenes) ? script.scenes : [];
+    return scenes
+        .map((scene, i) => sceneToText(scene, { open: partial && i === scenes.length - 1 }))
+        .filter(Boolean)
+        .join("\n\n");
+}
+
+// All the text of a script - title, logline, character descriptions and
+// scenes - for checking what the model wrote
+export function scriptContent(script) {
+    const { title, logline, characters } = script;
+    return [title, logline, ...characters.map((character) => character.description), scriptToText(script)].join("\n");
+}
+
+// Parses model output and checks the story's text for signs of a leaked or
+// hijacked prompt (see injection.js). Returns { script } or { errors }.
+function checkScript(prompt, output) {
+    const result = parseScript(output);
+    if (result.errors) {
+        return result;
+    }
+    const problems = checkOutput(scriptContent(result.script), prompt);
+    return problems.length ? { errors: problems } : result;
+}
+
+// Provider options for output that finishScript() will read: SCRIPT_SCHEMA,
+// and a `validate` check so that output it would reject, which the model must
+// repair, isn't cached (see cache/providers.js). `prompt` is the prompt the
+// story is written for, also when asking for a repair or a rewrite.
+export function scriptOptions(prompt, { signal, cache } = {}) {
+    return { signal, cache, schema: SCRIPT_SCHEMA, validate: (output) => !checkScript(prompt, output).errors };
+}
+
+// Validates a story written with scriptOptions(), asking the model
+// to repair output that doesn't match or that fails checkOutput(). `prompt` is the prompt it was written
+// for; `sceneCount` fits the scenes to a number of panels (see fitScenes).
+// Resolves with { script, text }; throws if the output can't be repaired.
+export async function finishScript(prompt, output, { signal, cache, sceneCount } = {}) {
+    let result = checkScript(prompt, output);
+    for (let attempt = 1; result.errors && attempt <= MAX_REPAIRS; attempt++) {
+        console.warn(`Story could not be used (${result.errors.join(" ")}), asking for a repair (attempt ${attempt})`);
+        output = await getStoryProvider().generateText(buildRepairPrompt(prompt, output, result.errors), scriptOptions(prompt, { signal, cache }));
+        result = checkScript(prompt, output);
+    }
+    if (result.errors) {
+        throw new Error(`Story provider returned an invalid story: ${result.errors.join(" ")}`);
+    }
+    const script = sceneCount ? fitScenes(result.script, sceneCount) : result.script;
+    return { script, text: scriptToText(script) };
+}
+
+// Writes a story as a script with the configured story provider
+export async function writeScript(prompt, { signal, cache, sceneCount } = {}) {
+    const output = await getStoryProvider().generateText(prompt, scriptOptions(prompt, { signal, cache }));
+    return finishScript(prompt, output, { signal, cache, sceneCount });
+}
@@ -0,0 +1,94 @@
+// Splits a story into narration and dialogue segments so each speaker can be
+// voiced separately. Works on the story text as written - the quotes mark
+// the dialogue.
+
+export const NARRATOR = "narrator";
+
+const SPEECH_VERBS = "said|asked|replied|answered|shouted|yelled|cried|called|whispered|muttered|exclaimed|laughed|added|explained|sighed|giggled|roared|squeaked|begged|told";
+
+// A capitalized name (one or two words) before or after a speech verb
+const NAME = "([A-Z][a-z]+(?: [A-Z][a-z]+)?)";
+const NAME_THEN_VERB = new RegExp(`\\b${NAME}\\s+(?:${SPEECH_VERBS})\\b`);
+const VERB_THEN_NAME = new RegExp(`\\b(?:${SPEECH_VERBS})\\s+(?:the\\s+)?${NAME}\\b`);
+const TRAILING_NAME_VERB = new RegExp(`\\b${NAME}\\s+(?:${SPEECH_VERBS})\\s*[,:]?\\s*$`);
+
+// Capitalized words that are never character names
+const NOT_NAMES = new Set([
+    "He", "She", "They", "It", "I", "We", "You", "His", "Her", "Their",
+    "The", "A", "An", "Then", "And", "But", "So", "When", "After", "Finally", "Suddenly",
+]);
+
+// Straight or curly double quotes
+const QUOTE = /"([^"]+)"|“([^”]+)”/g;
+
+function toName(match) {
+    if (!match) {
+        return null;
+    }
+    const [first, ...rest] = match[1].split(" ");
+    if (NOT_NAMES.has(first)) {
+        // "The Fox said" -> "Fox"
+        return rest.length && !NOT_NAMES.has(rest[0]) ? rest.join(" ") : null;
+    }
+    return match[1];
+}
+
+// Looks for "Tom said" / "said Tom" just after the quote, or "Tom said," just before it.
+// A clause that runs into the next quote introduces that quote instead.
+function findSpeaker(before, after) {
+    const [afterClause, end] = after.split(/([.!?\n"“])/);
+    const attributesThis = end !== '"' && end !== "“";
+    return (attributesThis && (toName(afterClause.match(NAME_THEN_VERB)) || toName(afterClause.match(VERB_THEN_NAME))))
+        || toName(before.match(TRAILING_NAME_VERB));
+}
+
+function pushSegment(segments, speaker, text) {
+    const trimmed = text.replace(/\s+/g, " ").replace(/^[\s,.;:]+/, "").trim();
+    // Drop bare punctuation left between quotes and attributions
+    if (!/[\p{L}\p{N}]/u.test(trimmed)) {
+        return;
+    }
+    const last = segments[segments.length - 1];
+    if (last && last.speaker === speaker) {
+        last.text += ` ${trimmed}`;
+    } else {
+        segments.push({ speaker, text: trimmed });
+    }
+}
+
+// Returns [{ speaker, text }] in reading order. speaker is NARRATOR for prose.
+// Unattributed quotes alternate between the two most recent speakers, the way
+// back-and-forth dialogue is usually written.
+export function splitIntoSegments(story) {
+    const segments = [];
+    const recentSpeakers = [];
+    let lastQuoteSpeaker = null;
+    let position = 0;
+
+    for (const match of story.matchAll(QUOTE)) {
+        const before = story.slice(position, match.index);
+        const after = story.slice(match.index + match[0].length);
+        pushSegment(segments, NARRATOR, before);
+
+        let speaker = findSpeaker(before, after);
+        if (!speaker) {
+            speaker = recentSpeakers.find((name) => name !== lastQuoteSpeaker) || lastQuoteSpeaker || NARRATOR;
+        }
+        if (speaker !== NARRATOR) {
+            const others = recentSpeakers.filter((name) => name !== speaker);
+            recentSpeakers.splice(0, recentSpeakers.length, speaker, ...others.slice(0, 1));
+        }
+        lastQuoteSpeaker = speaker;
+
+        pushSegment(segments, speaker, match[1] ?? match[2]);
+        position = match.index + match[0].length;
+    }
+    pushSegment(segments, NARRATOR, story.slice(position));
+    return segments;
+}
+
+// Speaking characters in order of first appearance (narrator excluded)
+export function listCharacters(segments) {
+    return [...new Set(segments.map((segment) => segment.speaker))]
+        .filter((speaker) => speaker !== NARRATOR);
+}
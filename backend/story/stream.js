@@ -0,0 +1,76 @@
+import { getStoryProvider } from "../providers/story/index.js";
+import { scriptOptions, parsePartialJson, scriptToText, finishScript } from "./script.js";
+import { markFailed } from "../auth/quota.js";
+import { moderateChunk } from "../moderation/index.js";
+
+// Opens a newline-delimited JSON (NDJSON) response, one event object per line.
+// The returned signal is aborted when the client disconnects, so upstream
+// model calls are cancelled instead of running to completion. The status is
+// 200 from the start, so an { type: "error" } event marks the response failed
+// for its quota to be refunded.
+export function openEventStream(res) {
+    const controller = new AbortController();
+    res.on("close", () => {
+        if (!res.writableEnded) {
+            console.log("Client disconnected, aborting generation");
+            controller.abort();
+        }
+    });
+
+    res.statusCode = 200;
+    res.setHeader("Content-Type", "application/x-ndjson; charset=utf-8");
+    res.setHeader("Cache-Control", "no-cache");
+    res.setHeader("X-Accel-Buffering", "no"); // Disable proxy buffering
+    // Headers go out with the first event, so cache results known by then
+    // (X-Cache-*, see cache/index.js) are still reported
+
+    return {
+        signal: controller.signal,
+        send(event) {
+            if (event.type === "error") {
+                markFailed(res);
+            }
+            if (!res.writableEnded) {
+                res.write(JSON.stringify(event) + "\n");
+            }
+        },
+        end() {
+            if (!res.writableEnded) {
+                res.end();
+            }
+        }
+    };
+}
+
+// Streams a story script (see script.js) from the configured provider,
+// forwarding its plain text as { type: "chunk" } events as far as it can be
+// read from the JSON so far. Text is sent up to its last whole word once
+// moderateChunk() has passed everything written so far; after that fails
+// nothing more is sent, and the rest of the story only arrives with the done
+// event once moderateStory() has rewritten or refused it. Resolves with { script, text } once the whole
+// script has been validated - repairs and sceneCount can change the text, so
+// send the final text to the client too.
+// `cache` is the request's cache settings (see cache/index.js).
+export async function streamScript(prompt, events, cache, { sceneCount } = {}) {
+    let output = "";
+    let sent = "";
+    let held = false;
+    for await (const chunk of getStoryProvider().streamText(prompt, scriptOptions(prompt, { signal: events.signal, cache }))) {
+        output += chunk;
+        if (held) {
+            continue;
+        }
+        const text = scriptToText(parsePartialJson(output), { partial: true });
+        // The last word may still be growing, and is checked once it is whole
+        const complete = text.slice(0, text.search(/\S*$/));
+        if (complete.length > sent.length && complete.startsWith(sent)) {
+            if (moderateChunk(complete)) {
+                events.send({ type: "chunk", text: complete.slice(sent.length) });
+                sent = complete;
+            } else {
+                held = true;
+            }
+        }
+    }
+    return finishScript(prompt, output, { signal: events.signal, cache, sceneCount });
+}
@@ -0,0 +1,93 @@
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+import { createServer } from "node:http";
+import { mkdtempSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+// Background jobs give back the story generation reserved when they were
+// submitted if they fail or are cancelled. Quotas need node:sqlite, so these
+// tests only run where it is available (Node.js 22.13 or newer).
+
+const dataDir = mkdtempSync(join(tmpdir(), "story-jobs-"));
+
+Object.assign(process.env, {
+    STORY_PROVIDER: "stub",
+    TTS_PROVIDER: "stub",
+    CACHE_ENABLED: "false",
+    MODERATION_CLASSIFIERS: "rules",
+    MODERATION_ACTION: "block",
+    DATABASE_PATH: join(dataDir, "stories.db"),
+    JOB_QUEUE: "memory",
+});
+
+const hasSqlite = await import("node:sqlite").then(() => true, () => false);
+
+let server;
+let base;
+
+before(async () => {
+    const { createApp } = await import("../app.js");
+    server = createServer(createApp());
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+    server.close();
+    rmSync(dataDir, { recursive: true, force: true });
+});
+
+async function request(path, body) {
+    const response = await fetch(base + path, body && {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(body),
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+async function generationsUsed() {
+    const { body } = await request("/api/auth/me");
+    return body.quota.generations.used;
+}
+
+// Polls the job until it has finished
+async function waitForJob(id) {
+    for (;;) {
+        const { body } = await request(`/api/jobs/${id}`);
+        if (!["queued", "running"].includes(body.status)) {
+            return body;
+        }
+        await new Promise((resolve) => setTimeout(resolve, 50));
+    }
+}
+
+test("a finished job keeps its generation", { skip: !hasSqlite }, async () => {
+    const used = await generationsUsed();
+    const { status, body: job } = await request("/api/jobs", { text: "A fox finds a lantern in the woods.", narrate: false });
+    assert.equal(status, 202);
+    assert.equal((await waitForJob(job.id)).status, "done");
+    assert.equal(await generationsUsed(), used + 1);
+});
+
+test("a failed job gives its generation back", { skip: !hasSqlite }, async () => {
+    const used = await generationsUsed();
+    // The idea passes the checks when the job is submitted, but the job refuses it
+    const { status, body: job } = await request("/api/jobs", { text: "The pirates planned a massacre and a bloodbath.", narrate: false });
+    assert.equal(status, 202);
+    assert.equal((await waitForJob(job.id)).status, "failed");
+    assert.equal(await generationsUsed(), used);
+});
+
+test("a cancelled job gives its generation back once", { skip: !hasSqlite }, async () => {
+    const used = await generationsUsed();
+    const { body: job } = await request("/api/jobs", { text: "A kite escapes over the town.", narrate: false });
+    assert.equal(await generationsUsed(), used + 1);
+
+    assert.equal((await request(`/api/jobs/${job.id}/cancel`, {})).body.status, "cancelled");
+    // Cancelling again changes nothing
+    assert.equal((await request(`/api/jobs/${job.id}/cancel`, {})).body.status, "cancelled");
+    assert.equal((await waitForJob(job.id)).status, "cancelled");
+    assert.equal(await generationsUsed(), used);
+});
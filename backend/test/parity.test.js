@@ -0,0 +1,268 @@
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+import { createServer } from "node:http";
+import { existsSync, mkdtempSync, readdirSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { dirname, join } from "node:path";
+import { fileURLToPath, pathToFileURL } from "node:url";
+
+// Sends the same requests to the Express app (app.js) and to the Vercel
+// functions in api/ and checks both answer with the same status and body.
+// Runs offline against the stub providers and a throwaway database.
+
+const API_DIR = join(dirname(fileURLToPath(import.meta.url)), "../../api");
+const dataDir = mkdtempSync(join(tmpdir(), "story-parity-"));
+
+Object.assign(process.env, {
+    STORY_PROVIDER: "stub",
+    TTS_PROVIDER: "stub",
+    CACHE_ENABLED: "false",
+    MODERATION_CLASSIFIERS: "rules",
+    DATABASE_PATH: join(dataDir, "stories.db"),
+    ANONYMOUS_GENERATIONS_PER_DAY: "1000",
+});
+
+// A 2x2 PNG, small enough to inline
+const PNG = Buffer.from(
+    "iVBORw0KGgoAAAANSUhEUgAAAAIAAAACCAIAAAD91JpzAAAAFklEQVR4nGP8z8DAwMDAxMDAwMDAAAANHQEDasKb6QAAAABJRU5ErkJggg==",
+    "base64",
+);
+
+// Finds the function file for a path the way Vercel does: a file or folder
+// named after each segment, or else a dynamic one ([id].js, [id]/)
+function resolveFunction(pathname) {
+    const segments = pathname.replace(/^\/api\/?/, "").split("/").filter(Boolean);
+    const params = {};
+    let dir = API_DIR;
+    for (const [index, segment] of segments.entries()) {
+        const last = index === segments.length - 1;
+        const entries = readdirSync(dir, { withFileTypes: true });
+        const wanted = last ? `${segment}.js` : segment;
+        let entry = entries.find((candidate) => candidate.name === wanted && candidate.isDirectory() !== last);
+        if (!entry) {
+            entry = entries.find((candidate) => /^\[\w+\](\.js)?$/.test(candidate.name) && candidate.isDirectory() !== last);
+            if (!entry) {
+                return null;
+            }
+            params[entry.name.match(/^\[(\w+)\]/)[1]] = decodeURIComponent(segment);
+        }
+        dir = join(dir, entry.name);
+    }
+    return existsSync(dir) && !dir.endsWith(".js") ? null : { file: dir, params };
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        req.on("data", (chunk) => chunks.push(chunk));
+        req.on("end", () => resolve(Buffer.concat(chunks)));
+        req.on("error", reject);
+    });
+}
+
+// Node.js runtime of Vercel Functions: req.query with the dynamic segments,
+// req.body parsed on first access (left unread for multipart uploads), and
+// the res.status()/json()/send() helpers
+async function vercelHandler(req, res) {
+    const url = new URL(req.url, "http://localhost");
+    const target = url.pathname.startsWith("/api") && resolveFunction(url.pathname);
+    if (!target) {
+        res.statusCode = 404;
+        res.end();
+        return;
+    }
+
+    req.query = { ...Object.fromEntries(url.searchParams), ...target.params };
+    // The platform passes the client's address on; a different one than the
+    // Express run's keeps quotas and rate limits apart
+    req.headers["x-forwarded-for"] = "203.0.113.7";
+    const type = req.headers["content-type"] ?? "";
+    if (!type.startsWith("multipart/form-data")) {
+        const raw = await readBody(req);
+        let parsed;
+        Object.defineProperty(req, "body", {
+            configurable: true,
+            get() {
+                if (parsed === undefined && type.startsWith("application/json") && raw.length) {
+                    parsed = JSON.parse(raw.toString());
+                }
+                return parsed;
+            },
+            set(value) {
+                parsed = value;
+            },
+        });
+    }
+
+    res.status = (code) => {
+        res.statusCode = code;
+        return res;
+    };
+    res.json = (value) => {
+        res.setHeader("Content-Type", "application/json; charset=utf-8");
+        res.end(JSON.stringify(value));
+        return res;
+    };
+    res.send = (value) => {
+        res.end(value);
+        return res;
+    };
+
+    const { default: handler } = await import(pathToFileURL(target.file).href);
+    await handler(req, res);
+}
+
+function listen(server) {
+    return new Promise((resolve) => {
+        server.listen(0, "127.0.0.1", () => resolve(`http://127.0.0.1:${server.address().port}`));
+    });
+}
+
+// Values that differ between runs: ids, tokens, timestamps, latencies and the per-server email
+const VOLATILE_KEYS = new Set([
+    "id", "storyId", "jobId", "token", "createdAt", "updatedAt", "expiresAt", "lastUsedAt", "resetAt", "averageLatencyMs",
+]);
+
+function normalize(value, key) {
+    if (VOLATILE_KEYS.has(key) && value !== null) {
+        return `<${key}>`;
+    }
+    if (Array.isArray(value)) {
+        return value.map((item) => normalize(item));
+    }
+    if (value && typeof value === "object") {
+        return Object.fromEntries(Object.entries(value).map(([name, item]) => [name, normalize(item, name)]));
+    }
+    if (typeof value === "string") {
+        return value
+            .replace(/[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}/g, "<uuid>")
+            .replace(/\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z/g, "<date>")
+            .replace(/(express|vercel)-parity@/g, "parity@");
+    }
+    return value;
+}
+
+async function send(base, { method = "GET", path, body, form, token }) {
+    const headers = token ? { Authorization: `Bearer ${token}` } : {};
+    let payload;
+    if (form) {
+        payload = new FormData();
+        for (const [name, value] of Object.entries(form)) {
+            if (value instanceof Blob) {
+                payload.append(name, value, "panel.png");
+            } else {
+                payload.append(name, String(value));
+            }
+        }
+    } else if (body !== undefined) {
+        headers["Content-Type"] = "application/json";
+        payload = JSON.stringify(body);
+    }
+    const response = await fetch(base + path, { method, headers, body: payload });
+    const type = response.headers.get("content-type") ?? "";
+    const text = await response.text();
+    let content = text;
+    if (type.includes("ndjson")) {
+        content = text.split("\n").filter(Boolean).map((line) => JSON.parse(line));
+    } else if (type.includes("json")) {
+        content = JSON.parse(text);
+    }
+    return { status: response.status, type: type.split(";")[0], body: content };
+}
+
+// The requests, in order. Functions get what earlier requests returned, as
+// each server creates its own user and stories.
+const REQUESTS = [
+    { name: "preflight", method: "OPTIONS", path: "/api/process-text" },
+    { name: "wrong method", method: "GET", path: "/api/process-text" },
+    { name: "missing text", method: "POST", path: "/api/process-text", body: {} },
+    { name: "voices", path: "/api/voices" },
+    { name: "anonymous session", path: "/api/auth/me" },
+    { name: "bad token", path: "/api/auth/me", token: "not-a-token" },
+    { name: "sign-in required", method: "POST", path: "/api/tokens", body: { name: "cli" } },
+    {
+        name: "sign up",
+        method: "POST",
+        path: "/api/auth/signup",
+        body: (server) => ({ email: `${server}-parity@example.com`, password: "correct horse battery" }),
+        save: (context, { body }) => {
+            context.token = body.token;
+        },
+    },
+    { name: "signed-in session", path: "/api/auth/me", signedIn: true },
+    {
+        name: "story from text",
+        method: "POST",
+        path: "/api/process-text",
+        body: { text: "A fox finds a lantern in the woods and follows its light home." },
+        signedIn: true,
+        save: (context, { body }) => {
+            context.storyId = body.storyId;
+        },
+    },
+    { name: "streamed story", method: "POST", path: "/api/process-text/stream", body: { text: "A kite escapes over the town." } },
+    { name: "story list", path: "/api/stories", signedIn: true },
+    { name: "story", path: (context) => `/api/stories/${context.storyId}`, signedIn: true },
+    { name: "someone else's story", path: (context) => `/api/stories/${context.storyId}` },
+    { name: "unknown story", path: "/api/stories/00000000-0000-0000-0000-000000000000", signedIn: true },
+    { name: "story timings", path: (context) => `/api/stories/${context.storyId}/timings`, signedIn: true },
+    { name: "story panel", path: (context) => `/api/stories/${context.storyId}/panels/1`, signedIn: true },
+    { name: "usage", path: "/api/usage", signedIn: true },
+    { name: "extract upload", method: "POST", path: "/api/extract", form: { images: new Blob([PNG], { type: "image/png" }) } },
+    { name: "extract without images", method: "POST", path: "/api/extract", body: {} },
+    {
+        name: "story from reviewed text",
+        method: "POST",
+        path: "/api/extract-and-process",
+        form: { images: new Blob([PNG], { type: "image/png" }), pageTexts: JSON.stringify(["A fox finds a lantern."]) },
+    },
+    {
+        name: "reviewed text for the wrong number of images",
+        method: "POST",
+        path: "/api/extract-and-process",
+        body: { images: [`data:image/png;base64,${PNG.toString("base64")}`], pageTexts: ["One", "Two"] },
+    },
+];
+
+async function run(base, server) {
+    const context = {};
+    const results = [];
+    for (const request of REQUESTS) {
+        const resolve = (value) => (typeof value === "function" ? value(context) : value);
+        const result = await send(base, {
+            method: request.method,
+            path: resolve(request.path),
+            body: typeof request.body === "function" ? request.body(server) : request.body,
+            form: request.form,
+            token: request.token ?? (request.signedIn ? context.token : undefined),
+        });
+        request.save?.(context, result);
+        results.push({ status: result.status, type: result.type, body: normalize(result.body) });
+    }
+    return results;
+}
+
+const servers = [];
+let expected;
+let actual;
+
+before(async () => {
+    const { createApp } = await import("../app.js");
+    servers.push(createServer(createApp()), createServer(vercelHandler));
+    const [express, vercel] = await Promise.all(servers.map(listen));
+    expected = await run(express, "express");
+    actual = await run(vercel, "vercel");
+});
+
+after(() => {
+    for (const server of servers) {
+        server.close();
+    }
+    rmSync(dataDir, { recursive: true, force: true });
+});
+
+for (const [index, { name }] of REQUESTS.entries()) {
+    test(`${name}: Vercel function answers like Express`, () => {
+        assert.deepEqual(actual[index], expected[index]);
+    });
+}
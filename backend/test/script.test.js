@@ -0,0 +1,135 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { finishScript, fitScenes, parsePartialJson, scriptToText, validateScript } from "../story/script.js";
+
+// Checks how story scripts are validated, tidied, fitted to panels, read while
+// streamed and repaired, with the offline stub provider.
+
+Object.assign(process.env, { STORY_PROVIDER: "stub", CACHE_ENABLED: "false" });
+
+const SCRIPT = {
+    title: "The Lantern",
+    logline: "A fox finds a lantern.",
+    characters: [{ name: "Fox", description: "A curious fox" }],
+    scenes: [
+        { heading: "The woods", lines: [{ speaker: "narrator", text: "A fox found a lantern." }, { speaker: "Fox", text: "What a light!" }] },
+    ],
+};
+
+// A script with one scene per line, for fitScenes()
+function scenesOf(...counts) {
+    let n = 0;
+    const scenes = counts.map((count, i) => ({
+        heading: `Scene ${i + 1}`,
+        lines: Array.from({ length: count }, () => ({ speaker: "narrator", text: `Line ${++n}.` })),
+    }));
+    return { ...SCRIPT, scenes };
+}
+
+const lineTexts = (scene) => scene.lines.map((line) => line.text);
+
+test("validateScript accepts a script", () => {
+    assert.deepEqual(validateScript(SCRIPT), { script: SCRIPT });
+});
+
+test("validateScript reports what is missing or of the wrong type", () => {
+    assert.deepEqual(validateScript([]), { errors: ["The story must be a JSON object."] });
+    assert.deepEqual(validateScript({ title: " ", logline: 1, characters: {}, scenes: [] }).errors, [
+        "title must be a non-empty string.",
+        "logline must be a string.",
+        "characters must be an array.",
+        "scenes must be a non-empty array.",
+    ]);
+    assert.deepEqual(validateScript({ ...SCRIPT, characters: [{ description: "Nameless" }], scenes: [{ heading: "Nowhere" }, { lines: [{ speaker: "Fox" }] }] }).errors, [
+        "characters[0].name must be a non-empty string.",
+        "scenes[0].lines must be an array.",
+        "scenes[1].lines[0] must have a speaker and text.",
+    ]);
+    assert.deepEqual(validateScript({ ...SCRIPT, scenes: [{ heading: "Empty", lines: [{ speaker: "Fox", text: "  " }] }] }).errors, ["The scenes have no lines."]);
+});
+
+test("validateScript reports at most ten errors", () => {
+    const lines = Array.from({ length: 20 }, () => ({ text: "No speaker." }));
+    assert.equal(validateScript({ ...SCRIPT, scenes: [{ heading: "Crowd", lines }] }).errors.length, 10);
+});
+
+test("validateScript matches speakers to the character list", () => {
+    const { script } = validateScript({
+        title: "  The Lantern ",
+        logline: "A fox finds a lantern.",
+        characters: [{ name: " Fox ", description: " A curious fox " }, { name: "fox", description: "The same fox" }, { name: "Narrator", description: "" }],
+        scenes: [
+            { heading: " The woods ", lines: [{ speaker: "NARRATOR", text: " A fox found a lantern. " }, { speaker: "FOX", text: "What a light!" }, { speaker: "Owl", text: "Hoo!" }] },
+            { heading: "Later", lines: [{ speaker: "Fox", text: "" }] },
+        ],
+    });
+    assert.equal(script.title, "The Lantern");
+    assert.deepEqual(script.characters, [{ name: "Fox", description: "A curious fox" }, { name: "Owl", description: "" }]);
+    // The scene left without lines is dropped
+    assert.deepEqual(script.scenes, [{
+        heading: "The woods",
+        lines: [{ speaker: "narrator", text: "A fox found a lantern." }, { speaker: "Fox", text: "What a light!" }, { speaker: "Owl", text: "Hoo!" }],
+    }]);
+});
+
+test("fitScenes merges extra scenes into the last one", () => {
+    const { scenes } = fitScenes(scenesOf(1, 2, 1, 1), 2);
+    assert.deepEqual(scenes.map(lineTexts), [["Line 1."], ["Line 2.", "Line 3.", "Line 4.", "Line 5."]]);
+    assert.equal(scenes[1].heading, "Scene 2");
+});
+
+test("fitScenes splits the longest scenes", () => {
+    const { scenes } = fitScenes(scenesOf(1, 3), 4);
+    assert.deepEqual(scenes.map(lineTexts), [["Line 1."], ["Line 2."], ["Line 3."], ["Line 4."]]);
+    assert.deepEqual(scenes.map((scene) => scene.heading), ["Scene 1", "Scene 2", "Scene 2", "Scene 2"]);
+});
+
+test("fitScenes leaves a scene empty when there is nothing left to split", () => {
+    const { scenes } = fitScenes(scenesOf(1), 2);
+    assert.deepEqual(scenes.map(lineTexts), [["Line 1."], []]);
+});
+
+test("fitScenes doesn't change the script it is given", () => {
+    const script = scenesOf(2, 2);
+    fitScenes(script, 1);
+    fitScenes(script, 4);
+    assert.deepEqual(script, scenesOf(2, 2));
+});
+
+test("parsePartialJson reads JSON cut off anywhere", () => {
+    const json = JSON.stringify(SCRIPT);
+    for (let end = json.indexOf("\"scenes\""); end <= json.length; end++) {
+        const value = parsePartialJson(json.slice(0, end));
+        assert.notEqual(value, null, `cut off after ${JSON.stringify(json.slice(end - 10, end))}`);
+        assert.ok(SCRIPT.title.startsWith(value.title));
+    }
+    assert.deepEqual(parsePartialJson(json), SCRIPT);
+});
+
+test("parsePartialJson recovers the text written so far", () => {
+    assert.deepEqual(parsePartialJson("```json\n{\"title\": \"The Lan"), { title: "The Lan" });
+    assert.deepEqual(parsePartialJson("{\"title\": \"A \\\"quoted\\"), { title: "A \"quoted" });
+    assert.deepEqual(parsePartialJson("{\"count\": 12, \"tit"), { count: 12 });
+    assert.deepEqual(parsePartialJson("{\"title\":"), { title: null });
+    const { scenes } = parsePartialJson("{\"scenes\": [{\"heading\": \"The woods\", \"lines\": [{\"speaker\": \"Fox\", \"text\": \"What a li");
+    assert.equal(scriptToText({ scenes }, { partial: true }), "Fox said, \"What a li");
+    assert.equal(parsePartialJson("No JSON here"), null);
+});
+
+test("finishScript repairs output it can't use", async (t) => {
+    const warn = t.mock.method(console, "warn", () => {});
+    const { script, text } = await finishScript("Write a story.", "Sorry, here is no story.", { sceneCount: 2 });
+    assert.equal(warn.mock.callCount(), 1);
+    assert.equal(script.scenes.length, 2);
+    assert.equal(text, scriptToText(script));
+});
+
+test("finishScript gives up after two repairs", async (t) => {
+    const warn = t.mock.method(console, "warn", () => {});
+    // Every stub story repeats one of these sentences, so no repair passes checkOutput()
+    const prompt = ["a quiet forest", "a busy harbour", "an old library", "a windy hilltop"]
+        .map((place) => `Two friends follow a mysterious find through ${place}.`)
+        .join("\n");
+    await assert.rejects(finishScript(prompt, "{}"), /^Error: Story provider returned an invalid story: The response repeats the instructions/);
+    assert.equal(warn.mock.callCount(), 2);
+});
@@ -0,0 +1,203 @@
+import React, { useEffect, useState } from "react";
+import { apiFetch, getSessionToken, setSessionToken } from "./api";
+import UsagePanel from "./UsagePanel";
+
+const QUOTA_LABELS = {
+  generations: "Stories today",
+  ttsCharacters: "Narration characters today",
+};
+
+async function readJson(resp) {
+  const json = await resp.json().catch(() => null);
+  if (!resp.ok) {
+    throw new Error(json?.error || `Server error: ${resp.status} ${resp.statusText}`);
+  }
+  return json;
+}
+
+// Sign-in, today's quota, metered usage and personal API tokens. Without an account,
+// requests share the anonymous quota of their IP address.
+export default function Account({ apiUrl }) {
+  const [me, setMe] = useState(null);
+  const [mode, setMode] = useState("signin");
+  const [email, setEmail] = useState("");
+  const [password, setPassword] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [tokens, setTokens] = useState([]);
+  const [tokenName, setTokenName] = useState("");
+  // A newly created API token, which the server only returns once
+  const [newToken, setNewToken] = useState(null);
+  const [reloadKey, setReloadKey] = useState(0);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    apiFetch(`${apiUrl}/api/auth/me`, { signal: controller.signal, cache: "no-store" })
+      .then(readJson)
+      .then(async (json) => {
+        setMe(json);
+        setTokens(json.user
+          ? (await readJson(await apiFetch(`${apiUrl}/api/tokens`, { signal: controller.signal }))).tokens
+          : []);
+      })
+      .catch((err) => {
+        if (err.name !== "AbortError") {
+          console.error("Error:", err);
+        }
+      });
+    return () => controller.abort();
+  }, [apiUrl, reloadKey]);
+
+  const reload = () => setReloadKey((key) => key + 1);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    try {
+      const json = await readJson(await apiFetch(`${apiUrl}/api/auth/${mode}`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ email, password }),
+      }));
+      setSessionToken(json.token);
+      setPassword("");
+      reload();
+    } catch (err) {
+      alert(`Error: ${err.message}`);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleSignOut = async () => {
+    try {
+      await apiFetch(`${apiUrl}/api/auth/signout`, { method: "POST" });
+    } catch (err) {
+      console.error("Error:", err);
+    }
+    setSessionToken(null);
+    setNewToken(null);
+    reload();
+  };
+
+  const handleCreateToken = async (e) => {
+    e.preventDefault();
+    try {
+      const json = await readJson(await apiFetch(`${apiUrl}/api/tokens`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ name: tokenName }),
+      }));
+      setNewToken(json.token);
+      setTokenName("");
+      reload();
+    } catch (err) {
+      alert(`Error: ${err.message}`);
+    }
+  };
+
+  const handleRevoke = async (token) => {
+    if (!confirm(`Revoke the token "${token.name}"? Scripts using it will stop working.`)) return;
+    try {
+      const resp = await apiFetch(`${apiUrl}/api/tokens/${token.id}`, { method: "DELETE" });
+      if (!resp.ok) await readJson(resp);
+      reload();
+    } catch (err) {
+      alert(`Error: ${err.message}`);
+    }
+  };
+
+  const signedIn = Boolean(me?.user && getSessionToken());
+
+  return (
+    <div className="account">
+      {signedIn ? (
+        <div className="account-header">
+          <p>Signed in as <strong>{me.user.email}</strong></p>
+          <button onClick={handleSignOut} className="account-secondary">Sign out</button>
+        </div>
+      ) : (
+        <form className="account-form" onSubmit={handleSubmit}>
+          <h3>{mode === "signin" ? "Sign in" : "Create an account"}</h3>
+          <input
+            type="email"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            placeholder="Email address"
+            autoComplete="email"
+            required
+          />
+          <input
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            placeholder="Password (at least 8 characters)"
+            autoComplete={mode === "signin" ? "current-password" : "new-password"}
+            minLength={8}
+            required
+          />
+          <button type="submit" disabled={busy}>
+            {mode === "signin" ? "Sign in" : "Sign up"}
+          </button>
+          <button
+            type="button"
+            className="account-secondary"
+            onClick={() => setMode(mode === "signin" ? "signup" : "signin")}
+          >
+            {mode === "signin" ? "New here? Create an account" : "Already have an account? Sign in"}
+          </button>
+        </form>
+      )}
+
+      {me?.quota && (
+        <div className="account-quota">
+          <h3>{signedIn ? "Your daily quota" : "Daily quota without an account"}</h3>
+          {Object.entries(me.quota).map(([kind, { limit, used, remaining }]) => (
+            <div key={kind} className="quota-row">
+              <span>{QUOTA_LABELS[kind] || kind}</span>
+              <progress value={Math.min(used, limit)} max={limit || 1} />
+              <span>{remaining.toLocaleString()} of {limit.toLocaleString()} left</span>
+            </div>
+          ))}
+          <p className="quota-reset">Resets at {new Date(me.resetAt).toLocaleString()}</p>
+        </div>
+      )}
+
+      <UsagePanel apiUrl={apiUrl} reloadKey={reloadKey} />
+
+      {signedIn && (
+        <div className="account-tokens">
+          <h3>API tokens</h3>
+          <p className="account-hint">
+            For scripts: send a token as <code>Authorization: Bearer &lt;token&gt;</code>. Requests count against your quota.
+          </p>
+          {newToken && (
+            <p className="new-token">
+              Copy your new token now - it won't be shown again: <code>{newToken}</code>
+            </p>
+          )}
+          <form className="token-form" onSubmit={handleCreateToken}>
+            <input
+              value={tokenName}
+              onChange={(e) => setTokenName(e.target.value)}
+              placeholder="Token name, e.g. nightly batch"
+              maxLength={100}
+              required
+            />
+            <button type="submit">Create token</button>
+          </form>
+          <ul className="token-list">
+            {tokens.map((token) => (
+              <li key={token.id}>
+                <span>{token.name}</span>
+                <span className="token-used">
+                  {token.lastUsedAt ? `Last used ${new Date(token.lastUsedAt).toLocaleDateString()}` : "Never used"}
+                </span>
+                <button onClick={() => handleRevoke(token)} className="account-secondary">Revoke</button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
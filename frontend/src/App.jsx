@@ -1,139 +1,314 @@
-import React, { useState } from "react";
+import React, { useEffect, useRef, useState } from "react";
 import Header from "./Header";
 import Footer from "./Footer";
 import ImageUpload from "./ImageUpload";
 import StoryPlayer from "./StoryPlayer";
+import StoryScript from "./StoryScript";
+import StoryOptions from "./StoryOptions";
+import StoryLibrary from "./StoryLibrary";
+import VoiceCast from "./VoiceCast";
+import VoicePicker from "./VoicePicker";
+import JobProgress from "./JobProgress";
+import OcrReview from "./OcrReview";
+import Account from "./Account";
+import { streamAudio } from "./audioStream";
+import { apiFetch, fetchObjectUrl, toFormData } from "./api";
+import { runJob } from "./jobs";
+import { LANGUAGES, languageName } from "./languages";
+import { reviewedText } from "./ocr";
 import "./index.css";
 import "./App.css";
 
+const DEFAULT_STORY_OPTIONS = {
+  length: 150,
+  lengthUnit: "words",
+  genre: "",
+  tone: "",
+  ageGroup: "",
+  pointOfView: "",
+};
+
 export default function App(){
-  const [imageDataUrl, setImageDataUrl] = useState(null);
+  const [images, setImages] = useState([]);
   const [inputText, setInputText] = useState("");
   const [processedStory, setProcessedStory] = useState(null);
+  // The story's title, characters and scenes, once it is complete (plain text is shown while it streams)
+  const [storyScript, setStoryScript] = useState(null);
+  // Why the story was rewritten by the child-safety check, if it was (see backend/moderation)
+  const [storyModeration, setStoryModeration] = useState(null);
   const [extractedText, setExtractedText] = useState(null);
+  // Text read from the images for review (pages of blocks from /api/extract, each
+  // with the maxTextLength used of it); once set, stories are written from the
+  // images with their corrected text instead of reading them again
+  const [ocrPages, setOcrPages] = useState(null);
+  const [loadingOcr, setLoadingOcr] = useState(false);
+  const [storyOptions, setStoryOptions] = useState(DEFAULT_STORY_OPTIONS);
+  const [storyStats, setStoryStats] = useState(null);
   const [audioData, setAudioData] = useState(null);
+  const [wordTimings, setWordTimings] = useState(null);
+  const [storyId, setStoryId] = useState(null);
+  const [storyImageUrl, setStoryImageUrl] = useState(null);
+  const [storyPanels, setStoryPanels] = useState(null);
+  const [view, setView] = useState("create");
   const [loadingExtract, setLoadingExtract] = useState(false);
   const [loadingVoice, setLoadingVoice] = useState(false);
+  const [voiceId, setVoiceId] = useState(null);
+  const [multiVoice, setMultiVoice] = useState(false);
+  const [voiceMap, setVoiceMap] = useState({});
+  // Language to write new stories in ("" follows the source text) and the language of the current story
+  const [language, setLanguage] = useState("");
+  const [storyLanguage, setStoryLanguage] = useState(null);
+  const [translating, setTranslating] = useState(false);
+  // Status of the background job writing and narrating the story, while it runs
+  const [job, setJob] = useState(null);
+  const abortRef = useRef(null);
+
+  // Release the previous audio object URL when it is replaced
+  useEffect(() => {
+    const audioUrl = audioData?.audioUrl;
+    return () => {
+      if (audioUrl?.startsWith("blob:")) URL.revokeObjectURL(audioUrl);
+    };
+  }, [audioData]);
+
+  // Likewise the object URLs of a reopened story's image and panels
+  useEffect(() => {
+    return () => {
+      if (storyImageUrl?.startsWith("blob:")) URL.revokeObjectURL(storyImageUrl);
+    };
+  }, [storyImageUrl]);
+
+  useEffect(() => {
+    return () => {
+      for (const { imageUrl } of storyPanels ?? []) {
+        if (imageUrl?.startsWith("blob:")) URL.revokeObjectURL(imageUrl);
+      }
+    };
+  }, [storyPanels]);
 
   // Determine API URL: use localhost for local dev, empty string for production (relative paths)
   const apiUrl = import.meta.env.VITE_API_URL || 
     (import.meta.env.DEV ? "http://localhost:4040" : "");
 
-  // Handle image upload and text extraction/processing
-  const handleExtractAndProcess = async () => {
-    if (!imageDataUrl && !inputText.trim()) {
+  // Handle image upload and text extraction/processing.
+  // With regenerate, the server skips its cached results and writes a fresh story.
+  const handleExtractAndProcess = async (regenerate = false) => {
+    if (!images.length && !inputText.trim()) {
       alert("Please upload an image or enter text");
       return;
     }
 
-    // If image is provided, extract from image
-    if (imageDataUrl) {
-      await handleImageExtraction();
+    // If the images' text has been reviewed, write the story from the corrected text
+    if (ocrPages) {
+      await handleReviewedText(regenerate);
+    }
+    // If images are provided, extract from them
+    else if (images.length) {
+      await handleImageExtraction(regenerate);
     } 
     // If text is provided (and no image), process text directly
     else if (inputText.trim()) {
-      await handleTextProcessing();
+      await handleTextProcessing(regenerate);
+    }
+  };
+
+  // Extract and process from the image, or from each panel in order
+  const handleImageExtraction = (regenerate) =>
+    streamStory("/api/extract-and-process/stream", { images, ...storyOptions, language, regenerate });
+
+  // Write the story from the images and their reviewed text, which is used instead of reading them again
+  const handleReviewedText = (regenerate) =>
+    streamStory("/api/extract-and-process/stream", { images, pageTexts: ocrPages.map(reviewedText), ...storyOptions, language, regenerate });
+
+  // Process text directly (no image)
+  const handleTextProcessing = (regenerate) =>
+    streamStory("/api/process-text/stream", { text: inputText, ...storyOptions, language, regenerate });
+
+  // Read the images' text with per-block confidence, for review before a story is written from it
+  const handleExtractForReview = async () => {
+    setLoadingOcr(true);
+    try {
+      const resp = await apiFetch(`${apiUrl}/api/extract`, { method: "POST", body: await toFormData({ images }) });
+      const json = await resp.json();
+      if (!resp.ok) {
+        throw new Error(json?.error || `Server error: ${resp.status} ${resp.statusText}`);
+      }
+      setOcrPages(json.pages.map((page) => ({ ...page, maxTextLength: json.maxTextLength })));
+    } catch (err) {
+      console.error("Error:", err);
+      alert(`Error: ${err.message || "An unexpected error occurred"}`);
+    } finally {
+      setLoadingOcr(false);
     }
   };
 
-  // Extract and process from image
-  const handleImageExtraction = async () => {
+  // New or edited images need their text read again
+  const handleImagesChange = (next) => {
+    setImages(next);
+    setOcrPages(null);
+  };
+
+  // Stream the story from the server and render it as it is written.
+  // The server sends one JSON event per line (see backend/story/stream.js).
+  const streamStory = async (path, body) => {
+    const controller = new AbortController();
+    abortRef.current = controller;
 
     setLoadingExtract(true);
     setProcessedStory(null);
+    setStoryScript(null);
+    setStoryModeration(null);
+    setStoryStats(null);
     setExtractedText(null);
     setAudioData(null);
+    setWordTimings(null);
+    setStoryId(null);
+    setStoryImageUrl(null);
+    setStoryPanels(null);
+    setStoryLanguage(null);
     
     try {
-      const resp = await fetch(`${apiUrl}/api/extract-and-process`, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ image: imageDataUrl })
-      });
-      
-      const text = await resp.text();
+      // Images are uploaded as files; the browser sets the multipart Content-Type
+      const resp = await apiFetch(`${apiUrl}${path}`, body.images
+        ? { method: "POST", body: await toFormData(body), signal: controller.signal }
+        : {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify(body),
+          signal: controller.signal
+        });
       
-      if (!text) {
-        throw new Error("Empty response from server");
+      // Validation errors are returned as plain JSON before streaming starts
+      if (!resp.ok) {
+        const json = await resp.json().catch(() => null);
+        throw new Error(json?.error || `Server error: ${resp.status} ${resp.statusText}`);
       }
       
-      const contentType = resp.headers.get("content-type");
-      if (contentType && !contentType.includes("application/json")) {
-        throw new Error(`Unexpected content type: ${contentType}. Response: ${text.substring(0, 100)}`);
-      }
+      const reader = resp.body.getReader();
+      const decoder = new TextDecoder();
+      let buffered = "";
+      let story = "";
       
-      let json;
-      try {
-        json = JSON.parse(text);
-      } catch (parseErr) {
-        throw new Error(`Invalid JSON response: ${text.substring(0, 100)}`);
-      }
-      
-      if (!resp.ok) {
-        const errorMessage = json?.error || `Server error: ${resp.status} ${resp.statusText}`;
-        throw new Error(errorMessage);
+      for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        
+        buffered += decoder.decode(value, { stream: true });
+        const lines = buffered.split("\n");
+        buffered = lines.pop();
+        
+        for (const line of lines.filter(Boolean)) {
+          const event = JSON.parse(line);
+          if (event.type === "extracted") {
+            setExtractedText(event.text);
+          } else if (event.type === "chunk") {
+            story += event.text;
+            setProcessedStory(story);
+          } else if (event.type === "done") {
+            // The finished text can differ from the streamed one once the server has checked the script
+            setProcessedStory(event.processedStory);
+            setStoryScript(event.script ?? null);
+            setStoryModeration(event.moderation ?? null);
+            setStoryStats({ wordCount: event.wordCount, targetWords: event.targetWords });
+            setStoryId(event.storyId);
+            setStoryLanguage(event.language ?? null);
+            if (event.segments) {
+              setStoryPanels(event.segments.map((segment, i) => ({ imageUrl: body.images[i], segment })));
+            }
+          } else if (event.type === "error") {
+            throw new Error(event.error);
+          }
+        }
       }
-      
-      setExtractedText(json.extractedText);
-      setProcessedStory(json.processedStory);
     } catch (err) {
+      // The text streamed so far is dropped, so a story that was refused or
+      // failed can't be read or sent for a voiceover
+      setProcessedStory(null);
+      if (err.name === "AbortError") {
+        // Cancelled by the user - the server stops generating when the connection closes
+        return;
+      }
       console.error("Error:", err);
       const errorMsg = err.message || "An unexpected error occurred";
       alert(`Error: ${errorMsg}`);
     } finally {
+      abortRef.current = null;
       setLoadingExtract(false);
     }
   };
 
-  // Process text directly (no image)
-  const handleTextProcessing = async () => {
+  // Write and narrate the story as a background job, for stories too long to
+  // generate within one request. Shows the progress of each stage as it runs.
+  const handleStartJob = async () => {
+    const controller = new AbortController();
+    abortRef.current = controller;
+
     setLoadingExtract(true);
     setProcessedStory(null);
+    setStoryScript(null);
+    setStoryModeration(null);
+    setStoryStats(null);
     setExtractedText(null);
     setAudioData(null);
-    
+    setWordTimings(null);
+    setStoryId(null);
+    setStoryImageUrl(null);
+    setStoryPanels(null);
+    setStoryLanguage(null);
+
     try {
-      const resp = await fetch(`${apiUrl}/api/process-text`, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ text: inputText })
-      });
-      
-      const text = await resp.text();
-      
-      if (!text) {
-        throw new Error("Empty response from server");
-      }
-      
-      const contentType = resp.headers.get("content-type");
-      if (contentType && !contentType.includes("application/json")) {
-        throw new Error(`Unexpected content type: ${contentType}. Response: ${text.substring(0, 100)}`);
-      }
-      
-      let json;
-      try {
-        json = JSON.parse(text);
-      } catch (parseErr) {
-        throw new Error(`Invalid JSON response: ${text.substring(0, 100)}`);
-      }
-      
-      if (!resp.ok) {
-        const errorMessage = json?.error || `Server error: ${resp.status} ${resp.statusText}`;
-        throw new Error(errorMessage);
-      }
-      
-      setProcessedStory(json.processedStory);
+      const body = {
+        ...(ocrPages ? { images, pageTexts: ocrPages.map(reviewedText) } : images.length ? { images } : { text: inputText }),
+        ...storyOptions,
+        language,
+        voiceId,
+        ...(multiVoice && { multiVoice, voiceMap }),
+      };
+      const result = await runJob(apiUrl, body, { signal: controller.signal, onStatus: setJob });
+
+      setExtractedText(result.extractedText ?? null);
+      setProcessedStory(result.processedStory);
+      setStoryScript(result.script ?? null);
+      setStoryModeration(result.moderation ?? null);
+      setStoryStats({ wordCount: result.wordCount, targetWords: result.targetWords });
+      setStoryId(result.storyId);
+      setStoryLanguage(result.language ?? null);
+      setStoryPanels(result.panels?.length > 1
+        ? result.panels.map((panel, i) => ({ imageUrl: images[i], segment: panel.segment }))
+        : null);
+      setAudioData({ audioUrl: `data:${result.audioMime};base64,${result.audioBase64}` });
+      setWordTimings(result.words);
     } catch (err) {
+      if (err.name === "AbortError") {
+        // Cancelled by the user - runJob cancels the job on the server too
+        return;
+      }
       console.error("Error:", err);
-      const errorMsg = err.message || "An unexpected error occurred";
-      alert(`Error: ${errorMsg}`);
+      alert(`Error: ${err.message || "An unexpected error occurred"}`);
     } finally {
+      abortRef.current = null;
+      setJob(null);
       setLoadingExtract(false);
     }
   };
 
-  // Handle voice generation with Eleven Labs
-  const handleGenerateVoice = async () => {
+  const handleCancel = () => {
+    abortRef.current?.abort();
+  };
+
+  // Word timings of a saved story's narration, or null if it has none
+  const fetchWordTimings = async (id) => {
+    try {
+      const resp = await apiFetch(`${apiUrl}/api/stories/${id}/timings`, { cache: "no-store" });
+      return resp.ok ? await resp.json() : null;
+    } catch (err) {
+      console.error("Error loading word timings:", err);
+      return null;
+    }
+  };
+
+  // Handle voice generation - audio is streamed and starts playing while it downloads
+  const handleGenerateVoice = async (regenerate = false) => {
     if (!processedStory) {
       alert("Please process text or image first");
       return;
@@ -141,46 +316,45 @@ export default function App(){
 
     setLoadingVoice(true);
     setAudioData(null);
+    setWordTimings(null);
     
     try {
-      const resp = await fetch(`${apiUrl}/api/generate-voice`, {
+      const resp = await apiFetch(`${apiUrl}/api/generate-voice/stream`, {
         method: "POST",
         headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ text: processedStory })
+        body: JSON.stringify({
+          text: processedStory,
+          storyId,
+          voiceId,
+          language: storyLanguage ?? undefined,
+          regenerate,
+          ...(multiVoice && { multiVoice, voiceMap }),
+        })
       });
       
-      const text = await resp.text();
-      
-      if (!text) {
-        throw new Error("Empty response from server");
-      }
-      
-      const contentType = resp.headers.get("content-type");
-      if (contentType && !contentType.includes("application/json")) {
-        throw new Error(`Unexpected content type: ${contentType}`);
-      }
-      
-      let json;
-      try {
-        json = JSON.parse(text);
-      } catch (parseErr) {
-        throw new Error(`Invalid JSON response: ${text.substring(0, 100)}`);
-      }
-      
       if (!resp.ok) {
-        const errorMessage = json?.error || `Server error: ${resp.status} ${resp.statusText}`;
+        const text = await resp.text();
+        let errorMessage;
+        try {
+          errorMessage = JSON.parse(text).error;
+        } catch {
+          errorMessage = text;
+        }
         
         if (resp.status === 429) {
           throw new Error(errorMessage || "Service is temporarily unavailable due to high demand. Please wait a moment and try again.");
         }
         
-        throw new Error(errorMessage);
+        throw new Error(errorMessage || `Server error: ${resp.status} ${resp.statusText}`);
       }
       
-      setAudioData({
-        audioBase64: json.audioBase64,
-        audioMime: json.audioMime
-      });
+      const { url, complete } = await streamAudio(resp);
+      setAudioData({ audioUrl: url });
+      await complete;
+      // Timings for read-along are saved with the story once the audio is complete
+      if (storyId) {
+        setWordTimings(await fetchWordTimings(storyId));
+      }
     } catch (err) {
       console.error("Error:", err);
       const errorMsg = err.message || "An unexpected error occurred";
@@ -190,66 +364,295 @@ export default function App(){
     }
   };
 
+  // Translate the current story into the selected language. The translation is
+  // saved as a new library story, so it needs its own narration.
+  const handleTranslate = async () => {
+    setTranslating(true);
+    try {
+      const resp = await apiFetch(`${apiUrl}/api/translate`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ text: processedStory, language, storyId }),
+      });
+      const json = await resp.json();
+      if (!resp.ok) {
+        throw new Error(json?.error || `Server error: ${resp.status} ${resp.statusText}`);
+      }
+
+      setProcessedStory(json.translatedStory);
+      setStoryScript(null);
+      setStoryModeration(null);
+      setStoryStats((stats) => stats && { ...stats, wordCount: json.wordCount });
+      setStoryId(json.storyId);
+      setStoryLanguage(json.language);
+      setStoryPanels(null);
+      setAudioData(null);
+      setWordTimings(null);
+    } catch (err) {
+      console.error("Error:", err);
+      alert(`Error: ${err.message || "An unexpected error occurred"}`);
+    } finally {
+      setTranslating(false);
+    }
+  };
+
+  // Reopen a story saved in the library, with its image and narration
+  const handleOpenStory = async (id) => {
+    try {
+      const resp = await apiFetch(`${apiUrl}/api/stories/${id}`);
+      const json = await resp.json();
+      if (!resp.ok) {
+        throw new Error(json?.error || `Server error: ${resp.status} ${resp.statusText}`);
+      }
+
+      // The opened story has no images, so close the text review of the previous ones
+      handleImagesChange([]);
+      setInputText(json.sourceText || "");
+      setExtractedText(json.extractedText);
+      setProcessedStory(json.story);
+      setStoryScript(json.script ?? null);
+      setStoryModeration(null);
+      setStoryStats({ wordCount: json.wordCount, targetWords: json.options.targetWords });
+      setStoryId(json.id);
+      setStoryLanguage(json.options.language ?? null);
+      const storyUrl = `${apiUrl}/api/stories/${json.id}`;
+      setStoryImageUrl(json.hasImage ? await fetchObjectUrl(`${storyUrl}/image`) : null);
+      setStoryPanels(json.panels.length > 1
+        ? await Promise.all(json.panels.map(async (panel) => ({
+          imageUrl: await fetchObjectUrl(`${storyUrl}/panels/${panel.position}`),
+          segment: panel.segment,
+        })))
+        : null);
+      setAudioData(json.hasAudio ? { audioUrl: await fetchObjectUrl(`${storyUrl}/audio`) } : null);
+      setWordTimings(json.hasTimings ? await fetchWordTimings(json.id) : null);
+      setView("create");
+    } catch (err) {
+      console.error("Error:", err);
+      alert(`Error: ${err.message || "An unexpected error occurred"}`);
+    }
+  };
+
   return (
     <>
       <Header />
       <div className="app-container">
         <div className="app">
-          <ImageUpload
-            imageDataUrl={imageDataUrl}
-            onChange={setImageDataUrl}
-          />
-
-          <div className="controls">
-            <textarea
-              value={inputText}
-              onChange={(e)=>setInputText(e.target.value)}
-              placeholder="Or enter text directly (optional if using image)..."
-              rows={5}
-            />
-            <button 
-              onClick={handleExtractAndProcess} 
-              disabled={loadingExtract || (!imageDataUrl && !inputText.trim())}
-              className="extract-button"
+          <div className="view-tabs">
+            <button
+              className={view === "create" ? "active" : ""}
+              onClick={() => setView("create")}
+            >
+              Create
+            </button>
+            <button
+              className={view === "library" ? "active" : ""}
+              onClick={() => setView("library")}
             >
-              {loadingExtract 
-                ? (imageDataUrl ? "Extracting & Processing..." : "Processing...") 
-                : (imageDataUrl ? "Extract Text & Process" : "Process Text")}
+              Library
+            </button>
+            <button
+              className={view === "account" ? "active" : ""}
+              onClick={() => setView("account")}
+            >
+              Account
             </button>
           </div>
 
-          {extractedText && (
-            <div className="extracted-text-section">
-              <h3>Extracted Text (Raw)</h3>
-              <div className="text-preview">
-                <p>{extractedText}</p>
-              </div>
-            </div>
-          )}
+          {view === "library" ? (
+            <StoryLibrary apiUrl={apiUrl} onOpen={handleOpenStory} />
+          ) : view === "account" ? (
+            <Account apiUrl={apiUrl} />
+          ) : (
+            <>
+              <ImageUpload
+                images={images}
+                onChange={handleImagesChange}
+              />
 
-          {processedStory && (
-            <div className="processed-story-section">
-              <h3>✨ Generated Story</h3>
-              <div className="story-text-display">
-                <p>{processedStory}</p>
+              <div className="controls">
+                <textarea
+                  value={inputText}
+                  onChange={(e)=>setInputText(e.target.value)}
+                  placeholder="Or enter text directly (optional if using image)..."
+                  rows={5}
+                />
+                <StoryOptions
+                  options={storyOptions}
+                  onChange={setStoryOptions}
+                  disabled={loadingExtract}
+                />
+                <label className="language-select">
+                  Story language
+                  <select
+                    value={language}
+                    onChange={(e) => setLanguage(e.target.value)}
+                    disabled={loadingExtract}
+                  >
+                    <option value="">Same as the text (detected)</option>
+                    {LANGUAGES.map(({ code, name }) => (
+                      <option key={code} value={code}>{name}</option>
+                    ))}
+                  </select>
+                </label>
+                <button 
+                  onClick={() => handleExtractAndProcess()} 
+                  disabled={loadingExtract || (!images.length && !inputText.trim())}
+                  className="extract-button"
+                >
+                  {loadingExtract 
+                    ? (images.length && !ocrPages ? "Extracting & Processing..." : "Processing...") 
+                    : (ocrPages ? "Process Reviewed Text" : images.length ? "Extract Text & Process" : "Process Text")}
+                </button>
+                {!loadingExtract && images.length > 0 && !ocrPages && (
+                  <button
+                    onClick={handleExtractForReview}
+                    disabled={loadingOcr}
+                    className="review-button"
+                    title="Check and correct the text read from the images before the story is written"
+                  >
+                    {loadingOcr ? "Reading Text..." : "Extract Text to Review First"}
+                  </button>
+                )}
+                {!loadingExtract && (
+                  <button
+                    onClick={handleStartJob}
+                    disabled={!images.length && !inputText.trim()}
+                    className="job-button"
+                    title="Runs on the server, so long stories aren't cut off"
+                  >
+                    Write & Narrate in the Background
+                  </button>
+                )}
+                {job && <JobProgress job={job} />}
+                {loadingExtract && (
+                  <button onClick={handleCancel} className="cancel-button">
+                    Cancel
+                  </button>
+                )}
               </div>
-              <button 
-                onClick={handleGenerateVoice} 
-                disabled={loadingVoice}
-                className="voice-button"
-              >
-                {loadingVoice ? "Generating Voiceover..." : "Send to Eleven Labs for Voiceover"}
-              </button>
-            </div>
-          )}
 
-          {audioData && processedStory && (
-            <StoryPlayer
-              imageDataUrl={imageDataUrl}
-              storyText={processedStory}
-              audioBase64={audioData.audioBase64}
-              audioMime={audioData.audioMime}
-            />
+              {ocrPages && (
+                <OcrReview
+                  images={images}
+                  pages={ocrPages}
+                  onChange={setOcrPages}
+                  onGenerate={() => handleExtractAndProcess()}
+                  onClose={() => setOcrPages(null)}
+                  disabled={loadingExtract}
+                />
+              )}
+
+              {extractedText && !ocrPages && (
+                <div className="extracted-text-section">
+                  <h3>Extracted Text (Raw)</h3>
+                  <div className="text-preview">
+                    <p>{extractedText}</p>
+                  </div>
+                  {images.length > 0 && !loadingExtract && (
+                    <button
+                      onClick={handleExtractForReview}
+                      disabled={loadingOcr}
+                      className="regenerate-button"
+                      title="Check the text block by block and write the story again from the corrected text"
+                    >
+                      {loadingOcr ? "Reading Text..." : "Correct the extracted text"}
+                    </button>
+                  )}
+                </div>
+              )}
+
+              {processedStory && (
+                <div className="processed-story-section">
+                  <h3>✨ Generated Story</h3>
+                  <div className="story-text-display">
+                    {storyScript && !loadingExtract
+                      ? <StoryScript script={storyScript} />
+                      : <p>{processedStory}</p>}
+                  </div>
+                  {storyStats && (
+                    <p className={`story-stats ${isTargetMet(storyStats) ? "target-met" : "target-missed"}`}>
+                      {storyStats.wordCount} words (target: {storyStats.targetWords})
+                      {isTargetMet(storyStats) ? " ✓" : " - outside the target length"}
+                    </p>
+                  )}
+                  {storyModeration && !loadingExtract && (
+                    <p className="story-moderation">{storyModeration.message}</p>
+                  )}
+                  {!loadingExtract && (
+                    <button
+                      onClick={() => handleExtractAndProcess(true)}
+                      disabled={translating || loadingVoice}
+                      className="regenerate-button"
+                      title="Write a new story instead of reusing the saved result"
+                    >
+                      Regenerate story
+                    </button>
+                  )}
+                  {!loadingExtract && language && storyLanguage !== language && (
+                    <button
+                      onClick={handleTranslate}
+                      disabled={translating || loadingVoice}
+                      className="translate-button"
+                    >
+                      {translating ? "Translating..." : `Translate to ${languageName(language)}`}
+                    </button>
+                  )}
+                  {!loadingExtract && (
+                    <VoiceCast
+                      apiUrl={apiUrl}
+                      storyText={processedStory}
+                      enabled={multiVoice}
+                      onToggle={setMultiVoice}
+                      voiceMap={voiceMap}
+                      onChange={setVoiceMap}
+                      disabled={loadingVoice}
+                    />
+                  )}
+                  {!loadingExtract && (
+                    <div className="voice-controls">
+                      {!multiVoice && (
+                        <VoicePicker
+                          apiUrl={apiUrl}
+                          value={voiceId}
+                          onChange={setVoiceId}
+                          disabled={loadingVoice}
+                        />
+                      )}
+                      <button 
+                        onClick={() => handleGenerateVoice()} 
+                        disabled={loadingVoice}
+                        className="voice-button"
+                      >
+                        {loadingVoice ? "Generating Voiceover..." : "Send to Eleven Labs for Voiceover"}
+                      </button>
+                      {audioData && (
+                        <button
+                          onClick={() => handleGenerateVoice(true)}
+                          disabled={loadingVoice}
+                          className="regenerate-button"
+                          title="Record the narration again instead of reusing the saved audio"
+                        >
+                          Regenerate voiceover
+                        </button>
+                      )}
+                    </div>
+                  )}
+                </div>
+              )}
+
+              {audioData && processedStory && (
+                <StoryPlayer
+                  apiUrl={apiUrl}
+                  storyId={storyId}
+                  language={storyLanguage}
+                  imageDataUrl={images[0] || storyImageUrl}
+                  panels={storyPanels}
+                  storyText={processedStory}
+                  audioUrl={audioData.audioUrl}
+                  words={wordTimings}
+                />
+              )}
+            </>
           )}
         </div>
       </div>
@@ -257,3 +660,8 @@ export default function App(){
     </>
   );
 }
+
+// A story counts as on target when it is within 20% of the requested length
+function isTargetMet({ wordCount, targetWords }) {
+  return Math.abs(wordCount - targetWords) <= targetWords * 0.2;
+}
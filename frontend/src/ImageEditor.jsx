@@ -0,0 +1,226 @@
+import React, { useEffect, useRef, useState } from "react";
+import { DEFAULT_EDITS, FULL_CORNERS, TARGET_SIZES, boundingCorners, drawRotated, editImage, loadImage } from "./imageEdit";
+
+// Longest side of the preview canvas; edits are applied to the full image on save
+const PREVIEW_DIMENSION = 720;
+
+// Smallest crop, as a fraction of the width or height
+const MIN_CROP = 0.05;
+
+function clamp(value) {
+  return Math.min(1, Math.max(0, value));
+}
+
+// Moves one corner of a rectangular crop, taking its neighbours along
+function moveCropCorner(corners, index, { x, y }) {
+  let { x: left, y: top } = corners[0];
+  let { x: right, y: bottom } = corners[2];
+  if (index === 0 || index === 3) left = Math.min(x, right - MIN_CROP);
+  else right = Math.max(x, left + MIN_CROP);
+  if (index < 2) top = Math.min(y, bottom - MIN_CROP);
+  else bottom = Math.max(y, top + MIN_CROP);
+  return [{ x: left, y: top }, { x: right, y: top }, { x: right, y: bottom }, { x: left, y: bottom }];
+}
+
+// Edits one image before upload: rotate and straighten, crop or fit the
+// page corners, brightness and contrast, and the file size to compress to.
+// `src` is a data or object URL; onSave gets the edited image as a data URL.
+// Render it with `key={src}` so each image starts with fresh edits.
+export default function ImageEditor({ src, label, targetBytes, onTargetBytesChange, onSave, onDiscard }) {
+  const [image, setImage] = useState(null);
+  const [loadFailed, setLoadFailed] = useState(false);
+  const [edits, setEdits] = useState(DEFAULT_EDITS);
+  const [cropMode, setCropMode] = useState("rectangle");
+  const [previewSize, setPreviewSize] = useState({ width: 1, height: 1 });
+  const [saving, setSaving] = useState(false);
+  const canvasRef = useRef(null);
+  const overlayRef = useRef(null);
+  const dragRef = useRef(null);
+  const { turns, angle } = edits;
+
+  useEffect(() => {
+    let cancelled = false;
+    loadImage(src)
+      .then((loaded) => !cancelled && setImage(loaded))
+      .catch(() => !cancelled && setLoadFailed(true));
+    return () => {
+      cancelled = true;
+    };
+  }, [src]);
+
+  // The preview shows the rotation; crop corners and brightness/contrast are drawn over it
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!image || !canvas) return;
+    const rotated = drawRotated(image, { turns, angle }, PREVIEW_DIMENSION);
+    canvas.width = rotated.width;
+    canvas.height = rotated.height;
+    canvas.getContext("2d").drawImage(rotated, 0, 0);
+    setPreviewSize({ width: rotated.width, height: rotated.height });
+  }, [image, turns, angle]);
+
+  // Corners are fractions of the rotated image, so rotating starts the crop over
+  const rotate = (change) => setEdits((current) => ({ ...current, ...change, corners: FULL_CORNERS }));
+
+  const update = (field) => (e) => setEdits((current) => ({ ...current, [field]: Number(e.target.value) }));
+
+  const changeCropMode = (e) => {
+    setCropMode(e.target.value);
+    if (e.target.value === "rectangle") {
+      setEdits((current) => ({ ...current, corners: boundingCorners(current.corners) }));
+    }
+  };
+
+  const pointerPosition = (e) => {
+    const box = overlayRef.current.getBoundingClientRect();
+    return { x: clamp((e.clientX - box.left) / box.width), y: clamp((e.clientY - box.top) / box.height) };
+  };
+
+  const startDrag = (index) => (e) => {
+    e.currentTarget.setPointerCapture(e.pointerId);
+    dragRef.current = index;
+  };
+
+  const drag = (e) => {
+    const index = dragRef.current;
+    if (index === null) return;
+    const point = pointerPosition(e);
+    setEdits((current) => ({
+      ...current,
+      corners: cropMode === "rectangle"
+        ? moveCropCorner(current.corners, index, point)
+        : current.corners.map((corner, i) => (i === index ? point : corner)),
+    }));
+  };
+
+  const endDrag = () => {
+    dragRef.current = null;
+  };
+
+  const save = async (applied) => {
+    setSaving(true);
+    try {
+      onSave(await editImage(src, applied, targetBytes));
+    } catch (err) {
+      console.error("Image editing failed:", err);
+      alert("The image couldn't be prepared. Please try again.");
+      setSaving(false);
+    }
+  };
+
+  const reset = () => {
+    setEdits(DEFAULT_EDITS);
+    setCropMode("rectangle");
+  };
+
+  if (loadFailed) {
+    return (
+      <div className="image-editor">
+        <p className="file-upload-status">
+          {label}: this file couldn't be opened as an image. Try a JPEG or PNG photo.
+        </p>
+        <div className="image-editor-actions">
+          <button type="button" className="image-editor-secondary" onClick={onDiscard}>
+            Discard
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  const { width, height } = previewSize;
+  const handleRadius = Math.max(width, height) * 0.025;
+  const points = edits.corners.map(({ x, y }) => `${x * width},${y * height}`).join(" ");
+
+  return (
+    <div className="image-editor">
+      <p className="file-upload-status">{label}</p>
+      <div className="image-editor-preview">
+        <canvas
+          ref={canvasRef}
+          style={{ filter: `brightness(${edits.brightness}) contrast(${edits.contrast})` }}
+        />
+        {image && (
+          <svg ref={overlayRef} viewBox={`0 0 ${width} ${height}`} preserveAspectRatio="none">
+            <polygon points={points} />
+            {edits.corners.map(({ x, y }, i) => (
+              <circle
+                key={i}
+                cx={x * width}
+                cy={y * height}
+                r={handleRadius}
+                onPointerDown={startDrag(i)}
+                onPointerMove={drag}
+                onPointerUp={endDrag}
+                onPointerCancel={endDrag}
+              />
+            ))}
+          </svg>
+        )}
+      </div>
+      <div className="image-editor-controls">
+        <div className="image-editor-rotate">
+          <button type="button" onClick={() => rotate({ turns: (turns + 3) % 4 })} disabled={!image} title="Rotate left">
+            ⟲
+          </button>
+          <button type="button" onClick={() => rotate({ turns: (turns + 1) % 4 })} disabled={!image} title="Rotate right">
+            ⟳
+          </button>
+        </div>
+        <label>
+          Straighten ({angle}°)
+          <input
+            type="range"
+            min={-15}
+            max={15}
+            step={0.5}
+            value={angle}
+            onChange={(e) => rotate({ angle: Number(e.target.value) })}
+            disabled={!image}
+          />
+        </label>
+        <label>
+          Crop
+          <select value={cropMode} onChange={changeCropMode} disabled={!image}>
+            <option value="rectangle">Rectangle</option>
+            <option value="corners">Page corners (fix perspective)</option>
+          </select>
+        </label>
+        <label>
+          Brightness
+          <input type="range" min={0.5} max={1.5} step={0.05} value={edits.brightness} onChange={update("brightness")} disabled={!image} />
+        </label>
+        <label>
+          Contrast
+          <input type="range" min={0.5} max={2} step={0.05} value={edits.contrast} onChange={update("contrast")} disabled={!image} />
+        </label>
+        <label>
+          File size
+          <select value={targetBytes} onChange={(e) => onTargetBytesChange(Number(e.target.value))}>
+            {TARGET_SIZES.map(({ value, label: sizeLabel }) => (
+              <option key={value} value={value}>{sizeLabel}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+      <p className="image-editor-hint">
+        Drag the corners to crop{cropMode === "corners" ? " - put them on the corners of the page to flatten it" : ""}.
+        Rotating starts the crop over.
+      </p>
+      <div className="image-editor-actions">
+        <button type="button" onClick={() => save(edits)} disabled={!image || saving}>
+          {saving ? "Preparing..." : "Use Image"}
+        </button>
+        <button type="button" className="image-editor-secondary" onClick={() => save(DEFAULT_EDITS)} disabled={!image || saving}>
+          Use Without Edits
+        </button>
+        <button type="button" className="image-editor-secondary" onClick={reset} disabled={!image || saving}>
+          Reset
+        </button>
+        <button type="button" className="image-editor-secondary" onClick={onDiscard} disabled={saving}>
+          Discard
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -1,41 +1,202 @@
-import React, { useRef } from "react";
+import React, { useEffect, useRef, useState } from "react";
+import ImageEditor from "./ImageEditor";
+import { TARGET_SIZES } from "./imageEdit";
 
-export default function ImageUpload({ imageDataUrl, onChange }) {
+// Keep in sync with MAX_PANELS in backend/story/panels.js
+const MAX_PANELS = 12;
+
+// Phones and tablets get a button that opens the camera directly
+const HAS_CAMERA = typeof window !== "undefined" && window.matchMedia?.("(pointer: coarse)").matches;
+
+function imageFiles(fileList) {
+  return Array.from(fileList || []).filter((file) => file.type.startsWith("image/"));
+}
+
+// Upload for one image or an ordered set of comic panels / book pages.
+// `images` is an array of data URLs in reading order. New images - picked,
+// taken with the camera, dropped or pasted - go through the editor one at a
+// time before they reach onChange.
+export default function ImageUpload({ images, onChange }) {
   const fileInputRef = useRef(null);
+  const cameraInputRef = useRef(null);
+  // Images waiting for the editor: { src, index } - index is the panel an
+  // edit replaces, or null for a new one. Object URLs are revoked when done.
+  const [pending, setPending] = useState([]);
+  const [targetBytes, setTargetBytes] = useState(TARGET_SIZES[1].value);
+  const [dragging, setDragging] = useState(false);
+
+  const addFiles = (files) => {
+    if (files.length === 0) return;
+    const room = MAX_PANELS - images.length - pending.filter(({ index }) => index === null).length;
+    if (files.length > room) {
+      alert(`You can upload up to ${MAX_PANELS} panels or pages. Only the first ${MAX_PANELS} were kept.`);
+    }
+    const added = files.slice(0, Math.max(0, room)).map((file) => ({ src: URL.createObjectURL(file), index: null }));
+    setPending((current) => [...current, ...added]);
+  };
+
+  // Images pasted anywhere on the page are added; pasted text is left alone
+  useEffect(() => {
+    const handlePaste = (e) => {
+      const files = imageFiles(e.clipboardData?.files);
+      if (files.length === 0) return;
+      e.preventDefault();
+      addFiles(files);
+    };
+    window.addEventListener("paste", handlePaste);
+    return () => window.removeEventListener("paste", handlePaste);
+  });
+
+  const handleFiles = (e) => {
+    const files = imageFiles(e.target.files);
+    e.target.value = ""; // allow picking the same file again
+    addFiles(files);
+  };
+
+  const handleDragOver = (e) => {
+    e.preventDefault();
+    setDragging(true);
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setDragging(false);
+    addFiles(imageFiles(e.dataTransfer.files));
+  };
+
+  const finishEditing = () => {
+    const [current] = pending;
+    if (current.src.startsWith("blob:")) URL.revokeObjectURL(current.src);
+    setPending((queue) => queue.slice(1));
+  };
 
-  const handleFile = (e) => {
-    const file = e.target.files?.[0];
-    if (!file) return;
-    const reader = new FileReader();
-    reader.onload = () => onChange(reader.result);
-    reader.readAsDataURL(file);
+  const handleSave = (dataUrl) => {
+    const { index } = pending[0];
+    onChange(index === null ? [...images, dataUrl] : images.map((image, i) => (i === index ? dataUrl : image)));
+    finishEditing();
+  };
+
+  const edit = (index) => {
+    setPending((current) => [...current, { src: images[index], index }]);
+  };
+
+  const move = (index, offset) => {
+    const next = [...images];
+    const [image] = next.splice(index, 1);
+    next.splice(index + offset, 0, image);
+    onChange(next);
+  };
+
+  const remove = (index) => {
+    onChange(images.filter((_, i) => i !== index));
   };
 
   const handleButtonClick = () => {
     fileInputRef.current?.click();
   };
 
+  const full = images.length + pending.filter(({ index }) => index === null).length >= MAX_PANELS;
+  const editing = pending[0];
+
   return (
-    <div className="image-upload">
+    <div
+      className={`image-upload${dragging ? " dragging" : ""}`}
+      onDragOver={handleDragOver}
+      onDragLeave={(e) => !e.currentTarget.contains(e.relatedTarget) && setDragging(false)}
+      onDrop={handleDrop}
+    >
       <input
         ref={fileInputRef}
         type="file"
         accept="image/*"
-        onChange={handleFile}
+        multiple
+        onChange={handleFiles}
       />
-      <button
-        type="button"
-        className="file-upload-button"
-        onClick={handleButtonClick}
-      >
-        {imageDataUrl ? "Change Image" : "Choose Image to Upload"}
-      </button>
-      {imageDataUrl ? (
+      <input
+        ref={cameraInputRef}
+        type="file"
+        accept="image/*"
+        capture="environment"
+        onChange={handleFiles}
+      />
+      <div className="image-upload-buttons">
+        <button
+          type="button"
+          className="file-upload-button"
+          onClick={handleButtonClick}
+          disabled={full}
+        >
+          {images.length ? "Add More Panels or Pages" : "Choose Images to Upload"}
+        </button>
+        {HAS_CAMERA && (
+          <button
+            type="button"
+            className="file-upload-button"
+            onClick={() => cameraInputRef.current?.click()}
+            disabled={full}
+          >
+            Take a Photo
+          </button>
+        )}
+      </div>
+      {editing && (
+        <ImageEditor
+          key={editing.src}
+          src={editing.src}
+          label={editing.index === null
+            ? `New image${pending.length > 1 ? ` (${pending.length - 1} more waiting)` : ""}`
+            : `Panel ${editing.index + 1}`}
+          targetBytes={targetBytes}
+          onTargetBytesChange={setTargetBytes}
+          onSave={handleSave}
+          onDiscard={finishEditing}
+        />
+      )}
+      {/* Panels can't be moved or removed while one is being edited, so the editor's index stays right */}
+      {!editing && images.length === 1 && (
         <div className="image-preview">
-          <img src={imageDataUrl} alt="uploaded" />
+          <img src={images[0]} alt="uploaded" />
+          <button type="button" className="panel-edit" onClick={() => edit(0)} title="Edit image">
+            ✎
+          </button>
+          <button type="button" className="panel-remove" onClick={() => remove(0)} title="Remove image">
+            ✕
+          </button>
+        </div>
+      )}
+      {!editing && images.length > 1 && (
+        <>
+          <p className="file-upload-status">
+            {images.length} panels - the story will follow them in this order.
+          </p>
+          <ol className="panel-list">
+            {images.map((image, i) => (
+              <li key={i} className="panel-item">
+                <img src={image} alt={`panel ${i + 1}`} />
+                <span className="panel-number">{i + 1}</span>
+                <div className="panel-actions">
+                  <button type="button" onClick={() => move(i, -1)} disabled={i === 0} title="Move earlier">
+                    ←
+                  </button>
+                  <button type="button" onClick={() => move(i, 1)} disabled={i === images.length - 1} title="Move later">
+                    →
+                  </button>
+                  <button type="button" onClick={() => edit(i)} title="Edit panel">
+                    ✎
+                  </button>
+                  <button type="button" onClick={() => remove(i)} title="Remove panel">
+                    ✕
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ol>
+        </>
+      )}
+      {!editing && images.length === 0 && (
+        <div className="file-upload-status">
+          No image uploaded yet. Pick, drop or paste several to tell a story across comic panels or book pages.
         </div>
-      ) : (
-        <div className="file-upload-status">No image uploaded yet.</div>
       )}
     </div>
   );
@@ -0,0 +1,36 @@
+import React from "react";
+
+const STAGE_LABELS = {
+  extracting: "Reading the images",
+  writing: "Writing the story",
+  narrating: "Recording the narration",
+};
+
+// Stage-by-stage progress of a background job, from the job status returned
+// by /api/jobs/:id. Stages without measurable progress show an indeterminate bar.
+export default function JobProgress({ job }) {
+  return (
+    <div className="job-progress">
+      <p className="job-status">
+        {job.status === "queued" ? "Waiting for a free worker..." : "Working on it in the background..."}
+      </p>
+      <ol>
+        {job.stages.map((stage) => (
+          <li key={stage.name} className={`job-stage ${stage.status}`}>
+            <span className="job-stage-label">
+              {stage.status === "done" ? "✓ " : ""}
+              {STAGE_LABELS[stage.name] || stage.name}
+            </span>
+            {stage.status === "running" && (
+              <progress
+                value={stage.progress ?? undefined}
+                max={1}
+                aria-label={STAGE_LABELS[stage.name] || stage.name}
+              />
+            )}
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+}
@@ -0,0 +1,89 @@
+import React, { useRef, useState } from "react";
+import { reviewedText } from "./ocr";
+
+// Review of the text read from the images (see backend/story/ocr.js) before a
+// story is written from it. Each block can be corrected; blocks the model was
+// unsure of are highlighted in the list and over the image until edited.
+// `pages` is the `pages` array of /api/extract, one per image in `images`,
+// each with the `maxTextLength` the story is written from; longer text is
+// flagged, as the rest would be left out.
+export default function OcrReview({ images, pages, onChange, onGenerate, onClose, disabled }) {
+  const [active, setActive] = useState(null);
+  const textareaRefs = useRef({});
+
+  const needsReview = (block) => block.lowConfidence && !block.edited;
+  const remaining = pages.reduce((count, { blocks }) => count + blocks.filter(needsReview).length, 0);
+
+  const updateBlock = (pageIndex, blockIndex, text) => {
+    onChange(pages.map((page, p) => (p !== pageIndex ? page : {
+      ...page,
+      blocks: page.blocks.map((block, b) => (b === blockIndex ? { ...block, text, edited: true } : block)),
+    })));
+  };
+
+  return (
+    <div className="ocr-review">
+      <h3>Review Extracted Text</h3>
+      <p className="ocr-review-hint">
+        {remaining
+          ? `${remaining} highlighted ${remaining === 1 ? "passage was" : "passages were"} hard to read - check ${remaining === 1 ? "it" : "them"} against the image before writing the story.`
+          : "Correct anything that was misread, then write the story."}
+      </p>
+      {pages.map((page, p) => (
+        <div key={p} className="ocr-page">
+          <div className="ocr-image">
+            <img src={images[p]} alt={`page ${p + 1}`} />
+            {page.blocks.map((block, b) => block.box && (
+              <button
+                key={b}
+                type="button"
+                className={`ocr-box${needsReview(block) ? " low-confidence" : ""}${active === `${p}-${b}` ? " active" : ""}`}
+                style={{
+                  left: `${block.box.x * 100}%`,
+                  top: `${block.box.y * 100}%`,
+                  width: `${block.box.width * 100}%`,
+                  height: `${block.box.height * 100}%`,
+                }}
+                onClick={() => textareaRefs.current[`${p}-${b}`]?.focus()}
+                title={`${Math.round(block.confidence * 100)}% sure`}
+              />
+            ))}
+          </div>
+          <ol className="ocr-blocks">
+            {page.blocks.map((block, b) => (
+              <li key={b} className={needsReview(block) ? "low-confidence" : ""}>
+                <textarea
+                  ref={(element) => {
+                    textareaRefs.current[`${p}-${b}`] = element;
+                  }}
+                  value={block.text}
+                  onChange={(e) => updateBlock(p, b, e.target.value)}
+                  onFocus={() => setActive(`${p}-${b}`)}
+                  onBlur={() => setActive(null)}
+                  rows={Math.min(6, block.text.split("\n").length + 1)}
+                  disabled={disabled}
+                />
+                <span className="ocr-confidence">
+                  {block.edited ? "Edited" : `${Math.round(block.confidence * 100)}% sure`}
+                </span>
+              </li>
+            ))}
+          </ol>
+          {reviewedText(page).length > page.maxTextLength && (
+            <p className="ocr-too-long">
+              {`This page's text is ${reviewedText(page).length} characters long, but only the first ${page.maxTextLength} are used for the story. Shorten it to keep what matters.`}
+            </p>
+          )}
+        </div>
+      ))}
+      <div className="ocr-review-actions">
+        <button onClick={onGenerate} disabled={disabled} className="extract-button">
+          Generate Story from This Text
+        </button>
+        <button onClick={onClose} disabled={disabled} className="ocr-review-close">
+          Close Review
+        </button>
+      </div>
+    </div>
+  );
+}
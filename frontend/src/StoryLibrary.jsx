@@ -0,0 +1,108 @@
+import React, { useEffect, useState } from "react";
+import { apiFetch } from "./api";
+
+const PAGE_SIZE = 10;
+
+export default function StoryLibrary({ apiUrl, onOpen }) {
+  const [stories, setStories] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [page, setPage] = useState(1);
+  const [search, setSearch] = useState("");
+  const [query, setQuery] = useState("");
+  const [loading, setLoading] = useState(false);
+  const [reloadKey, setReloadKey] = useState(0);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    const params = new URLSearchParams({ page, pageSize: PAGE_SIZE });
+    if (query) params.set("q", query);
+
+    setLoading(true);
+    apiFetch(`${apiUrl}/api/stories?${params}`, { signal: controller.signal })
+      .then(async (resp) => {
+        const json = await resp.json();
+        if (!resp.ok) throw new Error(json?.error || `Server error: ${resp.status}`);
+        setStories(json.stories);
+        setTotal(json.total);
+      })
+      .catch((err) => {
+        if (err.name !== "AbortError") {
+          console.error("Error:", err);
+          alert(`Error: ${err.message}`);
+        }
+      })
+      .finally(() => setLoading(false));
+
+    return () => controller.abort();
+  }, [apiUrl, page, query, reloadKey]);
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    setPage(1);
+    setQuery(search.trim());
+  };
+
+  const handleDelete = async (story) => {
+    if (!confirm(`Delete "${story.title}"?`)) return;
+    try {
+      const resp = await apiFetch(`${apiUrl}/api/stories/${story.id}`, { method: "DELETE" });
+      if (!resp.ok) {
+        const json = await resp.json().catch(() => null);
+        throw new Error(json?.error || `Server error: ${resp.status}`);
+      }
+      setReloadKey((key) => key + 1);
+    } catch (err) {
+      console.error("Error:", err);
+      alert(`Error: ${err.message}`);
+    }
+  };
+
+  const pageCount = Math.max(1, Math.ceil(total / PAGE_SIZE));
+
+  return (
+    <div className="story-library">
+      <form className="library-search" onSubmit={handleSearch}>
+        <input
+          type="search"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          placeholder="Search your stories..."
+        />
+        <button type="submit">Search</button>
+      </form>
+
+      {loading && <p className="library-status">Loading...</p>}
+      {!loading && stories.length === 0 && (
+        <p className="library-status">
+          {query ? "No stories match your search." : "No saved stories yet. Create one to get started!"}
+        </p>
+      )}
+
+      <ul className="library-list">
+        {stories.map((story) => (
+          <li key={story.id} className="library-item">
+            <div className="library-item-info">
+              <strong>{story.title}</strong>
+              <span>
+                {new Date(story.createdAt).toLocaleString()} · {story.wordCount} words
+                {story.hasAudio ? " · 🔊" : ""}
+              </span>
+            </div>
+            <div className="library-item-actions">
+              <button onClick={() => onOpen(story.id)}>Open</button>
+              <button className="library-delete" onClick={() => handleDelete(story)}>Delete</button>
+            </div>
+          </li>
+        ))}
+      </ul>
+
+      {pageCount > 1 && (
+        <div className="library-pagination">
+          <button disabled={page <= 1} onClick={() => setPage(page - 1)}>Previous</button>
+          <span>Page {page} of {pageCount}</span>
+          <button disabled={page >= pageCount} onClick={() => setPage(page + 1)}>Next</button>
+        </div>
+      )}
+    </div>
+  );
+}
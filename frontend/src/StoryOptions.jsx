@@ -0,0 +1,87 @@
+import React from "react";
+
+// Keep in sync with backend/story/options.js
+const GENRES = [
+  "adventure", "fantasy", "fairy tale", "fable", "mystery",
+  "science fiction", "comedy", "animal story", "bedtime story", "historical",
+];
+
+const TONES = [
+  "whimsical", "heartwarming", "funny", "exciting", "suspenseful", "calm", "spooky",
+];
+
+const AGE_GROUPS = [
+  { value: "toddler", label: "Toddlers (2-4)" },
+  { value: "early-reader", label: "Early readers (5-7)" },
+  { value: "children", label: "Children (8-10)" },
+  { value: "preteen", label: "Preteens (11-13)" },
+  { value: "teen", label: "Teens" },
+  { value: "adult", label: "Adults" },
+];
+
+const POINTS_OF_VIEW = [
+  { value: "first", label: "First person" },
+  { value: "third", label: "Third person" },
+];
+
+export default function StoryOptions({ options, onChange, disabled }) {
+  const update = (field) => (e) => onChange({ ...options, [field]: e.target.value });
+
+  return (
+    <div className="story-options">
+      <label>
+        Length
+        <div className="story-options-length">
+          <input
+            type="number"
+            min={options.lengthUnit === "minutes" ? 0.5 : 10}
+            step={options.lengthUnit === "minutes" ? 0.5 : 10}
+            value={options.length}
+            onChange={update("length")}
+            disabled={disabled}
+          />
+          <select value={options.lengthUnit} onChange={update("lengthUnit")} disabled={disabled}>
+            <option value="words">words</option>
+            <option value="minutes">minutes</option>
+          </select>
+        </div>
+      </label>
+      <label>
+        Genre
+        <select value={options.genre} onChange={update("genre")} disabled={disabled}>
+          <option value="">Any</option>
+          {GENRES.map((genre) => (
+            <option key={genre} value={genre}>{genre}</option>
+          ))}
+        </select>
+      </label>
+      <label>
+        Tone
+        <select value={options.tone} onChange={update("tone")} disabled={disabled}>
+          <option value="">Any</option>
+          {TONES.map((tone) => (
+            <option key={tone} value={tone}>{tone}</option>
+          ))}
+        </select>
+      </label>
+      <label>
+        Audience
+        <select value={options.ageGroup} onChange={update("ageGroup")} disabled={disabled}>
+          <option value="">Any</option>
+          {AGE_GROUPS.map(({ value, label }) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+      </label>
+      <label>
+        Point of view
+        <select value={options.pointOfView} onChange={update("pointOfView")} disabled={disabled}>
+          <option value="">Any</option>
+          {POINTS_OF_VIEW.map(({ value, label }) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+      </label>
+    </div>
+  );
+}
@@ -1,12 +1,27 @@
-import React, { useRef, useEffect } from "react";
+import React, { useRef, useEffect, useMemo, useState } from "react";
+import { alignWords, findActiveToken, segmentStartTimes, findActiveSegment } from "./readAlong";
+import VideoExport from "./VideoExport";
+import { apiFetch, downloadFile } from "./api";
 
-export default function StoryPlayer({ imageDataUrl, storyText, audioBase64, audioMime }) {
+// Plays the narration with read-along highlighting. With `panels`
+// ([{ imageUrl, segment }]) it becomes a slideshow that shows each panel
+// while its segment of the story is read. Saved stories (`storyId`) with word
+// timings get captions, and can be downloaded as an EPUB audiobook or a video.
+export default function StoryPlayer({ apiUrl, storyId, language, imageDataUrl, storyText, audioUrl, words, panels }) {
   const audioRef = useRef();
-
-  // Convert base64 to blob URL
-  const audioUrl = audioBase64
-    ? URL.createObjectURL(base64ToBlob(audioBase64, audioMime))
-    : null;
+  const trackRef = useRef();
+  const [captionsUrl, setCaptionsUrl] = useState(null);
+  const [caption, setCaption] = useState("");
+  const [showCaptions, setShowCaptions] = useState(true);
+  const [activeToken, setActiveToken] = useState(-1);
+  const [activePanel, setActivePanel] = useState(0);
+  const [duration, setDuration] = useState(null);
+  const tokens = useMemo(() => alignWords(storyText, words), [storyText, words]);
+  const panelStarts = useMemo(() => {
+    if (!panels) return null;
+    const segments = panels.every((panel) => panel.segment) ? panels.map((panel) => panel.segment) : null;
+    return segmentStartTimes(tokens, segments, panels.length, duration);
+  }, [tokens, panels, duration]);
 
   useEffect(() => {
     if (audioRef.current && audioUrl) {
@@ -14,31 +29,182 @@ export default function StoryPlayer({ imageDataUrl, storyText, audioBase64, audi
       audioRef.current.load();
       audioRef.current.play().catch(()=>{/* autoplay might be blocked */});
     }
+    setActivePanel(0);
   }, [audioUrl]);
 
+  // The captions are loaded as a blob so the <track> works when the API is on another origin
+  useEffect(() => {
+    setCaptionsUrl(null);
+    setCaption("");
+    if (!storyId || !words) return;
+
+    const controller = new AbortController();
+    let url = null;
+    apiFetch(`${apiUrl}/api/stories/${storyId}/captions?format=vtt`, { signal: controller.signal, cache: "no-store" })
+      .then(async (resp) => {
+        if (!resp.ok) throw new Error(`Server error: ${resp.status}`);
+        url = URL.createObjectURL(await resp.blob());
+        setCaptionsUrl(url);
+      })
+      .catch((err) => {
+        if (err.name !== "AbortError") console.error("Error loading captions:", err);
+      });
+    return () => {
+      controller.abort();
+      if (url) URL.revokeObjectURL(url);
+    };
+  }, [apiUrl, storyId, words]);
+
+  // Links still work without a session (anonymous stories); clicking downloads with it
+  const download = (fileName) => (e) => {
+    e.preventDefault();
+    downloadFile(e.currentTarget.href, fileName).catch((err) => {
+      console.error("Error downloading file:", err);
+      alert(`Error: ${err.message || "An unexpected error occurred"}`);
+    });
+  };
+
+  // Browsers don't draw captions for <audio>, so the track stays hidden and the
+  // current cue is shown below the player instead
+  useEffect(() => {
+    const track = trackRef.current?.track;
+    if (!track) return;
+    track.mode = "hidden";
+    const update = () => setCaption(track.activeCues?.[0]?.text ?? "");
+    track.addEventListener("cuechange", update);
+    return () => track.removeEventListener("cuechange", update);
+  }, [captionsUrl]);
+
+  // Follow playback every frame - timeupdate fires too rarely for word-by-word highlighting
+  useEffect(() => {
+    const audio = audioRef.current;
+    if (!audio || (!words && !panelStarts)) return;
+
+    let frame = null;
+    const update = () => {
+      if (words) setActiveToken(findActiveToken(tokens, audio.currentTime));
+      if (panelStarts) setActivePanel(findActiveSegment(panelStarts, audio.currentTime));
+    };
+    const tick = () => {
+      update();
+      frame = requestAnimationFrame(tick);
+    };
+    const start = () => {
+      cancelAnimationFrame(frame);
+      tick();
+    };
+    const stop = () => cancelAnimationFrame(frame);
+    const reset = () => {
+      stop();
+      setActiveToken(-1);
+    };
+    const updateDuration = () => setDuration(audio.duration);
+
+    audio.addEventListener("play", start);
+    audio.addEventListener("pause", stop);
+    audio.addEventListener("seeked", update);
+    audio.addEventListener("ended", reset);
+    audio.addEventListener("durationchange", updateDuration);
+    if (!audio.paused) start();
+
+    return () => {
+      stop();
+      audio.removeEventListener("play", start);
+      audio.removeEventListener("pause", stop);
+      audio.removeEventListener("seeked", update);
+      audio.removeEventListener("ended", reset);
+      audio.removeEventListener("durationchange", updateDuration);
+    };
+  }, [tokens, words, panelStarts, audioUrl]);
+
+  const seekTo = (time) => {
+    const audio = audioRef.current;
+    if (!audio) return;
+    audio.currentTime = time;
+    audio.play().catch(() => {});
+  };
+
+  const showPanel = (index) => {
+    setActivePanel(index);
+    if (panelStarts) seekTo(panelStarts[index]);
+  };
+
   return (
     <div className="story-player">
-      {imageDataUrl && <img src={imageDataUrl} alt="panel" />}
+      {panels ? (
+        <div className="slideshow">
+          <img src={panels[activePanel]?.imageUrl} alt={`panel ${activePanel + 1}`} />
+          <div className="slideshow-controls">
+            <button type="button" onClick={() => showPanel(activePanel - 1)} disabled={activePanel === 0}>
+              ←
+            </button>
+            <div className="slideshow-dots">
+              {panels.map((_, i) => (
+                <button
+                  key={i}
+                  type="button"
+                  className={i === activePanel ? "active" : ""}
+                  onClick={() => showPanel(i)}
+                  title={`Panel ${i + 1}`}
+                />
+              ))}
+            </div>
+            <button type="button" onClick={() => showPanel(activePanel + 1)} disabled={activePanel === panels.length - 1}>
+              →
+            </button>
+          </div>
+        </div>
+      ) : (
+        imageDataUrl && <img src={imageDataUrl} alt="panel" />
+      )}
       <div className="story-text">
         <h3>Narration</h3>
-        <p>{storyText}</p>
+        {words ? (
+          <p className="read-along">
+            {tokens.map((token, i) => token.timing ? (
+              <span
+                key={i}
+                className={i === activeToken ? "read-along-word active" : "read-along-word"}
+                onClick={() => seekTo(token.timing.start)}
+              >
+                {token.text}
+              </span>
+            ) : token.text)}
+          </p>
+        ) : (
+          <p>{storyText}</p>
+        )}
       </div>
       {audioUrl && (
-        <audio ref={audioRef} controls>
-          <source src={audioUrl} type={audioMime} />
+        <audio ref={audioRef} src={audioUrl} controls>
+          {captionsUrl && (
+            <track ref={trackRef} kind="captions" src={captionsUrl} srcLang={language || "en"} label="Captions" default />
+          )}
           Your browser does not support audio.
         </audio>
       )}
+      {audioUrl && captionsUrl && (
+        <div className="captions">
+          {showCaptions && <p className="captions-text" aria-live="polite">{caption}</p>}
+          <div className="captions-controls">
+            <button type="button" onClick={() => setShowCaptions((shown) => !shown)}>
+              {showCaptions ? "Hide captions" : "Show captions"}
+            </button>
+            <a href={`${apiUrl}/api/stories/${storyId}/captions?format=vtt&download=1`} onClick={download("story-captions.vtt")}>
+              Download .vtt
+            </a>
+            <a href={`${apiUrl}/api/stories/${storyId}/captions?format=srt&download=1`} onClick={download("story-captions.srt")}>
+              Download .srt
+            </a>
+          </div>
+        </div>
+      )}
+      {audioUrl && storyId && words && (
+        <a className="epub-download" href={`${apiUrl}/api/export/epub?storyId=${storyId}`} onClick={download("story.epub")}>
+          Download EPUB audiobook
+        </a>
+      )}
+      {audioUrl && storyId && <VideoExport apiUrl={apiUrl} storyId={storyId} />}
     </div>
   );
 }
-
-function base64ToBlob(base64, mime) {
-  const bstr = atob(base64);
-  let n = bstr.length;
-  const u8arr = new Uint8Array(n);
-  while (n--) {
-    u8arr[n] = bstr.charCodeAt(n);
-  }
-  return new Blob([u8arr], { type: mime });
-}
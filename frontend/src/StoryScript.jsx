@@ -0,0 +1,44 @@
+import React from "react";
+
+// Speaker of narration lines (see backend/story/script.js)
+const NARRATOR = "narrator";
+
+// A story script - title, logline, characters and scenes of narration and
+// dialogue - formatted like a play
+export default function StoryScript({ script }) {
+  return (
+    <div className="story-script">
+      <h2 className="script-title">{script.title}</h2>
+      {script.logline && <p className="script-logline">{script.logline}</p>}
+
+      {script.characters.length > 0 && (
+        <dl className="script-characters">
+          {script.characters.map((character) => (
+            <div key={character.name}>
+              <dt>{character.name}</dt>
+              {character.description && <dd>{character.description}</dd>}
+            </div>
+          ))}
+        </dl>
+      )}
+
+      {script.scenes.map((scene, i) => (
+        <section key={i} className="script-scene">
+          <h4>
+            Scene {i + 1}{scene.heading && ` - ${scene.heading}`}
+          </h4>
+          {scene.lines.map((line, j) =>
+            line.speaker === NARRATOR ? (
+              <p key={j} className="script-narration">{line.text}</p>
+            ) : (
+              <p key={j} className="script-dialogue">
+                <span className="script-speaker">{line.speaker}</span>
+                {line.text}
+              </p>
+            )
+          )}
+        </section>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,76 @@
+import React, { useEffect, useState } from "react";
+import { apiFetch } from "./api";
+
+// Sums metered units of one kind across providers, e.g. "inputTokens"
+// adds up "gemini:inputTokens" and "openai:inputTokens"
+function sumUnits(units, kind) {
+  return Object.entries(units)
+    .filter(([unit]) => unit.endsWith(`:${kind}`))
+    .reduce((sum, [, amount]) => sum + amount, 0);
+}
+
+function formatCost(cost, currency) {
+  return cost.toLocaleString(undefined, { style: "currency", currency, maximumFractionDigits: 4 });
+}
+
+// The last 30 days of metered requests from /api/usage: model tokens,
+// narration characters, latency and estimated cost per day
+export default function UsagePanel({ apiUrl, reloadKey }) {
+  const [report, setReport] = useState(null);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    apiFetch(`${apiUrl}/api/usage`, { signal: controller.signal, cache: "no-store" })
+      .then((resp) => (resp.ok ? resp.json() : null))
+      .then(setReport)
+      .catch((err) => {
+        if (err.name !== "AbortError") {
+          console.error("Error:", err);
+        }
+      });
+    return () => controller.abort();
+  }, [apiUrl, reloadKey]);
+
+  if (!report) return null;
+
+  const rows = [...report.days.map((day) => ({ label: day.day, ...day })), { label: "Total", ...report.totals }];
+
+  return (
+    <div className="account-usage">
+      <h3>Usage since {report.from}</h3>
+      {report.days.length === 0 ? (
+        <p className="account-hint">Nothing generated yet.</p>
+      ) : (
+        <table className="usage-table">
+          <thead>
+            <tr>
+              <th>Day</th>
+              <th>Requests</th>
+              <th>Failed</th>
+              <th>Avg. time</th>
+              <th>Tokens in / out</th>
+              <th>Characters</th>
+              <th>Est. cost</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((row) => (
+              <tr key={row.label} className={row.label === "Total" ? "usage-total" : undefined}>
+                <td>{row.label}</td>
+                <td>{row.requests.toLocaleString()}</td>
+                <td>{row.errors.toLocaleString()}</td>
+                <td>{(row.averageLatencyMs / 1000).toFixed(1)} s</td>
+                <td>
+                  {sumUnits(row.units, "inputTokens").toLocaleString()} / {sumUnits(row.units, "outputTokens").toLocaleString()}
+                </td>
+                <td>{sumUnits(row.units, "characters").toLocaleString()}</td>
+                <td>{formatCost(row.estimatedCost, report.currency)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      <p className="account-hint">Costs are estimates from the configured prices; cached results are free.</p>
+    </div>
+  );
+}
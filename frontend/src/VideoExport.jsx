@@ -0,0 +1,88 @@
+import React, { useState } from "react";
+import { apiFetch } from "./api";
+
+const ASPECT_RATIOS = [
+  { value: "square", label: "Square (1:1)" },
+  { value: "portrait", label: "Portrait (9:16)" },
+  { value: "landscape", label: "Landscape (16:9)" },
+];
+
+const SUBTITLE_MODES = [
+  { value: "burned", label: "Subtitles on the video" },
+  { value: "soft", label: "Subtitles as a track" },
+  { value: "none", label: "No subtitles" },
+];
+
+// Renders the saved story to an MP4 on the server and downloads it
+export default function VideoExport({ apiUrl, storyId }) {
+  const [aspectRatio, setAspectRatio] = useState("square");
+  const [panZoom, setPanZoom] = useState(true);
+  const [subtitles, setSubtitles] = useState("burned");
+  const [exporting, setExporting] = useState(false);
+
+  const handleExport = async () => {
+    setExporting(true);
+    try {
+      const resp = await apiFetch(`${apiUrl}/api/export/video`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ storyId, aspectRatio, panZoom, subtitles }),
+      });
+      if (!resp.ok) {
+        const json = await resp.json().catch(() => null);
+        throw new Error(json?.error || `Server error: ${resp.status}`);
+      }
+
+      const url = URL.createObjectURL(await resp.blob());
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = `story-${aspectRatio}.mp4`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error("Error exporting video:", err);
+      alert(`Error: ${err.message || "An unexpected error occurred"}`);
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <div className="video-export">
+      <select
+        value={aspectRatio}
+        onChange={(e) => setAspectRatio(e.target.value)}
+        disabled={exporting}
+        aria-label="Video shape"
+      >
+        {ASPECT_RATIOS.map((option) => (
+          <option key={option.value} value={option.value}>{option.label}</option>
+        ))}
+      </select>
+      <select
+        value={subtitles}
+        onChange={(e) => setSubtitles(e.target.value)}
+        disabled={exporting}
+        aria-label="Subtitles"
+      >
+        {SUBTITLE_MODES.map((option) => (
+          <option key={option.value} value={option.value}>{option.label}</option>
+        ))}
+      </select>
+      <label className="video-export-option">
+        <input
+          type="checkbox"
+          checked={panZoom}
+          onChange={(e) => setPanZoom(e.target.checked)}
+          disabled={exporting}
+        />
+        Slow zoom
+      </label>
+      <button type="button" onClick={handleExport} disabled={exporting}>
+        {exporting ? "Rendering video..." : "Download video"}
+      </button>
+    </div>
+  );
+}
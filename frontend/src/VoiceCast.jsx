@@ -0,0 +1,80 @@
+import React, { useEffect, useState } from "react";
+import { apiFetch } from "./api";
+
+const NARRATOR = "narrator";
+
+// Multi-voice toggle with a voice picker per speaking character.
+// Voices are suggested by the backend and can be changed before narrating.
+export default function VoiceCast({ apiUrl, storyText, enabled, onToggle, voiceMap, onChange, disabled }) {
+  const [cast, setCast] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    if (!enabled) return;
+    const controller = new AbortController();
+
+    setLoading(true);
+    apiFetch(`${apiUrl}/api/voice-cast`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ text: storyText }),
+      signal: controller.signal,
+    })
+      .then(async (resp) => {
+        const json = await resp.json();
+        if (!resp.ok) throw new Error(json?.error || `Server error: ${resp.status}`);
+        setCast({ characters: json.characters, voices: json.voices });
+        onChange(json.voiceMap);
+      })
+      .catch((err) => {
+        if (err.name !== "AbortError") {
+          console.error("Error:", err);
+          alert(`Error: ${err.message}`);
+        }
+      })
+      .finally(() => setLoading(false));
+
+    return () => controller.abort();
+  }, [apiUrl, storyText, enabled, onChange]);
+
+  const speakers = cast ? [NARRATOR, ...cast.characters] : [];
+
+  return (
+    <div className="voice-cast">
+      <label className="voice-cast-toggle">
+        <input
+          type="checkbox"
+          checked={enabled}
+          onChange={(e) => onToggle(e.target.checked)}
+          disabled={disabled}
+        />
+        Use a different voice for each character
+      </label>
+
+      {enabled && loading && <p className="voice-cast-status">Finding characters...</p>}
+      {enabled && !loading && cast && (
+        <>
+          {cast.characters.length === 0 && (
+            <p className="voice-cast-status">No dialogue found - the narrator will read the whole story.</p>
+          )}
+          <div className="voice-cast-list">
+            {speakers.map((speaker) => (
+              <label key={speaker}>
+                {speaker === NARRATOR ? "Narrator" : speaker}
+                <select
+                  value={voiceMap[speaker] || ""}
+                  onChange={(e) => onChange({ ...voiceMap, [speaker]: e.target.value })}
+                  disabled={disabled}
+                >
+                  {cast.voices.map((voice) => (
+                    <option key={voice.id} value={voice.id}>{voice.name}</option>
+                  ))}
+                </select>
+              </label>
+            ))}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
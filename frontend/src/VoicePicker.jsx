@@ -0,0 +1,81 @@
+import React, { useEffect, useRef, useState } from "react";
+import { apiFetch } from "./api";
+
+function voiceLabel(voice) {
+  const details = [voice.language, voice.gender].filter(Boolean).join(", ");
+  return details ? `${voice.name} (${details})` : voice.name;
+}
+
+// Voice selector with a play button for the voice's sample.
+// value is null until the catalogue loads, then the provider's default voice.
+export default function VoicePicker({ apiUrl, value, onChange, disabled }) {
+  const [voices, setVoices] = useState([]);
+  const [playing, setPlaying] = useState(false);
+  const previewRef = useRef(null);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    apiFetch(`${apiUrl}/api/voices`, { signal: controller.signal })
+      .then(async (resp) => {
+        const json = await resp.json();
+        if (!resp.ok) throw new Error(json?.error || `Server error: ${resp.status}`);
+        setVoices(json.voices);
+        onChange((current) => current ?? json.defaultVoiceId);
+      })
+      .catch((err) => {
+        if (err.name !== "AbortError") console.error("Error loading voices:", err);
+      });
+    return () => controller.abort();
+  }, [apiUrl, onChange]);
+
+  // Stop the sample when the picker goes away
+  useEffect(() => () => previewRef.current?.pause(), []);
+
+  const handlePreview = () => {
+    previewRef.current?.pause();
+    if (playing) {
+      setPlaying(false);
+      return;
+    }
+
+    const voice = voices.find((v) => v.id === value);
+    if (!voice?.previewUrl) return;
+    // Synthesized previews are served by the backend, hosted ones by the provider
+    const url = voice.previewUrl.startsWith("/") ? `${apiUrl}${voice.previewUrl}` : voice.previewUrl;
+    const audio = new Audio(url);
+    audio.onended = () => setPlaying(false);
+    audio.onerror = () => setPlaying(false);
+    previewRef.current = audio;
+    setPlaying(true);
+    audio.play().catch(() => setPlaying(false));
+  };
+
+  if (voices.length === 0) return null;
+
+  return (
+    <div className="voice-picker">
+      <select
+        value={value ?? ""}
+        onChange={(e) => {
+          previewRef.current?.pause();
+          setPlaying(false);
+          onChange(e.target.value);
+        }}
+        disabled={disabled}
+        aria-label="Narration voice"
+      >
+        {voices.map((voice) => (
+          <option key={voice.id} value={voice.id}>{voiceLabel(voice)}</option>
+        ))}
+      </select>
+      <button
+        type="button"
+        onClick={handlePreview}
+        className="voice-preview-button"
+        title={playing ? "Stop sample" : "Play a sample of this voice"}
+      >
+        {playing ? "■ Stop" : "▶ Preview"}
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,81 @@
+// fetch() for API requests: adds the session token of the signed-in user, so
+// requests count against their quota instead of the shared one of their IP
+// address. The token is kept in localStorage between visits.
+
+const TOKEN_KEY = "storyai.sessionToken";
+
+export function getSessionToken() {
+  return localStorage.getItem(TOKEN_KEY);
+}
+
+export function setSessionToken(token) {
+  if (token) {
+    localStorage.setItem(TOKEN_KEY, token);
+  } else {
+    localStorage.removeItem(TOKEN_KEY);
+  }
+}
+
+export async function apiFetch(url, options = {}) {
+  const token = getSessionToken();
+  const resp = await fetch(url, token
+    ? { ...options, headers: { ...options.headers, Authorization: `Bearer ${token}` } }
+    : options);
+  // A session that expired or was signed out elsewhere is dropped, so the next request goes through anonymously
+  if (resp.status === 401 && token) {
+    setSessionToken(null);
+  }
+  return resp;
+}
+
+// Saved stories and their files are only served to whoever saved them, so
+// images, audio and downloads go through apiFetch too rather than a plain
+// <img src> or link, which would be sent without the session token.
+
+// Fetches a file from the API and returns an object URL for it; revoke it when done
+export async function fetchObjectUrl(url) {
+  const resp = await apiFetch(url);
+  if (!resp.ok) {
+    const json = await resp.json().catch(() => null);
+    throw new Error(json?.error || `Server error: ${resp.status}`);
+  }
+  return URL.createObjectURL(await resp.blob());
+}
+
+// Downloads a file from the API, named by the server's Content-Disposition or else `fileName`
+export async function downloadFile(url, fileName) {
+  const resp = await apiFetch(url, { cache: "no-store" });
+  if (!resp.ok) {
+    const json = await resp.json().catch(() => null);
+    throw new Error(json?.error || `Server error: ${resp.status}`);
+  }
+  const objectUrl = URL.createObjectURL(await resp.blob());
+  const link = document.createElement("a");
+  link.href = objectUrl;
+  link.download = resp.headers.get("Content-Disposition")?.match(/filename="([^"]+)"/)?.[1] || fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(objectUrl);
+}
+
+// A request body as multipart/form-data, with the data URLs in `images` sent
+// as image files, which are smaller than base64 in JSON. Empty values are left
+// out, as the server treats them as unset anyway.
+export async function toFormData(body) {
+  const form = new FormData();
+  for (const [name, value] of Object.entries(body)) {
+    if (name === "images") {
+      for (const [i, dataUrl] of value.entries()) {
+        const blob = await (await fetch(dataUrl)).blob();
+        form.append("images", blob, `image-${i + 1}`);
+      }
+    } else if (Array.isArray(value)) {
+      // Lists of text, such as pageTexts, go as JSON
+      form.append(name, JSON.stringify(value));
+    } else if (value !== null && value !== undefined && value !== "") {
+      form.append(name, String(value));
+    }
+  }
+  return form;
+}
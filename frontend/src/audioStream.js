@@ -0,0 +1,52 @@
+// Turns a streamed audio response into something an <audio> element can
+// start playing before the download finishes.
+//
+// MP3 is fed into a MediaSource as it arrives. Formats MediaSource cannot
+// play (e.g. WAV from the local TTS engine) are downloaded in full first.
+//
+// Returns { url, complete } - `complete` resolves with the full audio Blob
+// once the last byte has been received.
+export async function streamAudio(resp) {
+  const mime = resp.headers.get("content-type")?.split(";")[0] || "audio/mpeg";
+
+  if (!window.MediaSource || !MediaSource.isTypeSupported(mime)) {
+    const blob = await resp.blob();
+    return { url: URL.createObjectURL(blob), complete: Promise.resolve(blob) };
+  }
+
+  const mediaSource = new MediaSource();
+  const url = URL.createObjectURL(mediaSource);
+
+  // "sourceopen" fires once the URL has been attached to an <audio> element
+  const complete = new Promise((resolve, reject) => {
+    mediaSource.addEventListener("sourceopen", async () => {
+      try {
+        const sourceBuffer = mediaSource.addSourceBuffer(mime);
+        const reader = resp.body.getReader();
+        const chunks = [];
+
+        for (;;) {
+          const { done, value } = await reader.read();
+          if (done) break;
+          chunks.push(value);
+          await appendChunk(sourceBuffer, value);
+        }
+
+        mediaSource.endOfStream();
+        resolve(new Blob(chunks, { type: mime }));
+      } catch (err) {
+        reject(err);
+      }
+    }, { once: true });
+  });
+
+  return { url, complete };
+}
+
+function appendChunk(sourceBuffer, chunk) {
+  return new Promise((resolve, reject) => {
+    sourceBuffer.addEventListener("updateend", resolve, { once: true });
+    sourceBuffer.addEventListener("error", reject, { once: true });
+    sourceBuffer.appendBuffer(chunk);
+  });
+}
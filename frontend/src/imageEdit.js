@@ -0,0 +1,231 @@
+// Image editing in the browser before upload: rotation and deskew, crop or
+// perspective correction from four corners, brightness/contrast, and
+// compression to a target file size. Works on canvases, so phone photos are
+// shrunk before they are sent rather than after.
+
+// Keep in sync with VISION_MAX_DIMENSION in backend/story/images.js: larger
+// images are downscaled by the server anyway
+export const MAX_DIMENSION = 2048;
+
+// Photos are rotated and cropped at up to twice the upload size, so a crop
+// of part of a large photo keeps its detail
+const WORK_DIMENSION = MAX_DIMENSION * 2;
+
+// Smallest side compression shrinks an image to before giving up on the target size
+const MIN_DIMENSION = 512;
+
+// File sizes an edited image is compressed to
+export const TARGET_SIZES = [
+  { value: 300 * 1024, label: "Small (300 KB)" },
+  { value: 1024 * 1024, label: "Medium (1 MB)" },
+  { value: 3 * 1024 * 1024, label: "Large (3 MB)" },
+];
+
+const JPEG_QUALITIES = [0.92, 0.85, 0.75, 0.65, 0.5];
+
+// Corners of the whole image: top left, top right, bottom right, bottom left,
+// as fractions of the width and height
+export const FULL_CORNERS = [
+  { x: 0, y: 0 },
+  { x: 1, y: 0 },
+  { x: 1, y: 1 },
+  { x: 0, y: 1 },
+];
+
+export const DEFAULT_EDITS = {
+  turns: 0, // Quarter turns clockwise
+  angle: 0, // Deskew in degrees
+  corners: FULL_CORNERS,
+  brightness: 1,
+  contrast: 1,
+};
+
+// Loads an image from a data or object URL. Browsers apply the EXIF
+// orientation when drawing it, so sideways phone photos start upright.
+export async function loadImage(src) {
+  const image = new Image();
+  image.src = src;
+  await image.decode();
+  return image;
+}
+
+function createCanvas(width, height) {
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.max(1, Math.round(width));
+  canvas.height = Math.max(1, Math.round(height));
+  return canvas;
+}
+
+// Draws the image rotated by `turns` quarter turns and `angle` degrees,
+// scaled to fit `maxDimension`. A deskewed image gets white corners; the
+// crop removes them.
+export function drawRotated(image, { turns, angle }, maxDimension) {
+  const radians = ((turns * 90 + angle) * Math.PI) / 180;
+  const cos = Math.abs(Math.cos(radians));
+  const sin = Math.abs(Math.sin(radians));
+  const width = image.naturalWidth * cos + image.naturalHeight * sin;
+  const height = image.naturalWidth * sin + image.naturalHeight * cos;
+  const scale = Math.min(1, maxDimension / Math.max(width, height));
+
+  const canvas = createCanvas(width * scale, height * scale);
+  const ctx = canvas.getContext("2d");
+  ctx.fillStyle = "white";
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.translate(canvas.width / 2, canvas.height / 2);
+  ctx.rotate(radians);
+  ctx.scale(scale, scale);
+  ctx.drawImage(image, -image.naturalWidth / 2, -image.naturalHeight / 2);
+  return canvas;
+}
+
+export function isRectangle(corners) {
+  const [topLeft, topRight, bottomRight, bottomLeft] = corners;
+  return topLeft.y === topRight.y && bottomLeft.y === bottomRight.y
+    && topLeft.x === bottomLeft.x && topRight.x === bottomRight.x;
+}
+
+// The rectangle around the corners, as corners
+export function boundingCorners(corners) {
+  const xs = corners.map(({ x }) => x);
+  const ys = corners.map(({ y }) => y);
+  const [left, right, top, bottom] = [Math.min(...xs), Math.max(...xs), Math.min(...ys), Math.max(...ys)];
+  return [{ x: left, y: top }, { x: right, y: top }, { x: right, y: bottom }, { x: left, y: bottom }];
+}
+
+function distance(a, b) {
+  return Math.hypot(a.x - b.x, a.y - b.y);
+}
+
+// Projective mapping from the unit square to the quadrilateral p0..p3
+// (Heckbert's square-to-quad): returns (u, v) => { x, y }
+function squareToQuad([p0, p1, p2, p3]) {
+  const sx = p0.x - p1.x + p2.x - p3.x;
+  const sy = p0.y - p1.y + p2.y - p3.y;
+  let g = 0;
+  let h = 0;
+  if (Math.abs(sx) > 1e-9 || Math.abs(sy) > 1e-9) {
+    const dx1 = p1.x - p2.x;
+    const dx2 = p3.x - p2.x;
+    const dy1 = p1.y - p2.y;
+    const dy2 = p3.y - p2.y;
+    const den = dx1 * dy2 - dx2 * dy1;
+    g = (sx * dy2 - dx2 * sy) / den;
+    h = (dx1 * sy - sx * dy1) / den;
+  }
+  const a = p1.x - p0.x + g * p1.x;
+  const b = p3.x - p0.x + h * p3.x;
+  const d = p1.y - p0.y + g * p1.y;
+  const e = p3.y - p0.y + h * p3.y;
+  return (u, v) => {
+    const w = g * u + h * v + 1;
+    return { x: (a * u + b * v + p0.x) / w, y: (d * u + e * v + p0.y) / w };
+  };
+}
+
+// Straightens the quadrilateral `quad` (in source pixels) of `source` into
+// a width x height canvas, sampling bilinearly
+function warp(source, quad, width, height) {
+  const input = source.getContext("2d").getImageData(0, 0, source.width, source.height);
+  const output = createCanvas(width, height);
+  const ctx = output.getContext("2d");
+  const result = ctx.createImageData(output.width, output.height);
+  const map = squareToQuad(quad);
+  const { data: src, width: sw, height: sh } = input;
+  const dst = result.data;
+
+  for (let y = 0; y < output.height; y++) {
+    for (let x = 0; x < output.width; x++) {
+      const point = map((x + 0.5) / output.width, (y + 0.5) / output.height);
+      const fx = Math.min(Math.max(point.x - 0.5, 0), sw - 1);
+      const fy = Math.min(Math.max(point.y - 0.5, 0), sh - 1);
+      const x0 = Math.floor(fx);
+      const y0 = Math.floor(fy);
+      const x1 = Math.min(x0 + 1, sw - 1);
+      const y1 = Math.min(y0 + 1, sh - 1);
+      const tx = fx - x0;
+      const ty = fy - y0;
+      const out = (y * output.width + x) * 4;
+      for (let c = 0; c < 4; c++) {
+        const top = src[(y0 * sw + x0) * 4 + c] * (1 - tx) + src[(y0 * sw + x1) * 4 + c] * tx;
+        const bottom = src[(y1 * sw + x0) * 4 + c] * (1 - tx) + src[(y1 * sw + x1) * 4 + c] * tx;
+        dst[out + c] = top * (1 - ty) + bottom * ty;
+      }
+    }
+  }
+  ctx.putImageData(result, 0, 0);
+  return output;
+}
+
+// Brightness and contrast the way the CSS filters used for the preview apply
+// them: brightness multiplies, contrast stretches around the middle grey
+function adjust(canvas, { brightness, contrast }) {
+  if (brightness === 1 && contrast === 1) return;
+  const ctx = canvas.getContext("2d");
+  const pixels = ctx.getImageData(0, 0, canvas.width, canvas.height);
+  const { data } = pixels;
+  for (let i = 0; i < data.length; i += 4) {
+    for (let c = 0; c < 3; c++) {
+      data[i + c] = (data[i + c] * brightness - 128) * contrast + 128; // Clamped by the typed array
+    }
+  }
+  ctx.putImageData(pixels, 0, 0);
+}
+
+// Applies the edits to the image and returns a canvas of at most MAX_DIMENSION per side
+export function applyEdits(image, edits) {
+  const rotated = drawRotated(image, edits, WORK_DIMENSION);
+  const quad = edits.corners.map(({ x, y }) => ({ x: x * rotated.width, y: y * rotated.height }));
+  const [topLeft, topRight, bottomRight, bottomLeft] = quad;
+  const width = Math.max(distance(topLeft, topRight), distance(bottomLeft, bottomRight));
+  const height = Math.max(distance(topLeft, bottomLeft), distance(topRight, bottomRight));
+  const scale = Math.min(1, MAX_DIMENSION / Math.max(width, height));
+
+  let output;
+  if (isRectangle(edits.corners)) {
+    output = createCanvas(width * scale, height * scale);
+    output.getContext("2d").drawImage(rotated, topLeft.x, topLeft.y, width, height, 0, 0, output.width, output.height);
+  } else {
+    output = warp(rotated, quad, width * scale, height * scale);
+  }
+  adjust(output, edits);
+  return output;
+}
+
+function toBlob(canvas, quality) {
+  return new Promise((resolve) => canvas.toBlob(resolve, "image/jpeg", quality));
+}
+
+// Encodes the canvas as a JPEG of at most `targetBytes`, lowering the
+// quality first and then the size. Resolves with the smallest attempt if
+// even that is over the target.
+export async function compress(canvas, targetBytes) {
+  let current = canvas;
+  for (;;) {
+    let blob;
+    for (const quality of JPEG_QUALITIES) {
+      blob = await toBlob(current, quality);
+      if (blob.size <= targetBytes) return blob;
+    }
+    const scale = 0.75;
+    if (Math.min(current.width, current.height) * scale < MIN_DIMENSION) return blob;
+    const smaller = createCanvas(current.width * scale, current.height * scale);
+    smaller.getContext("2d").drawImage(current, 0, 0, smaller.width, smaller.height);
+    current = smaller;
+  }
+}
+
+export function readAsDataUrl(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+// Applies the edits to the image at `src` and resolves with a JPEG data URL
+// of at most `targetBytes`
+export async function editImage(src, edits, targetBytes) {
+  const image = await loadImage(src);
+  return readAsDataUrl(await compress(applyEdits(image, edits), targetBytes));
+}
@@ -0,0 +1,64 @@
+import { apiFetch } from "./api";
+
+// Runs a generation as a background job (see backend/routes/jobs.js): submits
+// it, polls its status and fetches the result once it is done.
+//
+// onStatus is called with every status the server reports, so the page can
+// show the progress of each stage. Aborting `signal` cancels the job on the
+// server too. Resolves with the job result; rejects when the job fails.
+
+const POLL_INTERVAL_MS = 1000;
+
+// Jobs need the long-running Express backend; serverless deployments have no /api/jobs
+const NO_JOBS_MESSAGE = "Background generation isn't available on this server. Please use the regular Process button instead.";
+
+export async function runJob(apiUrl, body, { signal, onStatus }) {
+  const job = await request(`${apiUrl}/api/jobs`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+    signal,
+  }, NO_JOBS_MESSAGE);
+  onStatus(job);
+
+  try {
+    let status = job;
+    while (status.status === "queued" || status.status === "running") {
+      await wait(POLL_INTERVAL_MS, signal);
+      status = await request(`${apiUrl}/api/jobs/${job.id}`, { cache: "no-store", signal });
+      onStatus(status);
+    }
+    if (status.status !== "done") {
+      throw new Error(status.error || `Job was ${status.status}`);
+    }
+    return await request(`${apiUrl}/api/jobs/${job.id}/result`, { signal });
+  } catch (err) {
+    if (err.name === "AbortError") {
+      // Stop the server from spending more on a result nobody is waiting for
+      apiFetch(`${apiUrl}/api/jobs/${job.id}/cancel`, { method: "POST" }).catch(() => {});
+    }
+    throw err;
+  }
+}
+
+async function request(url, options, notFoundMessage) {
+  const resp = await apiFetch(url, options);
+  const json = await resp.json().catch(() => null);
+  if (resp.status === 404 && notFoundMessage) {
+    throw new Error(notFoundMessage);
+  }
+  if (!resp.ok) {
+    throw new Error(json?.error || `Server error: ${resp.status} ${resp.statusText}`);
+  }
+  return json;
+}
+
+function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    signal.addEventListener("abort", () => {
+      clearTimeout(timer);
+      reject(new DOMException("Job cancelled", "AbortError"));
+    }, { once: true });
+  });
+}
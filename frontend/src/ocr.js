@@ -0,0 +1,7 @@
+// Helpers for the text read from images for review (see OcrReview and
+// backend/story/ocr.js)
+
+// The corrected text of one page, as the story is written from it
+export function reviewedText({ blocks }) {
+  return blocks.map(({ text }) => text.trim()).filter(Boolean).join("\n\n");
+}
@@ -0,0 +1,87 @@
+// Read-along helpers: match the backend's word timings ([{ word, start, end }])
+// to the story text as displayed, and find the word being spoken.
+
+// How far ahead to look for a word the narration skipped or split differently
+const LOOKAHEAD = 5;
+
+function normalize(text) {
+  return text.toLowerCase().replace(/[^\p{L}\p{N}]/gu, "");
+}
+
+// Splits the story into tokens ({ text, timing }) keeping the original
+// whitespace. Words are matched to timings in order, so quotes or punctuation
+// dropped before narration don't throw the highlighting off.
+export function alignWords(storyText, words) {
+  const tokens = storyText.split(/(\s+)/).filter(Boolean);
+  let next = 0;
+
+  return tokens.map((text) => {
+    const key = normalize(text);
+    if (!key || !words) return { text, timing: null };
+
+    const end = Math.min(words.length, next + LOOKAHEAD);
+    for (let i = next; i < end; i++) {
+      if (normalize(words[i].word) === key) {
+        next = i + 1;
+        return { text, timing: words[i] };
+      }
+    }
+    return { text, timing: null };
+  });
+}
+
+// Index of the token spoken at `time`, or -1. A word stays highlighted through
+// the pause after it, until the next word starts.
+export function findActiveToken(tokens, time) {
+  let active = -1;
+  for (let i = 0; i < tokens.length; i++) {
+    const timing = tokens[i].timing;
+    if (!timing) continue;
+    if (timing.start > time) break;
+    active = i;
+  }
+  return active;
+}
+
+// Narration speed used to place panels when there are no timings and the
+// audio length isn't known yet (streamed audio). Matches the backend's WORDS_PER_MINUTE.
+const WORDS_PER_SECOND = 150 / 60;
+
+function countWords(text) {
+  return text.split(/\s+/).filter(Boolean).length;
+}
+
+// Start time in seconds of each panel's segment of the story. Uses the word
+// timings when there are any, otherwise shares the audio out by word count.
+// Without segments (e.g. after editing the story) panels get equal time.
+export function segmentStartTimes(tokens, segments, panelCount, duration) {
+  const words = tokens.filter((token) => token.text.trim());
+  const length = Number.isFinite(duration) && duration > 0 ? duration : words.length / WORDS_PER_SECOND;
+  if (!segments) {
+    return Array.from({ length: panelCount }, (_, i) => (length * i) / panelCount);
+  }
+
+  const wordCounts = segments.map((segment) => countWords(segment || ""));
+  const totalWords = wordCounts.reduce((total, count) => total + count, 0) || 1;
+
+  let wordsBefore = 0;
+  return wordCounts.map((count) => {
+    const firstWord = wordsBefore;
+    wordsBefore += count;
+
+    // First timed word of the segment
+    for (let i = firstWord; i < wordsBefore; i++) {
+      if (words[i]?.timing) return words[i].timing.start;
+    }
+    return (length * firstWord) / totalWords;
+  });
+}
+
+// Index of the segment playing at `time`
+export function findActiveSegment(startTimes, time) {
+  let active = 0;
+  startTimes.forEach((start, i) => {
+    if (start <= time) active = i;
+  });
+  return active;
+}